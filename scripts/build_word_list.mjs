@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+// Builds src/data/englishWords.json, the ranked list behind the common words drills.
+//
+// Ranks come from SUBTLEX-US (Brysbaert & New, 2009), word counts over 51 million words of
+// American film and TV subtitles, which track everyday English better than written corpora.
+// They are read from the subtlex-word-frequencies package (ISC licence). Words are kept only
+// when SCOWL (Kevin Atkinson's spell-checking lists, permissive licence, via the
+// wordlist-english package) lists them at its common sizes, which drops names, subtitle
+// artefacts and the stray halves of contractions.
+
+import fs from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import wordlist from 'wordlist-english';
+
+const require = createRequire(import.meta.url);
+const subtlexWords = require('subtlex-word-frequencies');
+
+const OUTPUT_PATH = path.join(process.cwd(), 'src', 'data', 'englishWords.json');
+const MAX_WORDS = 5000;
+const SCOWL_LISTS = ['english', 'english/american'];
+// SCOWL size 50 is its standard spell-checking dictionary; larger sizes add rare words.
+const SCOWL_SIZES = [10, 20, 35, 40, 50];
+const WORD_REGEX = /^[a-z]+$/;
+
+// Subtitles split "don't" and "you're" into their own tokens, and spell out hesitations;
+// neither makes a useful drill word. Slurs and swearing are left out too.
+const EXCLUDED_WORDS = new Set([
+  // Contraction halves and subtitle artefacts
+  'don',
+  're',
+  'em',
+  'ls',
+  // Hesitations and noises
+  'uh',
+  'um',
+  'huh',
+  'ah',
+  'eh',
+  'ha',
+  'ho',
+  'ow',
+  'ugh',
+  'yo',
+  // Profanity and slurs
+  'ass',
+  'asses',
+  'asshole',
+  'assholes',
+  'bastard',
+  'bastards',
+  'bitch',
+  'bitches',
+  'boobs',
+  'bullshit',
+  'cock',
+  'cocksucker',
+  'crap',
+  'cunt',
+  'damn',
+  'damned',
+  'dick',
+  'faggot',
+  'fuck',
+  'fucked',
+  'fucker',
+  'fucking',
+  'goddamn',
+  'hooker',
+  'jackass',
+  'motherfucker',
+  'motherfuckers',
+  'motherfucking',
+  'nigga',
+  'nigger',
+  'piss',
+  'pissed',
+  'porn',
+  'prick',
+  'pussy',
+  'shit',
+  'shitty',
+  'slut',
+  'tits',
+  'whore'
+]);
+
+function loadDictionary() {
+  const dictionary = new Set();
+
+  for (const list of SCOWL_LISTS) {
+    for (const size of SCOWL_SIZES) {
+      for (const word of wordlist[`${list}/${size}`]) {
+        dictionary.add(word);
+      }
+    }
+  }
+
+  return dictionary;
+}
+
+// SUBTLEX-US is already sorted by count; it spells a word with a capital when it is usually
+// capitalized, which for common words just means it tends to open a sentence.
+function rankWords(entries, dictionary) {
+  const words = [];
+  const seen = new Set();
+
+  for (const { word } of entries) {
+    const key = word.toLowerCase();
+
+    if (
+      seen.has(key) ||
+      !WORD_REGEX.test(key) ||
+      (key.length === 1 && key !== 'a') ||
+      EXCLUDED_WORDS.has(key) ||
+      !dictionary.has(key)
+    ) {
+      continue;
+    }
+
+    seen.add(key);
+    words.push(key);
+
+    if (words.length === MAX_WORDS) {
+      break;
+    }
+  }
+
+  return words;
+}
+
+async function buildWordList() {
+  const words = rankWords(subtlexWords, loadDictionary());
+
+  await fs.mkdir(path.dirname(OUTPUT_PATH), { recursive: true });
+  await fs.writeFile(OUTPUT_PATH, `${JSON.stringify(words)}\n`, 'utf8');
+  console.log(`Ranked ${words.length} words from SUBTLEX-US.`);
+}
+
+buildWordList().catch((error) => {
+  console.error(`[fatal] ${error.message}`);
+  process.exitCode = 1;
+});
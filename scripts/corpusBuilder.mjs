@@ -0,0 +1,659 @@
+// The corpus build pipeline: sources in, books, sidecars, shards and index.json out. The
+// corpus:build command is a thin wrapper around it; tests and other scripts import it directly.
+import { createHash } from 'node:crypto';
+import { watch } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { performance } from 'node:perf_hooks';
+import {
+  buildBookText,
+  extractEpubContent,
+  extractHtmlContent,
+  isLikelyBoilerplate
+} from '../src/lib/epubExtractor.js';
+import { extractPlainTextContent } from '../src/lib/plainTextExtractor.js';
+import {
+  DEFAULT_NORMALIZATION_PROFILE,
+  normalizeBookText,
+  resolveNormalizationProfile
+} from '../src/lib/textNormalization.js';
+import { createCorpusOutput, describeBookText } from './corpusFiles.mjs';
+
+const DEFAULT_CONFIG_PATH = 'corpus.config.json';
+// Relative paths, in the config file or on the command line, resolve from the working directory.
+export const DEFAULT_SETTINGS = {
+  input: 'public/Books',
+  output: 'public/corpus',
+  cacheDir: '.corpus-cache',
+  minParagraphChars: 30,
+  normalization: DEFAULT_NORMALIZATION_PROFILE,
+  only: []
+};
+const REPORT_VERSION = 1;
+// Bump when extraction changes, so cached books are rebuilt with it.
+const BUILD_CACHE_VERSION = 3;
+const WATCH_DEBOUNCE_MS = 300;
+const SOURCE_FILE_REGEX = /\.(epub|txt|md|markdown|html?|xhtml)$/i;
+const MARKDOWN_FILE_REGEX = /\.(md|markdown)$/i;
+const HTML_FILE_REGEX = /\.(html?|xhtml)$/i;
+
+// A missing default config file just means the defaults; a missing named one is an error.
+export async function readConfigFile(configPath) {
+  try {
+    return JSON.parse(await fs.readFile(configPath || DEFAULT_CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    if (error?.code === 'ENOENT' && !configPath) {
+      return {};
+    }
+
+    throw new Error(`Could not read ${configPath || DEFAULT_CONFIG_PATH}: ${error.message}`);
+  }
+}
+
+function toPatternList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+// `*` and `?` match within a file name; everything else is literal.
+function globToRegExp(glob) {
+  const pattern = glob
+    .split('')
+    .map((character) => {
+      if (character === '*') {
+        return '.*';
+      }
+
+      if (character === '?') {
+        return '.';
+      }
+
+      return character.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+// Flags, as parsed from the command line, win over the named corpus, which wins over the config
+// file's top level. The config file looks like { "input": ..., "corpora": { "fiction": {...} } }.
+export function resolveOptions(flags = {}, config = {}) {
+  const { corpora = {}, ...baseSettings } = config;
+  let corpusSettings = {};
+
+  if (flags.corpusName) {
+    corpusSettings = corpora[flags.corpusName];
+
+    if (!corpusSettings) {
+      const names = Object.keys(corpora);
+      throw new Error(
+        `No corpus named "${flags.corpusName}" in the config file` +
+          (names.length ? ` (found: ${names.join(', ')}).` : '.')
+      );
+    }
+  }
+
+  const settings = { ...DEFAULT_SETTINGS, ...baseSettings, ...corpusSettings };
+  const minParagraphChars = Number(flags.minParagraphChars ?? settings.minParagraphChars);
+
+  if (!Number.isInteger(minParagraphChars) || minParagraphChars < 0) {
+    throw new Error('--min-paragraph-chars must be a whole number of 0 or more.');
+  }
+
+  const onlyPatterns = flags.only?.length ? flags.only : toPatternList(settings.only);
+  const outputDir = path.resolve(flags.output ?? settings.output);
+
+  return {
+    corpusName: flags.corpusName || null,
+    inputDir: path.resolve(flags.input ?? settings.input),
+    outputDir,
+    minParagraphChars,
+    normalization: resolveNormalizationProfile(flags.normalization ?? settings.normalization),
+    onlyPatterns,
+    onlyRegexes: onlyPatterns.map(globToRegExp),
+    dryRun: Boolean(flags.dryRun),
+    jsonPath: flags.jsonPath || null,
+    verbose: Boolean(flags.verbose),
+    watch: Boolean(flags.watch),
+    // One cache per output directory, so several corpora can be built from one checkout.
+    cachePath: path.join(
+      path.resolve(settings.cacheDir),
+      `${slugify(path.relative(process.cwd(), outputDir)) || 'corpus'}.json`
+    )
+  };
+}
+
+// With the JSON report on stdout, everything else goes to stderr so the report stays parseable.
+export function createLogger({ verbose, jsonPath }) {
+  const write = jsonPath === '-' ? console.error : console.log;
+
+  return {
+    info: write,
+    detail: verbose ? write : () => {},
+    warn: console.warn,
+    error: console.error
+  };
+}
+
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function titleFromFilename(filePath) {
+  return path
+    .basename(filePath, path.extname(filePath))
+    .replace(/[_-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function matchesOnly(filePath, { onlyRegexes }) {
+  const name = path.basename(filePath);
+  return !onlyRegexes.length || onlyRegexes.some((regex) => regex.test(name));
+}
+
+async function listFiles(directory, fileRegex) {
+  try {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isFile() && fileRegex.test(entry.name))
+      .map((entry) => path.join(directory, entry.name))
+      .sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      return [];
+    }
+
+    throw error;
+  }
+}
+
+// Every input format comes back as { paragraphs, chapters, metadata }, as extractEpubContent
+// returns it.
+async function extractSourceContent(sourcePath, { options, log }) {
+  const sourceName = path.basename(sourcePath);
+  const { minParagraphChars, normalization } = options;
+
+  if (/\.epub$/i.test(sourceName)) {
+    return extractEpubContent(await fs.readFile(sourcePath), {
+      minParagraphChars,
+      onWarning: (message) => log.warn(`  [warn] ${sourceName}: ${message}`)
+    });
+  }
+
+  const text = await fs.readFile(sourcePath, 'utf8');
+
+  if (HTML_FILE_REGEX.test(sourceName)) {
+    return extractHtmlContent(text, { minParagraphChars });
+  }
+
+  return extractPlainTextContent(text, {
+    isMarkdown: MARKDOWN_FILE_REGEX.test(sourceName),
+    isBoilerplate: (paragraph) => isLikelyBoilerplate(paragraph, minParagraphChars),
+    normalization
+  });
+}
+
+async function findExistingChaptersPath(output, id) {
+  try {
+    await fs.access(path.join(output.booksDir, `${id}.chapters.json`));
+    return `/corpus/books/${id}.chapters.json`;
+  } catch (error) {
+    return null;
+  }
+}
+
+function pickMetadata(metadata = {}) {
+  const picked = {};
+
+  for (const field of ['author', 'language', 'published', 'rights']) {
+    if (metadata[field]) {
+      picked[field] = metadata[field];
+    }
+  }
+
+  return picked;
+}
+
+async function listDirectory(directory) {
+  try {
+    return await fs.readdir(directory);
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      return [];
+    }
+
+    throw error;
+  }
+}
+
+// Deletes text files, sidecars and shard folders left behind by books that are no longer built.
+// Returns the removed paths, relative to the corpus directory.
+async function removeOrphanedOutputs(entries, liveIds, { output, log }) {
+  const shardedIds = new Set(entries.filter(({ shards }) => shards).map(({ id }) => id));
+  const removed = [];
+
+  for (const name of await listDirectory(output.booksDir)) {
+    const match = name.match(/^(.+?)(?:\.chapters\.json|\.difficulty\.json|\.txt)$/);
+
+    if (match && !liveIds.has(match[1])) {
+      await output.removePath(path.join(output.booksDir, name));
+      removed.push(`books/${name}`);
+    }
+  }
+
+  for (const name of await listDirectory(output.shardsDir)) {
+    if (!shardedIds.has(name)) {
+      await output.removePath(path.join(output.shardsDir, name));
+      removed.push(`shards/${name}/`);
+    }
+  }
+
+  if (removed.length) {
+    const verb = output.dryRun ? 'Would remove' : 'Removed';
+    log.info(`${verb} ${removed.length} orphaned output(s): ${removed.join(', ')}`);
+  }
+
+  return removed;
+}
+
+async function buildFromExistingCorpusFiles(context) {
+  const { options, output, log } = context;
+  const textFiles = await listFiles(output.booksDir, /\.txt$/i);
+  const books = [];
+
+  if (!textFiles.length) {
+    await output.writeCorpusIndex([]);
+    log.info('No source files and no corpus text files found. Wrote empty index.json');
+    return { books, removed: [] };
+  }
+
+  const entries = [];
+  const previousEntries = await output.readPreviousIndexEntries();
+
+  for (const textFile of textFiles) {
+    const slug = path.basename(textFile, path.extname(textFile));
+    const previousEntry = previousEntries.get(slug);
+
+    if (!matchesOnly(textFile, options)) {
+      if (previousEntry) {
+        entries.push(previousEntry);
+      }
+
+      books.push({ source: path.basename(textFile), id: slug, status: 'skipped' });
+      continue;
+    }
+
+    const rawText = await fs.readFile(textFile, 'utf8');
+    const normalizedText = normalizeBookText(rawText, options.normalization);
+    const bytes = await output.writeBookText(slug, normalizedText);
+    const chaptersPath = await findExistingChaptersPath(output, slug);
+    const difficultyPath = await output.writeDifficultyFile(slug, normalizedText);
+    const shards = await output.writeShardFiles(slug, normalizedText);
+
+    entries.push({
+      id: slug,
+      title: previousEntry?.title || titleFromFilename(textFile),
+      ...pickMetadata(previousEntry),
+      path: `/corpus/books/${slug}.txt`,
+      bytes,
+      normalization: options.normalization.name,
+      ...(await describeBookText(normalizedText)),
+      ...(chaptersPath ? { chaptersPath } : {}),
+      ...(difficultyPath ? { difficultyPath } : {}),
+      ...(shards ? { shards } : {})
+    });
+    books.push({ source: path.basename(textFile), id: slug, status: 'normalized' });
+  }
+
+  await output.writeCorpusIndex(entries);
+  const liveIds = new Set(textFiles.map((textFile) => path.basename(textFile, '.txt')));
+  const removed = await removeOrphanedOutputs(entries, liveIds, context);
+  const normalizedCount = books.filter(({ status }) => status === 'normalized').length;
+  log.info(`Normalized ${normalizedCount} existing corpus text file(s).`);
+
+  return { books, removed };
+}
+
+function assignBookIds(sourceFiles) {
+  const usedIds = new Set();
+
+  return sourceFiles.map((sourcePath, index) => {
+    const baseId = slugify(path.basename(sourcePath, path.extname(sourcePath)));
+    const idRoot = baseId || `book-${index + 1}`;
+    let id = idRoot;
+    let dedupeSuffix = 2;
+    while (usedIds.has(id)) {
+      id = `${idRoot}-${dedupeSuffix}`;
+      dedupeSuffix += 1;
+    }
+    usedIds.add(id);
+
+    return id;
+  });
+}
+
+async function hashSourceFile(sourcePath) {
+  return createHash('sha256')
+    .update(await fs.readFile(sourcePath))
+    .digest('hex');
+}
+
+// Settings that change the output invalidate every cached book.
+function getBuildSettings(options) {
+  return JSON.stringify({
+    minParagraphChars: options.minParagraphChars,
+    normalization: options.normalization
+  });
+}
+
+async function readBuildCache(options) {
+  try {
+    const cache = JSON.parse(await fs.readFile(options.cachePath, 'utf8'));
+    return cache?.version === BUILD_CACHE_VERSION && cache.settings === getBuildSettings(options)
+      ? cache.books
+      : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+async function writeBuildCache(books, options) {
+  if (options.dryRun) {
+    return;
+  }
+
+  const settings = getBuildSettings(options);
+  await fs.mkdir(path.dirname(options.cachePath), { recursive: true });
+  await fs.writeFile(
+    options.cachePath,
+    `${JSON.stringify({ version: BUILD_CACHE_VERSION, settings, books })}\n`,
+    'utf8'
+  );
+}
+
+// A cached book is only reused while its text file is still there to serve.
+async function hasBookOutput(output, id) {
+  try {
+    await fs.access(path.join(output.booksDir, `${id}.txt`));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function buildSourceBook(sourcePath, id, context) {
+  const { output, options, log } = context;
+  const {
+    paragraphs,
+    chapters: chapterStarts,
+    metadata
+  } = await extractSourceContent(sourcePath, context);
+  const { text: outputText, chapters } = buildBookText(
+    paragraphs,
+    chapterStarts,
+    options.normalization
+  );
+  const bytes = await output.writeBookText(id, outputText);
+  const chaptersPath = await output.writeChaptersFile(id, chapters);
+  const difficultyPath = await output.writeDifficultyFile(id, outputText);
+  const shards = await output.writeShardFiles(id, outputText);
+
+  log.detail(
+    `  ${path.join(output.booksDir, `${id}.txt`)}: ${bytes} bytes` +
+      (shards ? `, ${shards.offsets.length} shards` : '') +
+      (chaptersPath ? ', chapters' : '') +
+      (difficultyPath ? ', difficulty' : '')
+  );
+
+  return {
+    paragraphCount: paragraphs.length,
+    chapterCount: chapters.length,
+    entry: {
+      id,
+      title: metadata.title || titleFromFilename(sourcePath),
+      ...pickMetadata(metadata),
+      path: `/corpus/books/${id}.txt`,
+      bytes,
+      normalization: options.normalization.name,
+      ...(await describeBookText(outputText)),
+      ...(chaptersPath ? { chaptersPath } : {}),
+      ...(difficultyPath ? { difficultyPath } : {}),
+      ...(shards ? { shards } : {})
+    }
+  };
+}
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// Only sources whose content hash changed since the last build are extracted again, and sources
+// left out by --only are kept as they were. A book that fails keeps its previous output, if it
+// has one, and fails the build.
+async function buildFromSources(sourceFiles, context) {
+  const { options, output, log } = context;
+  const ids = assignBookIds(sourceFiles);
+  const cachedBooks = await readBuildCache(options);
+  const previousEntries = await output.readPreviousIndexEntries();
+  const nextCache = {};
+  const entries = [];
+  const books = [];
+  let totalParagraphs = 0;
+
+  for (const [index, sourcePath] of sourceFiles.entries()) {
+    const sourceName = path.basename(sourcePath);
+    const id = ids[index];
+    const cached = cachedBooks[sourceName];
+    const bookStartedAt = performance.now();
+    const progress = `[${index + 1}/${sourceFiles.length}]`;
+    // The index entry still describes the output on disk even when the cache was invalidated,
+    // but only a cache record lets the next build skip the book.
+    const keepPreviousOutput = async () => {
+      if (!(await hasBookOutput(output, id))) {
+        return;
+      }
+
+      if (cached?.entry.id === id) {
+        entries.push(cached.entry);
+        nextCache[sourceName] = cached;
+      } else if (previousEntries.has(id)) {
+        entries.push(previousEntries.get(id));
+      }
+    };
+
+    if (!matchesOnly(sourcePath, options)) {
+      await keepPreviousOutput();
+      books.push({ source: sourceName, id, status: 'skipped' });
+      log.detail(`${progress} ${sourceName} skipped (not matched by --only)`);
+      continue;
+    }
+
+    try {
+      const hash = await hashSourceFile(sourcePath);
+
+      if (cached?.hash === hash && cached.entry.id === id && (await hasBookOutput(output, id))) {
+        entries.push(cached.entry);
+        nextCache[sourceName] = cached;
+        books.push({ source: sourceName, id, status: 'unchanged' });
+        log.info(`${progress} ${sourceName} unchanged`);
+        log.detail(`  sha256 ${hash}`);
+        continue;
+      }
+
+      log.detail(`${progress} ${sourceName}: ${cached ? 'source changed' : 'not built before'}`);
+      const { entry, paragraphCount, chapterCount } = await buildSourceBook(
+        sourcePath,
+        id,
+        context
+      );
+      const durationMs = Math.round(performance.now() - bookStartedAt);
+
+      entries.push(entry);
+      nextCache[sourceName] = { hash, entry };
+      totalParagraphs += paragraphCount;
+      books.push({
+        source: sourceName,
+        id,
+        status: 'built',
+        durationMs,
+        paragraphs: paragraphCount,
+        chapters: chapterCount
+      });
+      log.info(
+        `${progress} ${sourceName}: ${paragraphCount} paragraphs, ${chapterCount} chapters ` +
+          `-> ${path.relative(process.cwd(), output.booksDir)}/${id}.txt ` +
+          `(${formatDuration(durationMs)})`
+      );
+    } catch (error) {
+      books.push({
+        source: sourceName,
+        id,
+        status: 'failed',
+        durationMs: Math.round(performance.now() - bookStartedAt),
+        error: error.message
+      });
+      log.error(`${progress} ${sourceName} failed: ${error.message}`);
+      await keepPreviousOutput();
+    }
+  }
+
+  await output.writeCorpusIndex(entries);
+  await writeBuildCache(nextCache, options);
+  const removed = await removeOrphanedOutputs(entries, new Set(ids), context);
+  log.info(`Total paragraphs extracted: ${totalParagraphs}`);
+
+  return { books, removed };
+}
+
+function summarizeBooks(books) {
+  const summary = { built: 0, unchanged: 0, normalized: 0, skipped: 0, failed: 0 };
+
+  for (const { status } of books) {
+    summary[status] += 1;
+  }
+
+  return summary;
+}
+
+async function writeReport(report, { jsonPath }) {
+  const json = `${JSON.stringify(report, null, 2)}\n`;
+
+  if (jsonPath === '-') {
+    process.stdout.write(json);
+  } else {
+    await fs.writeFile(jsonPath, json, 'utf8');
+  }
+}
+
+// The options come from resolveOptions. Pass a log of your own to keep a build quiet.
+export function createBuildContext(options, { log = createLogger(options) } = {}) {
+  return {
+    options,
+    output: createCorpusOutput(options.outputDir, { dryRun: options.dryRun }),
+    log
+  };
+}
+
+// Returns the build report, which is also what --json writes.
+export async function buildCorpus(context) {
+  const { options, output, log } = context;
+  const startedAt = performance.now();
+  const sourceFiles = await listFiles(options.inputDir, SOURCE_FILE_REGEX);
+
+  if (options.dryRun) {
+    log.info('Dry run: nothing will be written.');
+  }
+
+  // With a build cache, the corpus came from sources, so deleting the last one empties it.
+  const { books, removed } =
+    !sourceFiles.length && !Object.keys(await readBuildCache(options)).length
+      ? await buildFromExistingCorpusFiles(context)
+      : await buildFromSources(sourceFiles, context);
+  const summary = summarizeBooks(books);
+  const durationMs = Math.round(performance.now() - startedAt);
+
+  log.info(
+    `Done in ${formatDuration(durationMs)}. ` +
+      `Built ${summary.built}, unchanged ${summary.unchanged}` +
+      (summary.skipped ? `, skipped ${summary.skipped}` : '') +
+      `, failed ${summary.failed} of ${books.length} books.`
+  );
+
+  for (const { source, error } of books.filter(({ status }) => status === 'failed')) {
+    log.error(`  [error] ${source}: ${error}`);
+  }
+
+  const report = {
+    version: REPORT_VERSION,
+    corpus: options.corpusName,
+    input: options.inputDir,
+    output: output.corpusDir,
+    normalization: options.normalization.name,
+    dryRun: options.dryRun,
+    durationMs,
+    summary,
+    books,
+    removed
+  };
+
+  if (options.jsonPath) {
+    await writeReport(report, options);
+  }
+
+  return report;
+}
+
+// Rebuilds run one at a time; changes that land during a build queue a single follow-up build,
+// which only re-extracts the books whose content changed. Returns the watcher, to close it.
+export function watchSources(context) {
+  const { options, log } = context;
+  const inputLabel = path.relative(process.cwd(), options.inputDir) || '.';
+  let isBuilding = false;
+  let isQueued = false;
+  let debounceTimer = null;
+
+  const rebuild = async () => {
+    if (isBuilding) {
+      isQueued = true;
+      return;
+    }
+
+    isBuilding = true;
+
+    try {
+      await buildCorpus(context);
+    } catch (error) {
+      log.error(`[fatal] ${error.message}`);
+    } finally {
+      isBuilding = false;
+    }
+
+    if (isQueued) {
+      isQueued = false;
+      rebuild();
+    }
+  };
+
+  const watcher = watch(options.inputDir, (eventType, fileName) => {
+    if (fileName && !SOURCE_FILE_REGEX.test(fileName)) {
+      return;
+    }
+
+    // Editors and copies fire several events per save, so wait for them to settle.
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      log.info(`\n${fileName || inputLabel} changed, rebuilding...`);
+      rebuild();
+    }, WATCH_DEBOUNCE_MS);
+  });
+
+  log.info(`Watching ${inputLabel}/ for changes. Press Ctrl+C to stop.`);
+  return watcher;
+}
@@ -0,0 +1,125 @@
+// Writers for the built corpus files, shared by the builder and `corpus:lint --fix`.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  countBookText,
+  createCorpusIndex,
+  findShardOffsets,
+  hashBookText,
+  readCorpusIndex
+} from '../src/lib/corpusIndex.js';
+import { buildDifficultyIndex } from '../src/lib/passageDifficulty.js';
+
+export const DEFAULT_CORPUS_DIR = path.join(process.cwd(), 'public', 'corpus');
+// Books longer than one shard are also written in pieces the app fetches as a session needs them.
+const SHARD_CHARS = 64000;
+
+// One corpus directory holds books/, shards/ and index.json. Paths inside the index always point
+// at /corpus/, where the app loads its corpus from, whichever directory it was built in. In a dry
+// run nothing is written or removed, but every writer still returns what it would have recorded.
+export function createCorpusOutput(corpusDir = DEFAULT_CORPUS_DIR, { dryRun = false } = {}) {
+  const booksDir = path.join(corpusDir, 'books');
+  const shardsDir = path.join(corpusDir, 'shards');
+  const indexPath = path.join(corpusDir, 'index.json');
+
+  async function writeFile(filePath, content) {
+    if (!dryRun) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content, 'utf8');
+    }
+  }
+
+  async function removePath(targetPath) {
+    if (!dryRun) {
+      await fs.rm(targetPath, { recursive: true, force: true });
+    }
+  }
+
+  return {
+    corpusDir,
+    booksDir,
+    shardsDir,
+    indexPath,
+    dryRun,
+    removePath,
+
+    // The file behind an index path such as /corpus/books/<id>.txt.
+    resolvePath(corpusPath) {
+      return path.join(corpusDir, corpusPath.replace(/^\/corpus\//, ''));
+    },
+
+    // Returns the file's size in bytes.
+    async writeBookText(id, text) {
+      const content = text ? `${text}\n` : '';
+      await writeFile(path.join(booksDir, `${id}.txt`), content);
+      return Buffer.byteLength(content, 'utf8');
+    },
+
+    async writeChaptersFile(id, chapters) {
+      const chaptersPath = path.join(booksDir, `${id}.chapters.json`);
+
+      if (!chapters.length) {
+        await removePath(chaptersPath);
+        return null;
+      }
+
+      await writeFile(chaptersPath, `${JSON.stringify(chapters, null, 2)}\n`);
+      return `/corpus/books/${id}.chapters.json`;
+    },
+
+    // Compact on purpose: one row per passage adds up quickly for long books.
+    async writeDifficultyFile(id, text) {
+      const difficultyPath = path.join(booksDir, `${id}.difficulty.json`);
+      const difficultyIndex = buildDifficultyIndex(text);
+
+      if (!difficultyIndex.passages.length) {
+        await removePath(difficultyPath);
+        return null;
+      }
+
+      await writeFile(difficultyPath, `${JSON.stringify(difficultyIndex)}\n`);
+      return `/corpus/books/${id}.difficulty.json`;
+    },
+
+    // Returns the index's shards field, or null for a book short enough to fetch whole.
+    async writeShardFiles(id, text) {
+      const bookShardsDir = path.join(shardsDir, id);
+      const offsets = findShardOffsets(text, SHARD_CHARS);
+
+      await removePath(bookShardsDir);
+
+      if (offsets.length < 2) {
+        return null;
+      }
+
+      await Promise.all(
+        offsets.map((offset, index) =>
+          writeFile(
+            path.join(bookShardsDir, `${index}.txt`),
+            text.slice(offset, offsets[index + 1] ?? text.length)
+          )
+        )
+      );
+
+      return { path: `/corpus/shards/${id}/`, offsets };
+    },
+
+    async writeCorpusIndex(entries) {
+      await writeFile(indexPath, `${JSON.stringify(createCorpusIndex(entries), null, 2)}\n`);
+    },
+
+    // Rebuilding from text files alone cannot see the OPF again, so keep what the last index knew.
+    async readPreviousIndexEntries() {
+      try {
+        const entries = readCorpusIndex(JSON.parse(await fs.readFile(indexPath, 'utf8')));
+        return new Map(entries.map((entry) => [entry.id, entry]));
+      } catch (error) {
+        return new Map();
+      }
+    }
+  };
+}
+
+export async function describeBookText(text) {
+  return { ...countBookText(text), contentHash: await hashBookText(text) };
+}
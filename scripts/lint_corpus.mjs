@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  findDuplicateParagraphs,
+  fixBookText,
+  lintCorpus,
+  resolveLintRules
+} from '../src/lib/corpusLint.js';
+import { createCorpusOutput, describeBookText } from './corpusFiles.mjs';
+
+const DEFAULT_RULES_PATH = path.join(process.cwd(), 'corpus-lint.json');
+const USAGE =
+  'Usage: npm run corpus:lint -- [--fix] [--json <file|->] [--rules <file>] [--output <dir>] ' +
+  '[--help]';
+const VALUE_OPTIONS = { '--json': 'jsonPath', '--rules': 'rulesPath', '--output': 'outputDir' };
+
+function parseArgs(args) {
+  const options = { fix: false, help: false, jsonPath: null, rulesPath: null, outputDir: null };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+
+    if (arg === '--fix') {
+      options.fix = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (VALUE_OPTIONS[arg]) {
+      const value = args[index + 1];
+
+      if (!value) {
+        throw new Error(`${arg} needs a value. ${USAGE}`);
+      }
+
+      options[VALUE_OPTIONS[arg]] = value;
+      index += 1;
+    } else {
+      throw new Error(`Unknown option "${arg}". ${USAGE}`);
+    }
+  }
+
+  return options;
+}
+
+// A missing default rules file just means the defaults; a missing named one is an error.
+async function readRules(rulesPath) {
+  try {
+    const overrides = JSON.parse(await fs.readFile(rulesPath || DEFAULT_RULES_PATH, 'utf8'));
+    return resolveLintRules(overrides);
+  } catch (error) {
+    if (error?.code === 'ENOENT' && !rulesPath) {
+      return resolveLintRules();
+    }
+
+    throw new Error(`Could not read lint rules: ${error.message}`);
+  }
+}
+
+async function readChapters(output, entry) {
+  if (!entry.chaptersPath) {
+    return [];
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(output.resolvePath(entry.chaptersPath), 'utf8'));
+  } catch (error) {
+    return [];
+  }
+}
+
+async function readBooks(output) {
+  const entries = [...(await output.readPreviousIndexEntries()).values()];
+
+  if (!entries.length) {
+    throw new Error(`No books in ${output.indexPath}. Run npm run corpus:build first.`);
+  }
+
+  return Promise.all(
+    entries.map(async (entry) => ({
+      id: entry.id,
+      entry,
+      // Built files end with one newline that is not part of the text.
+      text: (await fs.readFile(output.resolvePath(entry.path), 'utf8')).replace(/\n$/, '')
+    }))
+  );
+}
+
+function formatCounts(counts) {
+  return Object.entries(counts)
+    .map(([rule, count]) => `${count} ${rule}`)
+    .join(', ');
+}
+
+function printReport(report) {
+  for (const book of report.books) {
+    const issueCounts = {};
+
+    for (const { rule } of book.issues) {
+      issueCounts[rule] = (issueCounts[rule] || 0) + 1;
+    }
+
+    if (!book.issues.length && !book.untypableCharacters.length) {
+      console.log(`  [ok] ${book.id}`);
+      continue;
+    }
+
+    const counts = book.issues.length ? `: ${formatCounts(issueCounts)}` : '';
+    console.log(`  [warn] ${book.id}${counts}`);
+
+    if (book.untypableCharacters.length) {
+      const characters = book.untypableCharacters.map(
+        ({ character, codePoint, count, replacement }) =>
+          `${character} ${codePoint} x${count}${replacement === null ? '' : ` -> "${replacement}"`}`
+      );
+      console.log(`    untypable: ${characters.join(', ')}`);
+    }
+  }
+
+  for (const { excerpt, occurrences } of report.duplicates) {
+    const books = [...new Set(occurrences.map(({ book }) => book))];
+    console.log(`  [warn] duplicate in ${books.join(', ')}: "${excerpt}"`);
+  }
+
+  const { books, paragraphs, issues } = report.summary;
+  console.log(
+    `Linted ${books} book(s), ${paragraphs} paragraphs: ${formatCounts(issues) || 'no issues'}.`
+  );
+}
+
+// Rewrites each changed book with its sidecars and index entry, as the builder would.
+async function fixBooks(output, books, rules, log) {
+  const duplicatesByBook = new Map();
+
+  for (const { occurrences } of findDuplicateParagraphs(books, rules)) {
+    for (const { book, paragraph } of occurrences.slice(1)) {
+      const paragraphs = duplicatesByBook.get(book) || new Set();
+      paragraphs.add(paragraph);
+      duplicatesByBook.set(book, paragraphs);
+    }
+  }
+
+  const entries = [];
+  let fixedCount = 0;
+
+  for (const book of books) {
+    const chapters = await readChapters(output, book.entry);
+    const fixed = fixBookText(book.text, chapters, rules, {
+      duplicateParagraphs: duplicatesByBook.get(book.id)
+    });
+
+    if (fixed.text === book.text) {
+      entries.push(book.entry);
+      continue;
+    }
+
+    const bytes = await output.writeBookText(book.id, fixed.text);
+    const chaptersPath = book.entry.chaptersPath
+      ? await output.writeChaptersFile(book.id, fixed.chapters)
+      : null;
+    const difficultyPath = await output.writeDifficultyFile(book.id, fixed.text);
+    const shards = await output.writeShardFiles(book.id, fixed.text);
+    const entry = { ...book.entry };
+
+    delete entry.chaptersPath;
+    delete entry.difficultyPath;
+    delete entry.shards;
+
+    entries.push({
+      ...entry,
+      bytes,
+      ...(await describeBookText(fixed.text)),
+      ...(chaptersPath ? { chaptersPath } : {}),
+      ...(difficultyPath ? { difficultyPath } : {}),
+      ...(shards ? { shards } : {})
+    });
+    book.text = fixed.text;
+    fixedCount += 1;
+    log(`  [fixed] ${book.id}: ${formatCounts(fixed.fixes)}`);
+  }
+
+  await output.writeCorpusIndex(entries);
+  log(`Fixed ${fixedCount}/${books.length} book(s).`);
+}
+
+async function lint() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const rules = await readRules(options.rulesPath);
+  const output = createCorpusOutput(
+    options.outputDir ? path.resolve(options.outputDir) : undefined
+  );
+  const books = await readBooks(output);
+
+  if (options.fix) {
+    // Progress goes to stderr when the JSON report is printed, so stdout stays parseable.
+    await fixBooks(output, books, rules, options.jsonPath === '-' ? console.error : console.log);
+  }
+
+  const report = lintCorpus(books, rules);
+  const json = `${JSON.stringify(report, null, 2)}\n`;
+
+  if (options.jsonPath === '-') {
+    process.stdout.write(json);
+  } else {
+    printReport(report);
+
+    if (options.jsonPath) {
+      await fs.writeFile(options.jsonPath, json, 'utf8');
+      console.log(`Wrote ${options.jsonPath}`);
+    }
+  }
+
+  if (Object.keys(report.summary.issues).length) {
+    process.exitCode = 1;
+  }
+}
+
+lint().catch((error) => {
+  console.error(`[fatal] ${error.message}`);
+  process.exitCode = 1;
+});
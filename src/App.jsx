@@ -1,29 +1,103 @@
-import { useCallback, useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import HistoryScreen from './components/HistoryScreen';
 import LandingScreen from './components/LandingScreen';
+import ReplayScreen from './components/ReplayScreen';
 import SummaryScreen from './components/SummaryScreen';
 import TypingScreen from './components/TypingScreen';
+import copyText from './lib/copyText';
 import {
+  BOOK_SELECTION_MODE,
+  START_MODE,
   consumePreloadedCorpusSession,
-  preloadCorpusSession
+  forgetLibraryBook,
+  formatChapterTitle,
+  getSessionShare,
+  loadBookChapters,
+  loadLibraryIndex,
+  normalizeBookSelection,
+  normalizeStartMode,
+  preloadCorpusSession,
+  recordReadingPosition
 } from './lib/corpusLoader';
+import { CUSTOM_TEXT_SOURCE, deleteCustomText, saveCustomText } from './lib/customTexts';
+import { deleteImportedBook, importEpubFile } from './lib/importedBooks';
+import {
+  getOfflineBookIds,
+  isOfflineSupported,
+  setBookAvailableOffline
+} from './lib/offlineSupport';
+import {
+  createKeystrokeLog,
+  createSessionReplay,
+  recordCorrection,
+  recordTypedKey
+} from './lib/keystrokeLog';
+import { normalizeDifficulty } from './lib/passageDifficulty';
+import {
+  deleteSessionRecord,
+  listSessionRecords,
+  saveSessionRecord
+} from './lib/sessionHistory';
+import {
+  clearKeyStats,
+  createEmptyKeyStats,
+  listWeakSpots,
+  loadKeyStats,
+  recordKeystroke,
+  saveKeyStats
+} from './lib/keyStats';
+import { getReadingPositions } from './lib/readingPositions';
+import { createSeededRandom, shuffleArray } from './lib/seededRandom';
+import {
+  SESSION_TARGET_MODE,
+  createTargetText,
+  getTargetProgress,
+  hasFiniteText,
+  normalizeSessionTarget
+} from './lib/sessionTargets';
+import {
+  clearSharedSessionFromUrl,
+  createSessionLink,
+  readSharedSession
+} from './lib/sessionLinks';
+import { normalizeTextTransforms } from './lib/textTransforms';
+import {
+  SESSION_SOURCE,
+  createWordDrillSession,
+  normalizeDrillOptions,
+  normalizeSessionSource
+} from './lib/wordDrill';
 import {
   ROLLING_WINDOW_MS,
   WPM_UI_UPDATE_MS,
   calculateAccuracy,
   calculateSessionAverageWpm,
   getRollingWpmDisplay,
+  isCorrectKeystroke,
   isWordBoundary,
+  normalizeEnterRule,
   trimTypingEvents
 } from './lib/stats';
+import { createWeakSpotSession } from './lib/weakSpotDrill';
 
 const SCREEN = {
   LANDING: 'landing',
   TYPING: 'typing',
-  SUMMARY: 'summary'
+  SUMMARY: 'summary',
+  REPLAY: 'replay',
+  HISTORY: 'history'
 };
 
 const MUTE_STORAGE_KEY = 'ambitype-muted';
 const THEME_STORAGE_KEY = 'ambitype-theme';
+const BOOK_SELECTION_STORAGE_KEY = 'ambitype-book-selection';
+const START_MODE_STORAGE_KEY = 'ambitype-start-mode';
+const ENTER_RULE_STORAGE_KEY = 'ambitype-enter-rule';
+const DIFFICULTY_STORAGE_KEY = 'ambitype-difficulty';
+const TEXT_TRANSFORMS_STORAGE_KEY = 'ambitype-text-transforms';
+const SESSION_SOURCE_STORAGE_KEY = 'ambitype-session-source';
+const DRILL_OPTIONS_STORAGE_KEY = 'ambitype-drill-options';
+const SESSION_TARGET_STORAGE_KEY = 'ambitype-session-target';
 const SHORT_SESSION_SKIP_SUMMARY_SECONDS = 10;
 const INITIAL_TEXT_LENGTH = 24000;
 const BUFFER_AHEAD_CHARS = 1700;
@@ -57,22 +131,10 @@ const EMPTY_SUMMARY = {
   averagePace: 0,
   wordsTyped: 0,
   accuracy: 100,
-  timeTyped: 0
+  timeTyped: 0,
+  shareLink: ''
 };
 
-function shuffleArray(items) {
-  const next = [...items];
-
-  for (let index = next.length - 1; index > 0; index -= 1) {
-    const randomIndex = Math.floor(Math.random() * (index + 1));
-    const temp = next[index];
-    next[index] = next[randomIndex];
-    next[randomIndex] = temp;
-  }
-
-  return next;
-}
-
 function getStoredMutePreference() {
   try {
     const storedValue = localStorage.getItem(MUTE_STORAGE_KEY);
@@ -106,6 +168,98 @@ function getStoredThemePreference() {
   return null;
 }
 
+function getStoredBookSelection() {
+  try {
+    const storedSelection = localStorage.getItem(BOOK_SELECTION_STORAGE_KEY);
+    if (storedSelection) {
+      return normalizeBookSelection(JSON.parse(storedSelection));
+    }
+  } catch (error) {
+    // Ignore storage failures and malformed values in restricted contexts.
+  }
+
+  return normalizeBookSelection(null);
+}
+
+function getStoredStartMode() {
+  try {
+    return normalizeStartMode(localStorage.getItem(START_MODE_STORAGE_KEY));
+  } catch (error) {
+    return normalizeStartMode(null);
+  }
+}
+
+// Stored as a band name or a { min, max } score range; anything else means any difficulty.
+function getStoredDifficulty() {
+  try {
+    const storedDifficulty = localStorage.getItem(DIFFICULTY_STORAGE_KEY);
+    return storedDifficulty ? normalizeDifficulty(JSON.parse(storedDifficulty)) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getStoredTextTransforms() {
+  try {
+    const storedTransforms = localStorage.getItem(TEXT_TRANSFORMS_STORAGE_KEY);
+    return normalizeTextTransforms(storedTransforms ? JSON.parse(storedTransforms) : null);
+  } catch (error) {
+    return normalizeTextTransforms(null);
+  }
+}
+
+function getStoredSessionSource() {
+  try {
+    return normalizeSessionSource(localStorage.getItem(SESSION_SOURCE_STORAGE_KEY));
+  } catch (error) {
+    return normalizeSessionSource(null);
+  }
+}
+
+function getStoredDrillOptions() {
+  try {
+    const storedOptions = localStorage.getItem(DRILL_OPTIONS_STORAGE_KEY);
+    return normalizeDrillOptions(storedOptions ? JSON.parse(storedOptions) : null);
+  } catch (error) {
+    return normalizeDrillOptions(null);
+  }
+}
+
+function getStoredSessionTarget() {
+  try {
+    const storedTarget = localStorage.getItem(SESSION_TARGET_STORAGE_KEY);
+    return normalizeSessionTarget(storedTarget ? JSON.parse(storedTarget) : null);
+  } catch (error) {
+    return normalizeSessionTarget(null);
+  }
+}
+
+function getStoredEnterRule() {
+  try {
+    return normalizeEnterRule(localStorage.getItem(ENTER_RULE_STORAGE_KEY));
+  } catch (error) {
+    return normalizeEnterRule(null);
+  }
+}
+
+const INTERACTIVE_SELECTOR = [
+  'input',
+  'textarea',
+  'select',
+  'a[href]',
+  'button',
+  'summary',
+  '[contenteditable="true"]',
+  ...['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'option'].map(
+    (role) => `[role="${role}"]`
+  )
+].join(', ');
+
+// Enter on a focused control activates that control, so screen-wide Enter shortcuts skip it.
+function isInteractiveTarget(target) {
+  return Boolean(target?.closest?.(INTERACTIVE_SELECTOR));
+}
+
 function getSystemThemePreference() {
   if (typeof window === 'undefined' || !window.matchMedia) {
     return 'light';
@@ -141,6 +295,24 @@ function App() {
   const [audioBlocked, setAudioBlocked] = useState(false);
   const [playlist, setPlaylist] = useState(() => shuffleArray(TRACK_PATHS));
   const [trackIndex, setTrackIndex] = useState(0);
+  const [corpusBooks, setCorpusBooks] = useState([]);
+  const [bookSelection, setBookSelection] = useState(getStoredBookSelection);
+  const [startMode, setStartMode] = useState(getStoredStartMode);
+  const [difficulty, setDifficulty] = useState(getStoredDifficulty);
+  const [enterRule, setEnterRule] = useState(getStoredEnterRule);
+  const [textTransforms, setTextTransforms] = useState(getStoredTextTransforms);
+  const [sessionSource, setSessionSource] = useState(getStoredSessionSource);
+  const [drillOptions, setDrillOptions] = useState(getStoredDrillOptions);
+  const [sessionTarget, setSessionTarget] = useState(getStoredSessionTarget);
+  // The target the running session started with, so changing options mid-session has no effect.
+  const [activeSessionTarget, setActiveSessionTarget] = useState(getStoredSessionTarget);
+  const [readingPositions, setReadingPositions] = useState(getReadingPositions);
+  const [libraryChapters, setLibraryChapters] = useState([]);
+  const [chapterJump, setChapterJump] = useState(null);
+  const [libraryNotice, setLibraryNotice] = useState('');
+  const [isImportingBook, setIsImportingBook] = useState(false);
+  const [offlineBookIds, setOfflineBookIds] = useState(getOfflineBookIds);
+  const [sharedSession, setSharedSession] = useState(() => readSharedSession());
 
   const [targetText, setTargetText] = useState(() =>
     createFallbackText(INITIAL_TEXT_LENGTH)
@@ -150,6 +322,11 @@ function App() {
   const [elapsedSeconds, setElapsedSeconds] = useState(0);
   const [liveWpm, setLiveWpm] = useState(null);
   const [summaryStats, setSummaryStats] = useState(EMPTY_SUMMARY);
+  const [sessionReplay, setSessionReplay] = useState(null);
+  const [historySessions, setHistorySessions] = useState([]);
+  const [isHistoryLoading, setIsHistoryLoading] = useState(false);
+  const [historyNotice, setHistoryNotice] = useState('');
+  const [historyReturnScreen, setHistoryReturnScreen] = useState(SCREEN.LANDING);
   const [isStartPreparing, setIsStartPreparing] = useState(false);
 
   const audioRef = useRef(null);
@@ -161,8 +338,17 @@ function App() {
   const typedResultsRef = useRef([]);
   const cursorRef = useRef(cursorIndex);
   const elapsedRef = useRef(0);
+  const sessionStartedAtRef = useRef(0);
+  const activeSessionTargetRef = useRef(activeSessionTarget);
+  const activeSessionSourceRef = useRef(sessionSource);
   const liveWpmRef = useRef(liveWpm);
   const corpusStreamRef = useRef(null);
+  // Mutated on every keystroke and written back when the session ends.
+  const keyStatsRef = useRef(null);
+  if (keyStatsRef.current === null) {
+    keyStatsRef.current = loadKeyStats();
+  }
+  const [weakSpots, setWeakSpots] = useState(() => listWeakSpots(keyStatsRef.current));
   const sessionLoadIdRef = useRef(0);
   const sessionStartInFlightRef = useRef(false);
 
@@ -176,6 +362,8 @@ function App() {
 
   const currentWordRef = useRef({ hasChars: false, hasMistake: false });
   const typingEventsRef = useRef([]);
+  // Unlike typingEventsRef this is never trimmed; it backs the replay of the whole session.
+  const keystrokeLogRef = useRef(null);
 
   const effectiveMuted = isMuted || audioBlocked;
 
@@ -215,6 +403,123 @@ function App() {
     }
   }, [hasThemeOverride, theme]);
 
+  useEffect(() => {
+    try {
+      localStorage.setItem(BOOK_SELECTION_STORAGE_KEY, JSON.stringify(bookSelection));
+    } catch (error) {
+      // Ignore storage failures in restricted contexts.
+    }
+  }, [bookSelection]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(START_MODE_STORAGE_KEY, startMode);
+    } catch (error) {
+      // Ignore storage failures in restricted contexts.
+    }
+  }, [startMode]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(DIFFICULTY_STORAGE_KEY, JSON.stringify(difficulty));
+    } catch (error) {
+      // Ignore storage failures in restricted contexts.
+    }
+  }, [difficulty]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(ENTER_RULE_STORAGE_KEY, enterRule);
+    } catch (error) {
+      // Ignore storage failures in restricted contexts.
+    }
+  }, [enterRule]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(TEXT_TRANSFORMS_STORAGE_KEY, JSON.stringify(textTransforms));
+    } catch (error) {
+      // Ignore storage failures in restricted contexts.
+    }
+  }, [textTransforms]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(SESSION_SOURCE_STORAGE_KEY, sessionSource);
+    } catch (error) {
+      // Ignore storage failures in restricted contexts.
+    }
+  }, [sessionSource]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(DRILL_OPTIONS_STORAGE_KEY, JSON.stringify(drillOptions));
+    } catch (error) {
+      // Ignore storage failures in restricted contexts.
+    }
+  }, [drillOptions]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(SESSION_TARGET_STORAGE_KEY, JSON.stringify(sessionTarget));
+    } catch (error) {
+      // Ignore storage failures in restricted contexts.
+    }
+  }, [sessionTarget]);
+
+  const chapterBookId =
+    startMode === START_MODE.SEQUENTIAL && bookSelection.bookIds.length === 1
+      ? bookSelection.bookIds[0]
+      : null;
+
+  useEffect(() => {
+    const chapterBook = corpusBooks.find((book) => book.id === chapterBookId);
+    let isCancelled = false;
+
+    setLibraryChapters([]);
+    setChapterJump((previousJump) =>
+      previousJump?.bookId === chapterBookId ? previousJump : null
+    );
+
+    if (!chapterBook) {
+      return undefined;
+    }
+
+    loadBookChapters(chapterBook).then((chapters) => {
+      if (!isCancelled) {
+        setLibraryChapters(chapters);
+      }
+    });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [chapterBookId, corpusBooks]);
+
+  const refreshLibrary = useCallback(() => {
+    loadLibraryIndex()
+      .then(setCorpusBooks)
+      .catch((error) => {
+        console.error('Failed to load corpus index:', error);
+      });
+  }, []);
+
+  useEffect(() => {
+    refreshLibrary();
+  }, [refreshLibrary]);
+
+  useEffect(() => {
+    if (!sharedSession || !corpusBooks.length) {
+      return;
+    }
+
+    if (!corpusBooks.some((book) => book.id === sharedSession.bookId)) {
+      setLibraryNotice('The shared passage comes from a book that is not in this library.');
+      setSharedSession(null);
+      clearSharedSessionFromUrl();
+    }
+  }, [corpusBooks, sharedSession]);
+
   useEffect(() => {
     if (hasThemeOverride || typeof window === 'undefined' || !window.matchMedia) {
       return undefined;
@@ -392,10 +697,15 @@ function App() {
 
     currentWordRef.current = { hasChars: false, hasMistake: false };
     typingEventsRef.current = [];
+    keystrokeLogRef.current = createKeystrokeLog();
   }, []);
 
-  const prepareNextTracklist = useCallback(() => {
-    const shuffledPlaylist = shuffleArray(TRACK_PATHS);
+  // Seeded sessions also replay the same playlist order.
+  const prepareNextTracklist = useCallback((seed) => {
+    const shuffledPlaylist = shuffleArray(
+      TRACK_PATHS,
+      seed ? createSeededRandom(`${seed}:playlist`) : Math.random
+    );
     setPlaylist(shuffledPlaylist);
     setTrackIndex(0);
 
@@ -420,12 +730,27 @@ function App() {
 
     let initialSessionText = createFallbackText(INITIAL_TEXT_LENGTH);
     let nextCorpusStream = null;
+    // A shared link always names a book passage, whatever source was last picked, and is cut to
+    // the sender's session target.
+    const source = sharedSession ? SESSION_SOURCE.BOOKS : sessionSource;
+    const target = sharedSession ? sharedSession.target : sessionTarget;
 
     try {
       try {
-        const corpusSession = await consumePreloadedCorpusSession({
-          initialChars: INITIAL_TEXT_LENGTH
-        });
+        const corpusSession =
+          source === SESSION_SOURCE.WORDS
+            ? await createWordDrillSession({ initialChars: INITIAL_TEXT_LENGTH, ...drillOptions })
+            : source === SESSION_SOURCE.WEAK_SPOTS
+              ? await createWeakSpotSession({ getKeyStats: () => keyStatsRef.current })
+              : await consumePreloadedCorpusSession({
+                  initialChars: INITIAL_TEXT_LENGTH,
+                  selection: bookSelection,
+                  startMode,
+                  chapterJump,
+                  difficulty,
+                  textTransforms,
+                  shared: sharedSession
+                });
 
         if (sessionLoadIdRef.current !== currentLoadId) {
           return;
@@ -447,8 +772,22 @@ function App() {
       }
 
       corpusStreamRef.current = nextCorpusStream;
-      resetSessionModel(initialSessionText);
-      prepareNextTracklist();
+      // A chapter jump applies once; later sessions continue from the saved position.
+      setChapterJump(null);
+
+      // So does a shared link; the next session picks its own passage again.
+      if (sharedSession) {
+        setSharedSession(null);
+        clearSharedSessionFromUrl();
+      }
+
+      activeSessionTargetRef.current = target;
+      activeSessionSourceRef.current = source;
+      setActiveSessionTarget(target);
+      resetSessionModel(
+        hasFiniteText(target) ? createTargetText(initialSessionText, target) : initialSessionText
+      );
+      prepareNextTracklist(nextCorpusStream?.seed);
       setAudioBlocked(false);
       setScreen(SCREEN.TYPING);
       setSessionRunId((previous) => previous + 1);
@@ -460,12 +799,46 @@ function App() {
       sessionStartInFlightRef.current = false;
       setIsStartPreparing(false);
     }
-  }, [attemptAudioPlay, isMuted, prepareNextTracklist, resetSessionModel]);
+  }, [
+    attemptAudioPlay,
+    bookSelection,
+    chapterJump,
+    difficulty,
+    drillOptions,
+    isMuted,
+    prepareNextTracklist,
+    resetSessionModel,
+    sessionSource,
+    sessionTarget,
+    sharedSession,
+    startMode,
+    textTransforms
+  ]);
+
+  const saveTypedReadingPosition = useCallback(() => {
+    if (!corpusStreamRef.current || cursorRef.current <= 0) {
+      return;
+    }
 
-  const finishSession = useCallback(() => {
-    const sessionSeconds = elapsedRef.current;
+    recordReadingPosition(corpusStreamRef.current, cursorRef.current);
+    setReadingPositions(getReadingPositions());
+  }, []);
+
+  const saveSessionKeyStats = useCallback(() => {
+    saveKeyStats(keyStatsRef.current);
+  }, []);
 
-    if (sessionSeconds < SHORT_SESSION_SKIP_SUMMARY_SECONDS) {
+  // Sessions that reach their target pass the exact moment they did, so the summary counts the
+  // final partial second too.
+  const finishSession = useCallback((options) => {
+    const finishedAt = Number.isFinite(options?.finishedAt) ? options.finishedAt : Date.now();
+    const sessionMs = Math.max(0, finishedAt - sessionStartedAtRef.current);
+    const sessionSeconds = sessionMs / 1000;
+    saveTypedReadingPosition();
+    saveSessionKeyStats();
+    setWeakSpots(listWeakSpots(keyStatsRef.current));
+
+    if (!options?.isTargetReached && sessionSeconds < SHORT_SESSION_SKIP_SUMMARY_SECONDS) {
       setScreen(SCREEN.LANDING);
 
       const audio = audioRef.current;
@@ -482,19 +855,34 @@ function App() {
       statsRef.current.totalTypedChars
     );
 
-    const averagePace = calculateSessionAverageWpm(
-      statsRef.current.correctTypedChars,
-      elapsedRef.current * 1000
-    );
+    const averagePace = calculateSessionAverageWpm(statsRef.current.correctTypedChars, sessionMs);
 
     const carriedWords = currentWordRef.current.hasChars ? 1 : 0;
+    const wordsTyped = statsRef.current.totalWordsTyped + carriedWords;
 
     setSummaryStats({
       averagePace,
-      wordsTyped: statsRef.current.totalWordsTyped + carriedWords,
+      wordsTyped,
+      accuracy,
+      timeTyped: sessionSeconds,
+      shareLink: createSessionLink(
+        getSessionShare(corpusStreamRef.current, activeSessionTargetRef.current)
+      )
+    });
+    saveSessionRecord({
+      finishedAt,
+      durationSeconds: sessionSeconds,
+      averageWpm: averagePace,
       accuracy,
-      timeTyped: sessionSeconds
+      wordsTyped,
+      source: activeSessionSourceRef.current,
+      book: corpusStreamRef.current?.bookEntry
+    }).catch((error) => {
+      console.warn('Failed to save the session to history:', error);
     });
+    setSessionReplay(
+      createSessionReplay(keystrokeLogRef.current, targetTextRef.current, sessionMs)
+    );
 
     setScreen(SCREEN.SUMMARY);
 
@@ -503,7 +891,7 @@ function App() {
       audio.pause();
       audio.currentTime = 0;
     }
-  }, []);
+  }, [saveSessionKeyStats, saveTypedReadingPosition]);
 
   const toggleMute = useCallback(() => {
     setIsMuted((previousMuteState) => {
@@ -565,14 +953,22 @@ function App() {
     if (typedResultsRef.current[previousIndex] !== undefined) {
       typedResultsRef.current[previousIndex] = undefined;
     }
+
+    recordCorrection(keystrokeLogRef.current, {
+      at: Date.now(),
+      index: previousIndex,
+      expected: targetTextRef.current[previousIndex]
+    });
   }, []);
 
   const handleTypeCharacter = useCallback((typedCharacter) => {
     const now = Date.now();
     const currentCursor = cursorRef.current;
 
+    const isFiniteText = hasFiniteText(activeSessionTargetRef.current);
+
     let nextText = targetTextRef.current;
-    if (nextText.length <= currentCursor + BUFFER_AHEAD_CHARS) {
+    if (!isFiniteText && nextText.length <= currentCursor + BUFFER_AHEAD_CHARS) {
       const minimumLength =
         currentCursor + BUFFER_AHEAD_CHARS + BUFFER_EXTENSION_STEP;
       if (corpusStreamRef.current) {
@@ -585,9 +981,23 @@ function App() {
     }
 
     const expectedCharacter = nextText[currentCursor] ?? ' ';
-    const isCorrect = typedCharacter === expectedCharacter;
+    const isCorrect = isCorrectKeystroke(typedCharacter, expectedCharacter, enterRule);
+
+    recordKeystroke(keyStatsRef.current, {
+      expected: expectedCharacter,
+      previous: nextText[currentCursor - 1],
+      isCorrect,
+      latencyMs: statsRef.current.lastTypedAt ? now - statsRef.current.lastTypedAt : null
+    });
 
     typedResultsRef.current[currentCursor] = isCorrect;
+    recordTypedKey(keystrokeLogRef.current, {
+      at: now,
+      index: currentCursor,
+      expected: expectedCharacter,
+      typed: typedCharacter,
+      isCorrect
+    });
 
     const nextCursor = currentCursor + 1;
     cursorRef.current = nextCursor;
@@ -631,7 +1041,10 @@ function App() {
       }
     }
 
-  }, []);
+    if (isFiniteText && nextCursor >= nextText.length) {
+      finishSession({ finishedAt: now, isTargetReached: true });
+    }
+  }, [enterRule, finishSession]);
 
   useEffect(() => {
     if (screen !== SCREEN.TYPING) {
@@ -639,8 +1052,21 @@ function App() {
     }
 
     const startedAt = Date.now();
+    const { mode, seconds } = activeSessionTargetRef.current;
+    const endsAt = mode === SESSION_TARGET_MODE.TIMED ? startedAt + seconds * 1000 : Infinity;
+    sessionStartedAtRef.current = startedAt;
+    keystrokeLogRef.current = createKeystrokeLog(startedAt);
+
     const timerId = window.setInterval(() => {
-      const nextElapsedSeconds = Math.floor((Date.now() - startedAt) / 1000);
+      const now = Date.now();
+
+      if (now >= endsAt) {
+        window.clearInterval(timerId);
+        finishSession({ finishedAt: endsAt, isTargetReached: true });
+        return;
+      }
+
+      const nextElapsedSeconds = Math.floor((now - startedAt) / 1000);
       elapsedRef.current = nextElapsedSeconds;
       setElapsedSeconds(nextElapsedSeconds);
     }, 250);
@@ -648,7 +1074,7 @@ function App() {
     return () => {
       window.clearInterval(timerId);
     };
-  }, [screen, sessionRunId]);
+  }, [finishSession, screen, sessionRunId]);
 
   useEffect(() => {
     if (screen !== SCREEN.TYPING) {
@@ -689,6 +1115,10 @@ function App() {
     }
 
     function handleLandingEnter(event) {
+      if (isInteractiveTarget(event.target)) {
+        return;
+      }
+
       if (event.key === 'Enter') {
         event.preventDefault();
         startSession();
@@ -708,7 +1138,7 @@ function App() {
     }
 
     function handleSummaryEnter(event) {
-      if (event.defaultPrevented || event.repeat) {
+      if (event.defaultPrevented || event.repeat || isInteractiveTarget(event.target)) {
         return;
       }
 
@@ -725,20 +1155,49 @@ function App() {
   }, [screen, startSession]);
 
   useEffect(() => {
-    if (screen !== SCREEN.LANDING) {
+    if (screen !== SCREEN.LANDING || (sessionSource !== SESSION_SOURCE.BOOKS && !sharedSession)) {
       return undefined;
     }
 
     const preloadTimerId = window.setTimeout(() => {
       void preloadCorpusSession({
-        initialChars: INITIAL_TEXT_LENGTH
-      });
+        initialChars: INITIAL_TEXT_LENGTH,
+        selection: bookSelection,
+        startMode,
+        chapterJump,
+        difficulty,
+        textTransforms,
+        shared: sharedSession
+      }).catch(() => {});
     }, 80);
 
     return () => {
       window.clearTimeout(preloadTimerId);
     };
-  }, [screen]);
+  }, [
+    bookSelection,
+    chapterJump,
+    difficulty,
+    screen,
+    sessionSource,
+    sharedSession,
+    startMode,
+    textTransforms
+  ]);
+
+  useEffect(() => {
+    if (screen !== SCREEN.TYPING) {
+      return undefined;
+    }
+
+    // Closing the tab mid-session should still remember where the story stopped.
+    window.addEventListener('pagehide', saveTypedReadingPosition);
+    window.addEventListener('pagehide', saveSessionKeyStats);
+    return () => {
+      window.removeEventListener('pagehide', saveTypedReadingPosition);
+      window.removeEventListener('pagehide', saveSessionKeyStats);
+    };
+  }, [saveSessionKeyStats, saveTypedReadingPosition, screen]);
 
   useEffect(() => {
     const audio = audioRef.current;
@@ -799,6 +1258,127 @@ function App() {
     [stopAudioFade]
   );
 
+  const currentChapterTitle = useMemo(() => {
+    const stream = corpusStreamRef.current;
+    const chapter = screen === SCREEN.TYPING ? stream?.getChapterAt?.(cursorIndex) : null;
+
+    if (!chapter) {
+      return null;
+    }
+
+    return formatChapterTitle(chapter.title) || stream.bookEntry.title;
+  }, [cursorIndex, screen, sessionRunId]);
+
+  const targetProgress = useMemo(
+    () =>
+      screen === SCREEN.TYPING
+        ? getTargetProgress(activeSessionTarget, { elapsedSeconds, cursorIndex, text: targetText })
+        : null,
+    [activeSessionTarget, cursorIndex, elapsedSeconds, screen, targetText]
+  );
+
+  function handleResetKeyStats() {
+    clearKeyStats();
+    keyStatsRef.current = createEmptyKeyStats();
+    setWeakSpots(listWeakSpots(keyStatsRef.current));
+  }
+
+  function handleDismissSharedSession() {
+    setSharedSession(null);
+    clearSharedSessionFromUrl();
+  }
+
+  function handleSaveCustomText(draft) {
+    const entry = saveCustomText(draft);
+    refreshLibrary();
+    setBookSelection({ mode: BOOK_SELECTION_MODE.BOOKS, bookIds: [entry.id] });
+  }
+
+  async function handleImportEpub(file) {
+    setIsImportingBook(true);
+    setLibraryNotice(`Importing ${file.name}...`);
+
+    try {
+      const entry = await importEpubFile(file);
+      refreshLibrary();
+      setBookSelection({ mode: BOOK_SELECTION_MODE.BOOKS, bookIds: [entry.id] });
+      setLibraryNotice('');
+    } catch (error) {
+      console.error('Failed to import EPUB:', error);
+      setLibraryNotice(`Could not import ${file.name}: ${error.message}`);
+    } finally {
+      setIsImportingBook(false);
+    }
+  }
+
+  async function openHistory() {
+    setHistoryReturnScreen(screen);
+    setHistoryNotice('');
+    setIsHistoryLoading(true);
+    setScreen(SCREEN.HISTORY);
+
+    try {
+      setHistorySessions(await listSessionRecords());
+    } catch (error) {
+      console.error('Failed to load session history:', error);
+      setHistorySessions([]);
+      setHistoryNotice('Session history is not available in this browser.');
+    } finally {
+      setIsHistoryLoading(false);
+    }
+  }
+
+  async function handleDeleteHistorySession(session) {
+    try {
+      await deleteSessionRecord(session.id);
+    } catch (error) {
+      console.error('Failed to delete session:', error);
+      setHistoryNotice('Could not delete that session.');
+      return;
+    }
+
+    setHistoryNotice('');
+    setHistorySessions((previousSessions) =>
+      previousSessions.filter((record) => record.id !== session.id)
+    );
+  }
+
+  async function handleDeleteLibraryBook(book) {
+    try {
+      if (book.source === CUSTOM_TEXT_SOURCE) {
+        deleteCustomText(book.id);
+      } else {
+        await deleteImportedBook(book.id);
+      }
+    } catch (error) {
+      console.error('Failed to delete book:', error);
+      setLibraryNotice(`Could not delete ${book.title}.`);
+      return;
+    }
+
+    forgetLibraryBook(book.id);
+    refreshLibrary();
+    setBookSelection((previousSelection) =>
+      normalizeBookSelection({
+        ...previousSelection,
+        bookIds: previousSelection.bookIds.filter((id) => id !== book.id)
+      })
+    );
+  }
+
+  async function handleToggleBookOffline(book) {
+    const nextAvailable = !offlineBookIds.includes(book.id);
+    setLibraryNotice(nextAvailable ? `Saving ${book.title} for offline use...` : '');
+
+    try {
+      setOfflineBookIds(await setBookAvailableOffline(book, nextAvailable));
+      setLibraryNotice('');
+    } catch (error) {
+      console.error('Failed to update offline books:', error);
+      setLibraryNotice(error.message);
+    }
+  }
+
   function handleTrackEnded() {
     setTrackIndex((previousIndex) => {
       if (!playlist.length) {
@@ -819,19 +1399,7 @@ function App() {
   }
 
   async function handleCopyEmail() {
-    try {
-      await navigator.clipboard.writeText(EMAIL_ADDRESS);
-    } catch (error) {
-      const fallbackInput = document.createElement('textarea');
-      fallbackInput.value = EMAIL_ADDRESS;
-      fallbackInput.setAttribute('readonly', '');
-      fallbackInput.style.position = 'fixed';
-      fallbackInput.style.opacity = '0';
-      document.body.appendChild(fallbackInput);
-      fallbackInput.select();
-      document.execCommand('copy');
-      document.body.removeChild(fallbackInput);
-    }
+    await copyText(EMAIL_ADDRESS);
 
     setIsEmailCopied(true);
 
@@ -918,7 +1486,47 @@ function App() {
         className={`app-card ${screen === SCREEN.TYPING ? 'typing-card' : 'default-card'} screen-${screen}`}
       >
         {screen === SCREEN.LANDING && (
-          <LandingScreen onStartSession={startSession} isPreparing={isStartPreparing} />
+          <LandingScreen
+            onStartSession={startSession}
+            onOpenHistory={openHistory}
+            isPreparing={isStartPreparing}
+            sessionSource={sessionSource}
+            onChangeSessionSource={(source) => setSessionSource(normalizeSessionSource(source))}
+            drillOptions={drillOptions}
+            onChangeDrillOptions={(options) => setDrillOptions(normalizeDrillOptions(options))}
+            weakSpots={weakSpots}
+            onResetKeyStats={handleResetKeyStats}
+            sessionTarget={sessionTarget}
+            onChangeSessionTarget={(target) => setSessionTarget(normalizeSessionTarget(target))}
+            books={corpusBooks}
+            bookSelection={bookSelection}
+            onChangeBookSelection={(selection) =>
+              setBookSelection(normalizeBookSelection(selection))
+            }
+            startMode={startMode}
+            onChangeStartMode={(mode) => setStartMode(normalizeStartMode(mode))}
+            difficulty={difficulty}
+            onChangeDifficulty={(band) => setDifficulty(normalizeDifficulty(band))}
+            enterRule={enterRule}
+            onChangeEnterRule={(rule) => setEnterRule(normalizeEnterRule(rule))}
+            textTransforms={textTransforms}
+            onChangeTextTransforms={(transforms) =>
+              setTextTransforms(normalizeTextTransforms(transforms))
+            }
+            readingPositions={readingPositions}
+            chapters={libraryChapters}
+            chapterJump={chapterJump}
+            onChangeChapterJump={setChapterJump}
+            onSaveCustomText={handleSaveCustomText}
+            onImportEpub={handleImportEpub}
+            onDeleteBook={handleDeleteLibraryBook}
+            offlineBookIds={offlineBookIds}
+            onToggleBookOffline={isOfflineSupported() ? handleToggleBookOffline : undefined}
+            libraryNotice={libraryNotice}
+            isImportingBook={isImportingBook}
+            sharedSession={sharedSession}
+            onDismissSharedSession={handleDismissSharedSession}
+          />
         )}
 
         {screen === SCREEN.TYPING && (
@@ -929,6 +1537,8 @@ function App() {
             typedResults={typedResultsRef.current}
             elapsedSeconds={elapsedSeconds}
             liveWpm={liveWpm}
+            chapterTitle={currentChapterTitle}
+            targetProgress={targetProgress}
             isMuted={effectiveMuted}
             onToggleMute={toggleMute}
             onFinishSession={finishSession}
@@ -939,7 +1549,26 @@ function App() {
         )}
 
         {screen === SCREEN.SUMMARY && (
-          <SummaryScreen summaryStats={summaryStats} onRestartSession={startSession} />
+          <SummaryScreen
+            summaryStats={summaryStats}
+            onRestartSession={startSession}
+            onOpenReplay={sessionReplay ? () => setScreen(SCREEN.REPLAY) : null}
+            onOpenHistory={openHistory}
+          />
+        )}
+
+        {screen === SCREEN.REPLAY && sessionReplay && (
+          <ReplayScreen replay={sessionReplay} onClose={() => setScreen(SCREEN.SUMMARY)} />
+        )}
+
+        {screen === SCREEN.HISTORY && (
+          <HistoryScreen
+            sessions={historySessions}
+            isLoading={isHistoryLoading}
+            notice={historyNotice}
+            onDeleteSession={handleDeleteHistorySession}
+            onClose={() => setScreen(historyReturnScreen)}
+          />
         )}
       </main>
 
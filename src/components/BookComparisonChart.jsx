@@ -0,0 +1,81 @@
+// Horizontal SVG bars of each book's average WPM, with accuracy and practice time alongside.
+const WIDTH = 560;
+const ROW_HEIGHT = 30;
+const LABEL_WIDTH = 190;
+const VALUE_WIDTH = 150;
+const BAR_WIDTH = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+const MAX_TITLE_CHARS = 26;
+const MAX_BOOKS = 8;
+
+function shortenTitle(title) {
+  return title.length > MAX_TITLE_CHARS ? `${title.slice(0, MAX_TITLE_CHARS - 1)}…` : title;
+}
+
+function formatMinutes(minutes) {
+  return minutes < 1 ? '<1 min' : `${Math.round(minutes)} min`;
+}
+
+function BookComparisonChart({ books }) {
+  const shownBooks = books.slice(0, MAX_BOOKS);
+
+  if (!shownBooks.length) {
+    return null;
+  }
+
+  const fastest = Math.max(1, ...shownBooks.map((book) => book.averageWpm));
+  const height = shownBooks.length * ROW_HEIGHT;
+
+  return (
+    <figure className="chart">
+      <figcaption className="chart-title">
+        By book
+        {books.length > shownBooks.length ? (
+          <span className="chart-legend">{`${shownBooks.length} most practiced`}</span>
+        ) : null}
+      </figcaption>
+
+      <svg
+        className="chart-svg"
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        role="img"
+        aria-label="Average WPM by book"
+      >
+        {shownBooks.map((book, index) => {
+          const y = index * ROW_HEIGHT;
+          const barLength = Math.max(2, (book.averageWpm / fastest) * (BAR_WIDTH - 8));
+
+          return (
+            <g key={book.id}>
+              <title>
+                {`${book.title}: ${book.averageWpm} WPM, ${book.accuracy}% accuracy over ${
+                  book.sessions
+                } ${book.sessions === 1 ? 'session' : 'sessions'}`}
+              </title>
+              <text className="chart-book-label" x={0} y={y + ROW_HEIGHT / 2} dy="0.32em">
+                {shortenTitle(book.title)}
+              </text>
+              <rect
+                className="chart-bar"
+                x={LABEL_WIDTH}
+                y={y + 7}
+                width={barLength}
+                height={ROW_HEIGHT - 14}
+                rx={4}
+              />
+              <text
+                className="chart-axis-label chart-book-value"
+                x={LABEL_WIDTH + barLength + 8}
+                y={y + ROW_HEIGHT / 2}
+                dy="0.32em"
+              >
+                {`${book.averageWpm} WPM · ${book.accuracy}% · ${formatMinutes(book.minutes)}`}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </figure>
+  );
+}
+
+export default BookComparisonChart;
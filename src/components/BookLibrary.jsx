@@ -0,0 +1,293 @@
+import { useRef } from 'react';
+import { BOOK_SELECTION_MODE, START_MODE, formatChapterTitle } from '../lib/corpusLoader';
+import { CUSTOM_TEXT_SOURCE } from '../lib/customTexts';
+import { IMPORTED_BOOK_SOURCE } from '../lib/importedBooks';
+import { DIFFICULTY_BAND } from '../lib/passageDifficulty';
+import { DEFAULT_NORMALIZATION_PROFILE, NORMALIZATION_PROFILES } from '../lib/textNormalization';
+
+const ESTIMATE_WPM = 40;
+
+function formatBookSize(bytes) {
+  if (!Number.isFinite(bytes) || bytes <= 0) {
+    return '—';
+  }
+
+  if (bytes >= 1000000) {
+    return `${(bytes / 1000000).toFixed(1)} MB`;
+  }
+
+  return `${Math.max(1, Math.round(bytes / 1000))} KB`;
+}
+
+// Rough full-read estimate using the standard 5-char word at a relaxed pace.
+function formatTypingEstimate(characters) {
+  if (!Number.isFinite(characters) || characters <= 0) {
+    return '—';
+  }
+
+  const minutes = characters / 5 / ESTIMATE_WPM;
+
+  if (minutes < 60) {
+    return `~${Math.max(1, Math.round(minutes))} min`;
+  }
+
+  return `~${Math.round(minutes / 60)} h`;
+}
+
+const DIFFICULTY_OPTIONS = [
+  { band: DIFFICULTY_BAND.ANY, label: 'Any difficulty' },
+  { band: DIFFICULTY_BAND.EASY, label: 'Easy' },
+  { band: DIFFICULTY_BAND.MEDIUM, label: 'Medium' },
+  { band: DIFFICULTY_BAND.HARD, label: 'Hard' }
+];
+
+const SOURCE_LABELS = {
+  [CUSTOM_TEXT_SOURCE]: 'Your text',
+  [IMPORTED_BOOK_SOURCE]: 'Imported'
+};
+
+// Only books built with something other than the default profile say so, e.g. "Typographic".
+function formatNormalization(profileName) {
+  if (!profileName || profileName === DEFAULT_NORMALIZATION_PROFILE) {
+    return '';
+  }
+
+  return `${NORMALIZATION_PROFILES[profileName].label} · `;
+}
+
+function formatReadProgress(position) {
+  if (!position) {
+    return '';
+  }
+
+  const percent = Math.min(100, Math.floor((position.offset / position.textLength) * 100));
+  return ` · ${percent}% read`;
+}
+
+function BookLibrary({
+  books,
+  selection,
+  onChangeSelection,
+  startMode,
+  onChangeStartMode,
+  difficulty,
+  onChangeDifficulty,
+  readingPositions,
+  chapters,
+  chapterJump,
+  onChangeChapterJump,
+  onAddCustomText,
+  onImportEpub,
+  onDeleteBook,
+  offlineBookIds,
+  onToggleBookOffline,
+  notice,
+  disabled
+}) {
+  const epubInputRef = useRef(null);
+
+  const isRandom = selection.mode !== BOOK_SELECTION_MODE.BOOKS;
+  const selectedIds = new Set(isRandom ? [] : selection.bookIds);
+
+  function handleSurpriseMe() {
+    onChangeSelection({ mode: BOOK_SELECTION_MODE.RANDOM, bookIds: [] });
+  }
+
+  function handleToggleBook(bookId) {
+    const nextIds = selectedIds.has(bookId)
+      ? [...selectedIds].filter((id) => id !== bookId)
+      : [...selectedIds, bookId];
+
+    onChangeSelection(
+      nextIds.length
+        ? { mode: BOOK_SELECTION_MODE.BOOKS, bookIds: nextIds }
+        : { mode: BOOK_SELECTION_MODE.RANDOM, bookIds: [] }
+    );
+  }
+
+  function handleEpubChange(event) {
+    const [file] = event.target.files;
+    event.target.value = '';
+
+    if (file) {
+      onImportEpub(file);
+    }
+  }
+
+  function handleChapterChange(event) {
+    const chapterIndex = Number.parseInt(event.target.value, 10);
+
+    onChangeChapterJump(
+      Number.isInteger(chapterIndex) ? { bookId: selection.bookIds[0], chapterIndex } : null
+    );
+  }
+
+  return (
+    <section className="book-library" aria-label="Book library">
+      <div className="book-library-header">
+        <p className="book-library-title">Library</p>
+
+        <div className="book-library-actions">
+          <button type="button" className="book-chip" onClick={onAddCustomText} disabled={disabled}>
+            Add your own text
+          </button>
+          <button
+            type="button"
+            className="book-chip"
+            onClick={() => epubInputRef.current?.click()}
+            disabled={disabled}
+          >
+            Import EPUB
+          </button>
+          <input
+            ref={epubInputRef}
+            type="file"
+            accept=".epub,application/epub+zip"
+            hidden
+            onChange={handleEpubChange}
+          />
+          <button
+            type="button"
+            className={`book-chip${isRandom ? ' selected' : ''}`}
+            onClick={handleSurpriseMe}
+            aria-pressed={isRandom}
+            disabled={disabled}
+          >
+            Surprise me
+          </button>
+        </div>
+      </div>
+
+      <div className="start-mode-toggle" role="group" aria-label="Where to start">
+        <button
+          type="button"
+          className={`book-chip${startMode === START_MODE.RANDOM ? ' selected' : ''}`}
+          onClick={() => onChangeStartMode(START_MODE.RANDOM)}
+          aria-pressed={startMode === START_MODE.RANDOM}
+          disabled={disabled}
+        >
+          Random passage
+        </button>
+        <button
+          type="button"
+          className={`book-chip${startMode === START_MODE.RESUME ? ' selected' : ''}`}
+          onClick={() => onChangeStartMode(START_MODE.RESUME)}
+          aria-pressed={startMode === START_MODE.RESUME}
+          disabled={disabled}
+        >
+          Continue where I left off
+        </button>
+        <button
+          type="button"
+          className={`book-chip${startMode === START_MODE.SEQUENTIAL ? ' selected' : ''}`}
+          onClick={() => onChangeStartMode(START_MODE.SEQUENTIAL)}
+          aria-pressed={startMode === START_MODE.SEQUENTIAL}
+          disabled={disabled}
+        >
+          Read the book
+        </button>
+      </div>
+
+      {startMode === START_MODE.RANDOM && (
+        <div className="start-mode-toggle" role="group" aria-label="Passage difficulty">
+          {DIFFICULTY_OPTIONS.map(({ band, label }) => {
+            // A custom numeric range shows as no band selected.
+            const isSelected =
+              band === DIFFICULTY_BAND.ANY ? !difficulty : difficulty?.band === band;
+
+            return (
+              <button
+                key={band}
+                type="button"
+                className={`book-chip${isSelected ? ' selected' : ''}`}
+                onClick={() => onChangeDifficulty(band)}
+                aria-pressed={isSelected}
+                disabled={disabled}
+              >
+                {label}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {startMode === START_MODE.SEQUENTIAL && chapters.length > 0 && (
+        <label className="chapter-jump">
+          <span>Start at</span>
+          <select
+            value={chapterJump ? String(chapterJump.chapterIndex) : ''}
+            onChange={handleChapterChange}
+            disabled={disabled}
+          >
+            <option value="">Where I left off</option>
+            {chapters.map((chapter, index) => (
+              <option key={chapter.offset} value={index}>
+                {formatChapterTitle(chapter.title) || 'Beginning'}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {notice ? <p className="book-library-notice">{notice}</p> : null}
+
+      <ul className="book-list">
+        {books.map((book) => {
+          const isSelected = selectedIds.has(book.id);
+          const sourceLabel = SOURCE_LABELS[book.source];
+
+          return (
+            <li key={book.id} className="book-list-item">
+              <button
+                type="button"
+                className={`book-row${isSelected ? ' selected' : ''}`}
+                onClick={() => handleToggleBook(book.id)}
+                aria-pressed={isSelected}
+                disabled={disabled}
+              >
+                <span className="book-row-check" aria-hidden="true" />
+                <span className="book-row-title">{book.title}</span>
+                <span className="book-row-meta">
+                  {book.author ? `${book.author} · ` : ''}
+                  {sourceLabel ? `${sourceLabel} · ` : ''}
+                  {formatNormalization(book.normalization)}
+                  {formatBookSize(book.bytes)} ·{' '}
+                  {formatTypingEstimate(book.characters ?? book.bytes)}
+                  {formatReadProgress(readingPositions[book.id])}
+                </span>
+              </button>
+
+              {sourceLabel ? (
+                <button
+                  type="button"
+                  className="book-row-delete"
+                  onClick={() => onDeleteBook(book)}
+                  aria-label={`Delete ${book.title}`}
+                  disabled={disabled}
+                >
+                  ×
+                </button>
+              ) : null}
+
+              {!sourceLabel && onToggleBookOffline ? (
+                <button
+                  type="button"
+                  className={`book-row-offline${offlineBookIds.includes(book.id) ? ' active' : ''}`}
+                  onClick={() => onToggleBookOffline(book)}
+                  aria-pressed={offlineBookIds.includes(book.id)}
+                  aria-label={`Make ${book.title} available offline`}
+                  title="Available offline"
+                  disabled={disabled}
+                >
+                  Offline
+                </button>
+              ) : null}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
+
+export default BookLibrary;
@@ -1,11 +1,37 @@
 import formatTime from '../lib/formatTime';
 import ShortcutPill from './ShortcutPill';
 
-function ControlBar({ elapsedSeconds, liveWpm, isMuted, onToggleMute, onFinishSession }) {
+function ControlBar({
+  elapsedSeconds,
+  liveWpm,
+  targetProgress,
+  isMuted,
+  onToggleMute,
+  onFinishSession
+}) {
   return (
     <section className="control-bar" aria-label="Session controls">
       <p className="control-time">{formatTime(elapsedSeconds)}</p>
 
+      {targetProgress ? (
+        <div
+          className="control-progress"
+          role="progressbar"
+          aria-label={targetProgress.label}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(targetProgress.ratio * 100)}
+        >
+          <span className="control-progress-track" aria-hidden="true">
+            <span
+              className="control-progress-fill"
+              style={{ transform: `scaleX(${targetProgress.ratio})` }}
+            />
+          </span>
+          <span className="control-progress-label">{targetProgress.label}</span>
+        </div>
+      ) : null}
+
       <div className="wpm-pill" aria-hidden="true">
         <span className="wpm-icon-wrap">
           <img src="/icons/WPM.svg" alt="" className="wpm-icon" />
@@ -0,0 +1,89 @@
+import { useRef, useState } from 'react';
+import { readCustomTextFile } from '../lib/customTexts';
+
+function CustomTextPanel({ initialDraft, onSave, onCancel }) {
+  const [title, setTitle] = useState(initialDraft?.title ?? '');
+  const [text, setText] = useState(initialDraft?.text ?? '');
+  const [isMarkdown, setIsMarkdown] = useState(Boolean(initialDraft?.isMarkdown));
+  const [errorMessage, setErrorMessage] = useState('');
+  const fileInputRef = useRef(null);
+
+  async function handleFileChange(event) {
+    const [file] = event.target.files;
+    event.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      const draft = await readCustomTextFile(file);
+      setTitle((previousTitle) => previousTitle || draft.title);
+      setText(draft.text);
+      setIsMarkdown(draft.isMarkdown);
+      setErrorMessage('');
+    } catch (error) {
+      setErrorMessage(error.message);
+    }
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+
+    try {
+      onSave({ title, text, isMarkdown });
+    } catch (error) {
+      setErrorMessage(error.message);
+    }
+  }
+
+  return (
+    <form className="custom-text-panel" onSubmit={handleSubmit} aria-label="Add your own text">
+      <input
+        type="text"
+        className="custom-text-title"
+        placeholder="Title (optional)"
+        value={title}
+        onChange={(event) => setTitle(event.target.value)}
+      />
+
+      <textarea
+        className="custom-text-body"
+        placeholder="Paste any text you want to practise on, or drop a .txt or .md file here"
+        value={text}
+        onChange={(event) => setText(event.target.value)}
+        autoFocus
+      />
+
+      {errorMessage ? <p className="custom-text-error">{errorMessage}</p> : null}
+
+      <div className="custom-text-actions">
+        <button
+          type="button"
+          className="book-chip"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          Choose file
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".txt,.md,.markdown,text/plain,text/markdown"
+          hidden
+          onChange={handleFileChange}
+        />
+
+        <span className="custom-text-spacer" />
+
+        <button type="button" className="book-chip" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="book-chip selected">
+          Save text
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default CustomTextPanel;
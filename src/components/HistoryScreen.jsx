@@ -0,0 +1,254 @@
+import { useEffect, useMemo, useState } from 'react';
+import formatTime from '../lib/formatTime';
+import {
+  HISTORY_SORT_FIELD,
+  filterSessionRecords,
+  listHistoryBooks,
+  sortSessionRecords
+} from '../lib/sessionHistory';
+import { SESSION_SOURCE } from '../lib/wordDrill';
+import ProgressView from './ProgressView';
+
+const SOURCE_LABELS = {
+  [SESSION_SOURCE.BOOKS]: 'Book',
+  [SESSION_SOURCE.WORDS]: 'Common words',
+  [SESSION_SOURCE.WEAK_SPOTS]: 'Weak spots'
+};
+
+const HISTORY_VIEW = {
+  SESSIONS: 'sessions',
+  PROGRESS: 'progress'
+};
+
+const COLUMNS = [
+  { field: HISTORY_SORT_FIELD.DATE, label: 'Date' },
+  { field: null, label: 'Text' },
+  { field: HISTORY_SORT_FIELD.DURATION, label: 'Time' },
+  { field: HISTORY_SORT_FIELD.WPM, label: 'WPM' },
+  { field: HISTORY_SORT_FIELD.ACCURACY, label: 'Accuracy' },
+  { field: HISTORY_SORT_FIELD.WORDS, label: 'Words' }
+];
+
+const dateFormat = new Intl.DateTimeFormat(undefined, {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+function formatFinishedAt(session) {
+  return dateFormat.format(session.finishedAt);
+}
+
+function describeText(session) {
+  return session.book?.title || SOURCE_LABELS[session.source] || 'Practice text';
+}
+
+function HistoryScreen({ sessions, isLoading, notice, onDeleteSession, onClose }) {
+  const [sort, setSort] = useState({ field: HISTORY_SORT_FIELD.DATE, descending: true });
+  const [filters, setFilters] = useState({ from: '', to: '', bookId: '' });
+  const [view, setView] = useState(HISTORY_VIEW.SESSIONS);
+
+  const books = useMemo(() => listHistoryBooks(sessions), [sessions]);
+  const visibleSessions = useMemo(
+    () => sortSessionRecords(filterSessionRecords(sessions, filters), sort.field, sort.descending),
+    [filters, sessions, sort]
+  );
+  const isFiltered = Boolean(filters.from || filters.to || filters.bookId);
+
+  // A book whose last session was deleted drops out of the filter, so stop filtering by it.
+  useEffect(() => {
+    if (filters.bookId && !books.some((book) => book.id === filters.bookId)) {
+      setFilters((previousFilters) => ({ ...previousFilters, bookId: '' }));
+    }
+  }, [books, filters.bookId]);
+
+  useEffect(() => {
+    function handleHistoryEscape(event) {
+      if (event.defaultPrevented || event.key !== 'Escape') {
+        return;
+      }
+
+      event.preventDefault();
+      onClose();
+    }
+
+    window.addEventListener('keydown', handleHistoryEscape);
+    return () => {
+      window.removeEventListener('keydown', handleHistoryEscape);
+    };
+  }, [onClose]);
+
+  function handleSort(field) {
+    setSort((previousSort) =>
+      previousSort.field === field
+        ? { field, descending: !previousSort.descending }
+        : { field, descending: true }
+    );
+  }
+
+  function getAriaSort(field) {
+    if (!field || sort.field !== field) {
+      return undefined;
+    }
+
+    return sort.descending ? 'descending' : 'ascending';
+  }
+
+  function updateFilter(name, value) {
+    setFilters((previousFilters) => ({ ...previousFilters, [name]: value }));
+  }
+
+  let emptyMessage = '';
+  if (isLoading) {
+    emptyMessage = 'Loading your sessions...';
+  } else if (!sessions.length) {
+    emptyMessage = 'Finished sessions show up here, newest first.';
+  } else if (!visibleSessions.length) {
+    emptyMessage = 'No sessions match these filters.';
+  }
+
+  return (
+    <section className="screen-content history-screen">
+      <header className="history-header">
+        <h2 className="primary-heading">Session history</h2>
+        {sessions.length ? (
+          <p className="history-count">
+            {isFiltered
+              ? `${visibleSessions.length} of ${sessions.length} sessions`
+              : `${sessions.length} ${sessions.length === 1 ? 'session' : 'sessions'}`}
+          </p>
+        ) : null}
+      </header>
+
+      <div className="start-mode-toggle history-view-toggle" role="group" aria-label="View">
+        <button
+          type="button"
+          className={`book-chip${view === HISTORY_VIEW.SESSIONS ? ' selected' : ''}`}
+          onClick={() => setView(HISTORY_VIEW.SESSIONS)}
+          aria-pressed={view === HISTORY_VIEW.SESSIONS}
+        >
+          Sessions
+        </button>
+        <button
+          type="button"
+          className={`book-chip${view === HISTORY_VIEW.PROGRESS ? ' selected' : ''}`}
+          onClick={() => setView(HISTORY_VIEW.PROGRESS)}
+          aria-pressed={view === HISTORY_VIEW.PROGRESS}
+        >
+          Progress
+        </button>
+      </div>
+
+      <div className="history-filters" role="group" aria-label="Filter sessions">
+        <label className="chapter-jump">
+          <span>From</span>
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(event) => updateFilter('from', event.target.value)}
+          />
+        </label>
+        <label className="chapter-jump">
+          <span>To</span>
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(event) => updateFilter('to', event.target.value)}
+          />
+        </label>
+        <label className="chapter-jump history-book-filter">
+          <span>Book</span>
+          <select
+            value={filters.bookId}
+            onChange={(event) => updateFilter('bookId', event.target.value)}
+            disabled={!books.length}
+          >
+            <option value="">All sessions</option>
+            {books.map((book) => (
+              <option key={book.id} value={book.id}>
+                {book.title}
+              </option>
+            ))}
+          </select>
+        </label>
+        {isFiltered ? (
+          <button
+            type="button"
+            className="book-chip"
+            onClick={() => setFilters({ from: '', to: '', bookId: '' })}
+          >
+            Clear
+          </button>
+        ) : null}
+      </div>
+
+      {notice ? <p className="book-library-notice">{notice}</p> : null}
+
+      <div className="history-table-wrap">
+        {view === HISTORY_VIEW.PROGRESS ? (
+          <ProgressView sessions={visibleSessions} />
+        ) : (
+          <table className="history-table">
+            <thead>
+              <tr>
+                {COLUMNS.map(({ field, label }) => (
+                  <th key={label} scope="col" aria-sort={getAriaSort(field)}>
+                    {field ? (
+                      <button
+                        type="button"
+                        className={`history-sort${sort.field === field ? ' active' : ''}`}
+                        onClick={() => handleSort(field)}
+                      >
+                        {label}
+                        {sort.field === field ? (sort.descending ? ' ↓' : ' ↑') : ''}
+                      </button>
+                    ) : (
+                      label
+                    )}
+                  </th>
+                ))}
+                <th scope="col" aria-label="Delete" />
+              </tr>
+            </thead>
+            <tbody>
+              {visibleSessions.map((session) => (
+                <tr key={session.id}>
+                  <td>{formatFinishedAt(session)}</td>
+                  <td className="history-text">{describeText(session)}</td>
+                  <td>{formatTime(session.durationSeconds)}</td>
+                  <td>{session.averageWpm}</td>
+                  <td>{session.accuracy}%</td>
+                  <td>{session.wordsTyped.toLocaleString()}</td>
+                  <td>
+                    <button
+                      type="button"
+                      className="history-delete"
+                      onClick={() => onDeleteSession(session)}
+                      aria-label={`Delete the session from ${formatFinishedAt(session)}`}
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {emptyMessage ? <p className="book-library-notice history-empty">{emptyMessage}</p> : null}
+      </div>
+
+      <footer className="screen-footer history-footer">
+        <button type="button" className="summary-share-button" onClick={onClose}>
+          Back
+        </button>
+      </footer>
+    </section>
+  );
+}
+
+export default HistoryScreen;
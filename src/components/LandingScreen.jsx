@@ -1,6 +1,113 @@
-function LandingScreen({ onStartSession, isPreparing }) {
+import { useState } from 'react';
+import { isCustomTextFile, readCustomTextFile } from '../lib/customTexts';
+import { isEpubFile } from '../lib/importedBooks';
+import { ENTER_RULE } from '../lib/stats';
+import { SESSION_SOURCE } from '../lib/wordDrill';
+import BookLibrary from './BookLibrary';
+import CustomTextPanel from './CustomTextPanel';
+import SessionTargetOptions from './SessionTargetOptions';
+import TextTransformOptions from './TextTransformOptions';
+import WeakSpotPanel from './WeakSpotPanel';
+import WordDrillOptions from './WordDrillOptions';
+
+const SESSION_SOURCE_OPTIONS = [
+  { source: SESSION_SOURCE.BOOKS, label: 'Books' },
+  { source: SESSION_SOURCE.WORDS, label: 'Common words' },
+  { source: SESSION_SOURCE.WEAK_SPOTS, label: 'My weak spots' }
+];
+
+function LandingScreen({
+  onStartSession,
+  onOpenHistory,
+  isPreparing,
+  sessionSource,
+  onChangeSessionSource,
+  drillOptions,
+  onChangeDrillOptions,
+  weakSpots,
+  onResetKeyStats,
+  sessionTarget,
+  onChangeSessionTarget,
+  books,
+  bookSelection,
+  onChangeBookSelection,
+  startMode,
+  onChangeStartMode,
+  difficulty,
+  onChangeDifficulty,
+  enterRule,
+  onChangeEnterRule,
+  textTransforms,
+  onChangeTextTransforms,
+  readingPositions,
+  chapters,
+  chapterJump,
+  onChangeChapterJump,
+  onSaveCustomText,
+  onImportEpub,
+  onDeleteBook,
+  offlineBookIds,
+  onToggleBookOffline,
+  libraryNotice,
+  isImportingBook,
+  sharedSession,
+  onDismissSharedSession
+}) {
+  const [customDraft, setCustomDraft] = useState(null);
+  const [isDragActive, setIsDragActive] = useState(false);
+
+  function handleDragOver(event) {
+    if (!event.dataTransfer?.types?.includes('Files')) {
+      return;
+    }
+
+    event.preventDefault();
+    setIsDragActive(true);
+  }
+
+  async function handleDrop(event) {
+    event.preventDefault();
+    setIsDragActive(false);
+
+    const files = [...(event.dataTransfer?.files || [])];
+    if (isPreparing || isImportingBook) {
+      return;
+    }
+
+    const epubFile = files.find(isEpubFile);
+    if (epubFile) {
+      onImportEpub(epubFile);
+      return;
+    }
+
+    const file = files.find(isCustomTextFile);
+    if (!file) {
+      return;
+    }
+
+    try {
+      setCustomDraft({ ...(await readCustomTextFile(file)), key: Date.now() });
+    } catch (error) {
+      console.error('Failed to read dropped file:', error);
+    }
+  }
+
+  const sharedBook = sharedSession
+    ? books.find((book) => book.id === sharedSession.bookId)
+    : null;
+
+  function handleSaveCustomText(draft) {
+    onSaveCustomText(draft);
+    setCustomDraft(null);
+  }
+
   return (
-    <section className="screen-content landing-screen">
+    <section
+      className={`screen-content landing-screen${isDragActive ? ' drag-active' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragActive(false)}
+      onDrop={handleDrop}
+    >
       <div className="landing-content-frame">
         <div className="landing-main">
           <img src="/icons/Visual.svg" alt="AmbiType" className="brand-orb" />
@@ -11,8 +118,119 @@ function LandingScreen({ onStartSession, isPreparing }) {
             AmbiType is a chill space to practice typing with an endless flow of text and
             optional ambient music designed to keep you focused and in the flow.
           </p>
+
+          <button
+            type="button"
+            className="book-chip landing-history-button"
+            onClick={onOpenHistory}
+          >
+            Session history
+          </button>
         </div>
 
+        {sharedBook ? (
+          <div className="shared-session-notice" role="status">
+            <p>
+              Shared passage from <strong>{sharedBook.title}</strong>. Start the session to type
+              the same text, with the sender's text options and session length.
+            </p>
+            <button type="button" className="book-chip" onClick={onDismissSharedSession}>
+              Pick my own
+            </button>
+          </div>
+        ) : null}
+
+        <div
+          className="start-mode-toggle session-source-toggle"
+          role="group"
+          aria-label="What to type"
+        >
+          {SESSION_SOURCE_OPTIONS.map(({ source, label }) => (
+            <button
+              key={source}
+              type="button"
+              className={`book-chip${sessionSource === source ? ' selected' : ''}`}
+              onClick={() => onChangeSessionSource(source)}
+              aria-pressed={sessionSource === source}
+              disabled={isPreparing}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {sessionSource === SESSION_SOURCE.WORDS ? (
+          <WordDrillOptions
+            options={drillOptions}
+            onChange={onChangeDrillOptions}
+            disabled={isPreparing}
+          />
+        ) : sessionSource === SESSION_SOURCE.WEAK_SPOTS ? (
+          <WeakSpotPanel weakSpots={weakSpots} onReset={onResetKeyStats} disabled={isPreparing} />
+        ) : customDraft ? (
+          <CustomTextPanel
+            key={customDraft.key}
+            initialDraft={customDraft}
+            onSave={handleSaveCustomText}
+            onCancel={() => setCustomDraft(null)}
+          />
+        ) : (
+          <BookLibrary
+            books={books}
+            selection={bookSelection}
+            onChangeSelection={onChangeBookSelection}
+            startMode={startMode}
+            onChangeStartMode={onChangeStartMode}
+            difficulty={difficulty}
+            onChangeDifficulty={onChangeDifficulty}
+            readingPositions={readingPositions}
+            chapters={chapters}
+            chapterJump={chapterJump}
+            onChangeChapterJump={onChangeChapterJump}
+            onAddCustomText={() => setCustomDraft({ key: Date.now() })}
+            onImportEpub={onImportEpub}
+            onDeleteBook={onDeleteBook}
+            offlineBookIds={offlineBookIds}
+            onToggleBookOffline={onToggleBookOffline}
+            notice={libraryNotice}
+            disabled={isPreparing || isImportingBook}
+          />
+        )}
+
+        <SessionTargetOptions
+          target={sessionTarget}
+          onChange={onChangeSessionTarget}
+          disabled={isPreparing}
+        />
+
+        <div className="start-mode-toggle enter-rule-toggle" role="group" aria-label="Paragraph ends">
+          <span className="enter-rule-label">At paragraph ends</span>
+          <button
+            type="button"
+            className={`book-chip${enterRule === ENTER_RULE.EITHER ? ' selected' : ''}`}
+            onClick={() => onChangeEnterRule(ENTER_RULE.EITHER)}
+            aria-pressed={enterRule === ENTER_RULE.EITHER}
+          >
+            Enter or space
+          </button>
+          <button
+            type="button"
+            className={`book-chip${enterRule === ENTER_RULE.ENTER ? ' selected' : ''}`}
+            onClick={() => onChangeEnterRule(ENTER_RULE.ENTER)}
+            aria-pressed={enterRule === ENTER_RULE.ENTER}
+          >
+            Enter only
+          </button>
+        </div>
+
+        {sessionSource === SESSION_SOURCE.BOOKS && (
+          <TextTransformOptions
+            transforms={textTransforms}
+            onChange={onChangeTextTransforms}
+            disabled={isPreparing}
+          />
+        )}
+
         <footer className="screen-footer landing-footer">
           <p className="music-start-hint">
             <img src="/icons/Music.svg" alt="" aria-hidden="true" />
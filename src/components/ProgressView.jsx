@@ -0,0 +1,84 @@
+import { useMemo, useState } from 'react';
+import {
+  PROGRESS_PERIOD,
+  compareBooks,
+  getRollingAverage,
+  groupSessionsByPeriod
+} from '../lib/progressStats';
+import BookComparisonChart from './BookComparisonChart';
+import TrendChart from './TrendChart';
+
+const PERIOD_OPTIONS = [
+  { period: PROGRESS_PERIOD.DAY, label: 'Per day' },
+  { period: PROGRESS_PERIOD.WEEK, label: 'Per week' }
+];
+
+const periodFormat = new Intl.DateTimeFormat(undefined, { month: 'short', day: 'numeric' });
+
+function formatPeriod(start) {
+  return periodFormat.format(start);
+}
+
+function formatMinutes(minutes) {
+  return `${Math.round(minutes * 10) / 10}m`;
+}
+
+function ProgressView({ sessions }) {
+  const [period, setPeriod] = useState(PROGRESS_PERIOD.DAY);
+
+  const periods = useMemo(() => groupSessionsByPeriod(sessions, period), [period, sessions]);
+  const books = useMemo(() => compareBooks(sessions), [sessions]);
+
+  if (!periods.length) {
+    return null;
+  }
+
+  const formatWeekOrDay =
+    period === PROGRESS_PERIOD.WEEK ? (start) => `Week of ${formatPeriod(start)}` : formatPeriod;
+
+  return (
+    <div className="progress-view">
+      <div className="start-mode-toggle" role="group" aria-label="Group sessions">
+        {PERIOD_OPTIONS.map((option) => (
+          <button
+            key={option.period}
+            type="button"
+            className={`book-chip${period === option.period ? ' selected' : ''}`}
+            onClick={() => setPeriod(option.period)}
+            aria-pressed={period === option.period}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <TrendChart
+        title="Average WPM"
+        periods={periods}
+        values={periods.map((entry) => entry.averageWpm)}
+        rolling={getRollingAverage(periods, 'averageWpm', period)}
+        formatPeriod={formatWeekOrDay}
+      />
+      <TrendChart
+        title="Accuracy"
+        periods={periods}
+        values={periods.map((entry) => entry.accuracy)}
+        rolling={getRollingAverage(periods, 'accuracy', period)}
+        maximum={100}
+        formatValue={(value) => `${Math.round(value)}%`}
+        formatPeriod={formatWeekOrDay}
+      />
+      <TrendChart
+        title="Practice minutes"
+        periods={periods}
+        values={periods.map((entry) => entry.minutes)}
+        variant="bar"
+        formatValue={formatMinutes}
+        formatPeriod={formatWeekOrDay}
+      />
+      <BookComparisonChart books={books} />
+    </div>
+  );
+}
+
+export default ProgressView;
@@ -0,0 +1,235 @@
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import formatTime from '../lib/formatTime';
+import { KEYSTROKE_KIND, getReplayFrame } from '../lib/keystrokeLog';
+import { PARAGRAPH_BREAK } from '../lib/textNormalization';
+import TextGlyph from './TextGlyph';
+
+const REPLAY_SPEEDS = [1, 2, 4];
+
+// Only the text around the cursor is rendered, in steps so the window does not shift every frame.
+const RENDER_BEFORE_CHARS = 900;
+const RENDER_AFTER_CHARS = 500;
+const WINDOW_SHIFT_STEP = 200;
+
+function describeKey(character) {
+  if (character === PARAGRAPH_BREAK) {
+    return 'Enter';
+  }
+
+  return character === ' ' ? 'Space' : character;
+}
+
+function describeLastEvent(event) {
+  if (!event) {
+    return '';
+  }
+
+  if (event.kind === KEYSTROKE_KIND.CORRECTION) {
+    return 'Backspace';
+  }
+
+  if (event.correct) {
+    return describeKey(event.typed);
+  }
+
+  return `${describeKey(event.typed)} for ${describeKey(event.expected)}`;
+}
+
+function ReplayScreen({ replay, onClose }) {
+  const [positionMs, setPositionMs] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+
+  const viewportRef = useRef(null);
+  const currentCharacterRef = useRef(null);
+
+  // The last frame computed, which the next one moves forward from while playing.
+  const frameRef = useRef(null);
+  const frame = useMemo(() => {
+    frameRef.current = getReplayFrame(replay, positionMs, frameRef.current);
+    return frameRef.current;
+  }, [replay, positionMs]);
+  const { cursorIndex, results } = frame;
+
+  const windowStartIndex = Math.max(
+    0,
+    Math.floor((cursorIndex - RENDER_BEFORE_CHARS) / WINDOW_SHIFT_STEP) * WINDOW_SHIFT_STEP
+  );
+  const windowEndIndex = Math.min(replay.text.length, cursorIndex + RENDER_AFTER_CHARS);
+  const visibleCharacters = replay.text.slice(windowStartIndex, windowEndIndex).split('');
+
+  useEffect(() => {
+    if (!isPlaying) {
+      return undefined;
+    }
+
+    let frameId = 0;
+    let lastFrameAt = performance.now();
+
+    function advance(now) {
+      const deltaMs = (now - lastFrameAt) * speed;
+      lastFrameAt = now;
+
+      setPositionMs((previousPosition) => Math.min(replay.durationMs, previousPosition + deltaMs));
+
+      frameId = window.requestAnimationFrame(advance);
+    }
+
+    frameId = window.requestAnimationFrame(advance);
+    return () => {
+      window.cancelAnimationFrame(frameId);
+    };
+  }, [isPlaying, replay, speed]);
+
+  // Playback stops on its own once it reaches the end of the session.
+  useEffect(() => {
+    if (isPlaying && positionMs >= replay.durationMs) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, positionMs, replay]);
+
+  // Keeps the cursor a third of the way down the text box, like the typing screen does.
+  useLayoutEffect(() => {
+    const viewport = viewportRef.current;
+    const currentCharacter = currentCharacterRef.current;
+
+    if (!viewport || !currentCharacter) {
+      return;
+    }
+
+    viewport.scrollTop = Math.max(0, currentCharacter.offsetTop - viewport.clientHeight / 3);
+  }, [cursorIndex, windowStartIndex]);
+
+  function togglePlayback() {
+    if (!isPlaying && positionMs >= replay.durationMs) {
+      setPositionMs(0);
+    }
+
+    setIsPlaying((previousState) => !previousState);
+  }
+
+  useEffect(() => {
+    function handleReplayShortcut(event) {
+      if (event.defaultPrevented || event.repeat) {
+        return;
+      }
+
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        onClose();
+        return;
+      }
+
+      if (event.key === ' ' && event.target?.tagName !== 'BUTTON') {
+        event.preventDefault();
+        togglePlayback();
+      }
+    }
+
+    window.addEventListener('keydown', handleReplayShortcut);
+    return () => {
+      window.removeEventListener('keydown', handleReplayShortcut);
+    };
+  });
+
+  function handleScrub(event) {
+    setPositionMs(Number(event.target.value));
+  }
+
+  return (
+    <section className="screen-content replay-screen">
+      <header className="replay-header">
+        <h2 className="primary-heading">Session replay</h2>
+        <dl className="replay-readout">
+          <div>
+            <dt>WPM</dt>
+            <dd>{frame.wpm}</dd>
+          </div>
+          <div>
+            <dt>Accuracy</dt>
+            <dd>{frame.accuracy}%</dd>
+          </div>
+          <div>
+            <dt>Corrections</dt>
+            <dd>{frame.corrections}</dd>
+          </div>
+          <div>
+            <dt>Last key</dt>
+            <dd className={frame.lastEvent?.correct === false ? 'replay-key-miss' : ''}>
+              {describeLastEvent(frame.lastEvent) || '–'}
+            </dd>
+          </div>
+        </dl>
+      </header>
+
+      <div className="replay-viewport" ref={viewportRef}>
+        <p className="replay-text-flow" aria-hidden="true">
+          {visibleCharacters.map((character, index) => {
+            const absoluteIndex = windowStartIndex + index;
+            let className = 'glyph glyph-pending';
+
+            if (absoluteIndex < cursorIndex) {
+              className = results[absoluteIndex] ? 'glyph glyph-correct' : 'glyph glyph-incorrect';
+            }
+
+            if (absoluteIndex === cursorIndex) {
+              className = 'glyph glyph-current replay-current';
+            }
+
+            return (
+              <TextGlyph
+                key={absoluteIndex}
+                character={character}
+                className={className}
+                glyphRef={absoluteIndex === cursorIndex ? currentCharacterRef : null}
+              />
+            );
+          })}
+        </p>
+      </div>
+
+      <div className="replay-controls">
+        <button type="button" className="replay-play-button" onClick={togglePlayback}>
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+
+        <input
+          type="range"
+          className="replay-scrubber"
+          min={0}
+          max={Math.ceil(replay.durationMs)}
+          step={10}
+          value={Math.round(positionMs)}
+          onChange={handleScrub}
+          aria-label="Replay position"
+        />
+
+        <span className="replay-time">
+          {formatTime(positionMs / 1000)} / {formatTime(replay.durationMs / 1000)}
+        </span>
+
+        <div className="replay-speeds" role="group" aria-label="Replay speed">
+          {REPLAY_SPEEDS.map((option) => (
+            <button
+              key={option}
+              type="button"
+              className={`replay-speed${speed === option ? ' selected' : ''}`}
+              aria-pressed={speed === option}
+              onClick={() => setSpeed(option)}
+            >
+              {option}x
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <footer className="screen-footer replay-footer">
+        <button type="button" className="summary-share-button" onClick={onClose}>
+          Back to summary
+        </button>
+      </footer>
+    </section>
+  );
+}
+
+export default ReplayScreen;
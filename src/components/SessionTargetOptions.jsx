@@ -0,0 +1,73 @@
+import {
+  SESSION_TARGET_MODE,
+  TIMED_TARGET_SECONDS,
+  WORD_TARGET_COUNTS
+} from '../lib/sessionTargets';
+
+const TARGET_MODE_OPTIONS = [
+  { mode: SESSION_TARGET_MODE.ENDLESS, label: 'Endless' },
+  { mode: SESSION_TARGET_MODE.TIMED, label: 'Timed' },
+  { mode: SESSION_TARGET_MODE.WORDS, label: 'Word count' },
+  { mode: SESSION_TARGET_MODE.QUOTE, label: 'Quote' }
+];
+
+function formatDuration(seconds) {
+  return seconds < 60 ? `${seconds}s` : `${seconds / 60} min`;
+}
+
+function SessionTargetOptions({ target, onChange, disabled }) {
+  return (
+    <div className="session-target-options">
+      <div className="start-mode-toggle" role="group" aria-label="Session length">
+        {TARGET_MODE_OPTIONS.map(({ mode, label }) => (
+          <button
+            key={mode}
+            type="button"
+            className={`book-chip${target.mode === mode ? ' selected' : ''}`}
+            onClick={() => onChange({ ...target, mode })}
+            aria-pressed={target.mode === mode}
+            disabled={disabled}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {target.mode === SESSION_TARGET_MODE.TIMED && (
+        <div className="start-mode-toggle" role="group" aria-label="Test duration">
+          {TIMED_TARGET_SECONDS.map((seconds) => (
+            <button
+              key={seconds}
+              type="button"
+              className={`book-chip${target.seconds === seconds ? ' selected' : ''}`}
+              onClick={() => onChange({ ...target, seconds })}
+              aria-pressed={target.seconds === seconds}
+              disabled={disabled}
+            >
+              {formatDuration(seconds)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {target.mode === SESSION_TARGET_MODE.WORDS && (
+        <div className="start-mode-toggle" role="group" aria-label="Word count">
+          {WORD_TARGET_COUNTS.map((words) => (
+            <button
+              key={words}
+              type="button"
+              className={`book-chip${target.words === words ? ' selected' : ''}`}
+              onClick={() => onChange({ ...target, words })}
+              aria-pressed={target.words === words}
+              disabled={disabled}
+            >
+              {words} words
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SessionTargetOptions;
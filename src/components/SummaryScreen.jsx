@@ -1,20 +1,40 @@
 import { useEffect, useRef, useState } from 'react';
+import copyText from '../lib/copyText';
 import formatTime from '../lib/formatTime';
 import StatCard from './StatCard';
 
-function SummaryScreen({ summaryStats, onRestartSession }) {
+function SummaryScreen({ summaryStats, onRestartSession, onOpenReplay, onOpenHistory }) {
   const [isScrolling, setIsScrolling] = useState(false);
+  const [isLinkCopied, setIsLinkCopied] = useState(false);
   const scrollIdleTimeoutRef = useRef(null);
+  const copiedResetTimeoutRef = useRef(null);
 
   useEffect(
     () => () => {
       if (scrollIdleTimeoutRef.current) {
         window.clearTimeout(scrollIdleTimeoutRef.current);
       }
+
+      if (copiedResetTimeoutRef.current) {
+        window.clearTimeout(copiedResetTimeoutRef.current);
+      }
     },
     []
   );
 
+  async function handleCopyShareLink() {
+    await copyText(summaryStats.shareLink);
+    setIsLinkCopied(true);
+
+    if (copiedResetTimeoutRef.current) {
+      window.clearTimeout(copiedResetTimeoutRef.current);
+    }
+
+    copiedResetTimeoutRef.current = window.setTimeout(() => {
+      setIsLinkCopied(false);
+    }, 3000);
+  }
+
   function handleSummaryScroll() {
     setIsScrolling(true);
 
@@ -43,6 +63,33 @@ function SummaryScreen({ summaryStats, onRestartSession }) {
             <StatCard value={`${summaryStats.accuracy}%`} label="Accuracy" />
             <StatCard value={formatTime(summaryStats.timeTyped)} label="Time typed" />
           </div>
+
+          {summaryStats.shareLink ? (
+            <div className="summary-share">
+              <button type="button" className="summary-share-button" onClick={handleCopyShareLink}>
+                {isLinkCopied ? 'Link copied' : 'Copy link to this passage'}
+              </button>
+              <p className="summary-share-hint">
+                Whoever opens it types the same text, for comparing results.
+              </p>
+            </div>
+          ) : null}
+
+          {onOpenReplay ? (
+            <div className="summary-share">
+              <button type="button" className="summary-share-button" onClick={onOpenReplay}>
+                Watch replay
+              </button>
+              <p className="summary-share-hint">Play the session back keystroke by keystroke.</p>
+            </div>
+          ) : null}
+
+          <div className="summary-share">
+            <button type="button" className="summary-share-button" onClick={onOpenHistory}>
+              Session history
+            </button>
+            <p className="summary-share-hint">This session is saved there with all the others.</p>
+          </div>
         </div>
       </div>
 
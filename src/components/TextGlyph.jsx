@@ -0,0 +1,27 @@
+import { PARAGRAPH_BREAK } from '../lib/textNormalization';
+
+// Paragraph breaks are typed like any other character, so they get a visible glyph to land on.
+export const PARAGRAPH_BREAK_GLYPH = '\u21B5';
+
+// One character of the typing or replay text. A paragraph break shows its glyph, then the gap
+// that starts the next paragraph.
+function TextGlyph({ character, className, glyphRef = null }) {
+  if (character === PARAGRAPH_BREAK) {
+    return (
+      <>
+        <span className={`${className} glyph-break`} ref={glyphRef}>
+          {PARAGRAPH_BREAK_GLYPH}
+        </span>
+        <span className="paragraph-gap" />
+      </>
+    );
+  }
+
+  return (
+    <span className={className} ref={glyphRef}>
+      {character}
+    </span>
+  );
+}
+
+export default TextGlyph;
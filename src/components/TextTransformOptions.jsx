@@ -0,0 +1,43 @@
+const TRANSFORM_TOGGLES = [
+  { key: 'stripPunctuation', label: 'No punctuation' },
+  { key: 'lowercase', label: 'Lowercase' },
+  { key: 'removeDigits', label: 'No numbers' },
+  { key: 'foldAscii', label: 'Plain letters' },
+  { key: 'collapseQuotes', label: 'No quotes' }
+];
+
+function TextTransformOptions({ transforms, onChange, disabled }) {
+  function handleToggle(key) {
+    onChange({ ...transforms, [key]: !transforms[key] });
+  }
+
+  return (
+    <div className="text-transform-options" role="group" aria-label="Text options">
+      {TRANSFORM_TOGGLES.map(({ key, label }) => (
+        <button
+          key={key}
+          type="button"
+          className={`book-chip${transforms[key] ? ' selected' : ''}`}
+          onClick={() => handleToggle(key)}
+          aria-pressed={transforms[key]}
+          disabled={disabled}
+        >
+          {label}
+        </button>
+      ))}
+
+      <input
+        type="text"
+        className="text-transform-charset"
+        placeholder="Only these keys"
+        value={transforms.charset}
+        onChange={(event) => onChange({ ...transforms, charset: event.target.value })}
+        aria-label="Only use words made of these characters"
+        spellCheck={false}
+        disabled={disabled}
+      />
+    </div>
+  );
+}
+
+export default TextTransformOptions;
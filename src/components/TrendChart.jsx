@@ -0,0 +1,175 @@
+// A small SVG line or bar chart over progress periods. Colours come from the chart classes in
+// styles.css, so it follows the light and dark themes. Values are plotted as given and only
+// rounded by `formatValue` where they are printed.
+const WIDTH = 560;
+const HEIGHT = 170;
+const PADDING = { top: 12, right: 10, bottom: 26, left: 38 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+
+function getDomain(values, variant, maximum) {
+  const high = Math.max(...values);
+
+  if (variant === 'bar') {
+    return [0, high > 0 ? high : 1];
+  }
+
+  const low = Math.min(...values);
+  const padding = Math.max(2, (high - low) * 0.15);
+
+  return [
+    Math.max(0, Math.floor(low - padding)),
+    Math.min(maximum ?? Infinity, Math.ceil(high + padding))
+  ];
+}
+
+// Connects the points that have a value, so periods without practice do not break the line.
+function toLinePath(points) {
+  return points
+    .filter((point) => point.value !== null)
+    .map((point, index) => `${index ? 'L' : 'M'}${point.x.toFixed(1)},${point.y.toFixed(1)}`)
+    .join(' ');
+}
+
+function TrendChart({
+  title,
+  periods,
+  values,
+  rolling = null,
+  variant = 'line',
+  maximum,
+  formatValue = (value) => String(Math.round(value)),
+  formatPeriod
+}) {
+  const presentValues = [...values, ...(rolling || [])].filter((value) => value !== null);
+
+  if (!presentValues.length) {
+    return null;
+  }
+
+  const [low, high] = getDomain(presentValues, variant, maximum);
+  const slotWidth = PLOT_WIDTH / values.length;
+  const toX = (index) =>
+    variant === 'bar' || values.length === 1
+      ? PADDING.left + slotWidth * (index + 0.5)
+      : PADDING.left + (index * PLOT_WIDTH) / (values.length - 1);
+  const toY = (value) => PADDING.top + PLOT_HEIGHT - ((value - low) / (high - low)) * PLOT_HEIGHT;
+  const toPoints = (series) =>
+    series.map((value, index) => ({
+      value,
+      x: toX(index),
+      y: value === null ? 0 : toY(value)
+    }));
+
+  const points = toPoints(values);
+  const ticks = [low, (low + high) / 2, high];
+  const labelIndexes = [...new Set([0, Math.floor((values.length - 1) / 2), values.length - 1])];
+  const barWidth = Math.max(2, Math.min(24, slotWidth * 0.7));
+  // The outer period labels hang inward so they stay inside the chart.
+  const getLabelAnchor = (index) => {
+    if (values.length === 1 || (index > 0 && index < values.length - 1)) {
+      return 'middle';
+    }
+
+    return index === 0 ? 'start' : 'end';
+  };
+
+  return (
+    <figure className="chart">
+      <figcaption className="chart-title">
+        {title}
+        {rolling ? (
+          <span className="chart-legend">
+            <span className="chart-swatch chart-swatch-rolling" aria-hidden="true" />
+            Rolling average
+          </span>
+        ) : null}
+      </figcaption>
+
+      <svg
+        className="chart-svg"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={`${title}, ${formatPeriod(periods[0].start)} to ${formatPeriod(
+          periods[periods.length - 1].start
+        )}`}
+      >
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line
+              className="chart-grid"
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={toY(tick)}
+              y2={toY(tick)}
+            />
+            <text
+              className="chart-axis-label"
+              x={PADDING.left - 6}
+              y={toY(tick)}
+              dy="0.32em"
+              textAnchor="end"
+            >
+              {formatValue(tick)}
+            </text>
+          </g>
+        ))}
+
+        {labelIndexes.map((index) => (
+          <text
+            key={index}
+            className="chart-axis-label chart-period-label"
+            x={toX(index)}
+            y={HEIGHT - 6}
+            textAnchor={getLabelAnchor(index)}
+          >
+            {formatPeriod(periods[index].start)}
+          </text>
+        ))}
+
+        {variant === 'bar' ? (
+          points.map((point, index) =>
+            point.value ? (
+              <rect
+                key={periods[index].start}
+                className="chart-bar"
+                x={point.x - barWidth / 2}
+                y={point.y}
+                width={barWidth}
+                height={PADDING.top + PLOT_HEIGHT - point.y}
+                rx={Math.min(4, barWidth / 2)}
+              >
+                <title>
+                  {`${formatPeriod(periods[index].start)}: ${formatValue(point.value)}`}
+                </title>
+              </rect>
+            ) : null
+          )
+        ) : (
+          <>
+            <path className="chart-line" d={toLinePath(points)} />
+            {points.map((point, index) =>
+              point.value === null ? null : (
+                <circle
+                  key={periods[index].start}
+                  className="chart-point"
+                  cx={point.x}
+                  cy={point.y}
+                  r={3}
+                >
+                  <title>
+                    {`${formatPeriod(periods[index].start)}: ${formatValue(point.value)}`}
+                  </title>
+                </circle>
+              )
+            )}
+          </>
+        )}
+
+        {rolling ? <path className="chart-rolling" d={toLinePath(toPoints(rolling))} /> : null}
+      </svg>
+    </figure>
+  );
+}
+
+export default TrendChart;
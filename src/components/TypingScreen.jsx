@@ -1,5 +1,7 @@
 import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { PARAGRAPH_BREAK } from '../lib/textNormalization';
 import ControlBar from './ControlBar';
+import TextGlyph, { PARAGRAPH_BREAK_GLYPH } from './TextGlyph';
 
 function clamp(value, min, max) {
   return Math.min(max, Math.max(min, value));
@@ -27,12 +29,29 @@ function findForwardBoundary(text, startIndex) {
   return clamp(index, 0, text.length);
 }
 
+// Mirrors the glyph layout of paragraph breaks so the hidden prefix wraps like the real text.
+function renderPrefixText(prefixText) {
+  return prefixText.split(PARAGRAPH_BREAK).map((paragraph, index) => (
+    <span key={index}>
+      {index > 0 ? (
+        <>
+          {PARAGRAPH_BREAK_GLYPH}
+          <span className="paragraph-gap" />
+        </>
+      ) : null}
+      {paragraph}
+    </span>
+  ));
+}
+
 function TypingScreen({
   targetText,
   cursorIndex,
   typedResults,
   elapsedSeconds,
   liveWpm,
+  chapterTitle,
+  targetProgress,
   isMuted,
   onToggleMute,
   onFinishSession,
@@ -187,7 +206,7 @@ function TypingScreen({
     if (event.key === 'Enter') {
       event.preventDefault();
       onTypingInteraction();
-      onTypeCharacter(' ');
+      onTypeCharacter(PARAGRAPH_BREAK);
     }
   }
 
@@ -201,7 +220,13 @@ function TypingScreen({
   }
 
   return (
-    <section className="typing-screen">
+    <section className={`typing-screen${chapterTitle ? ' has-location' : ''}`}>
+      {chapterTitle ? (
+        <p className="typing-location" aria-live="polite">
+          {chapterTitle}
+        </p>
+      ) : null}
+
       <div
         className="typing-target"
         ref={typingTargetRef}
@@ -223,7 +248,7 @@ function TypingScreen({
           >
             {prefixText ? (
               <span className="typing-prefix-spacer" aria-hidden="true">
-                {prefixText}
+                {renderPrefixText(prefixText)}
               </span>
             ) : null}
 
@@ -240,13 +265,12 @@ function TypingScreen({
               }
 
               return (
-                <span
+                <TextGlyph
                   key={absoluteIndex}
+                  character={character}
                   className={className}
-                  ref={absoluteIndex === cursorIndex ? currentCharacterRef : null}
-                >
-                  {character}
-                </span>
+                  glyphRef={absoluteIndex === cursorIndex ? currentCharacterRef : null}
+                />
               );
             })}
           </p>
@@ -265,6 +289,7 @@ function TypingScreen({
         <ControlBar
           elapsedSeconds={elapsedSeconds}
           liveWpm={liveWpm}
+          targetProgress={targetProgress}
           isMuted={isMuted}
           onToggleMute={handleMuteToggle}
           onFinishSession={handleFinishSession}
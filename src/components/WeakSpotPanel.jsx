@@ -0,0 +1,58 @@
+function formatWeakSpot({ errorRate, latency }) {
+  const errors = `${Math.round(errorRate * 100)}% missed`;
+  return latency === null ? errors : `${errors}, ${latency} ms`;
+}
+
+function WeakSpotList({ label, spots }) {
+  if (!spots.length) {
+    return null;
+  }
+
+  return (
+    <div className="weak-spot-group">
+      <p className="weak-spot-label">{label}</p>
+      <ul className="weak-spot-list">
+        {spots.map((spot) => (
+          <li key={spot.key} className="weak-spot">
+            <span className="weak-spot-key">{spot.key}</span>
+            <span className="weak-spot-detail">{formatWeakSpot(spot)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function WeakSpotPanel({ weakSpots, onReset, disabled }) {
+  const hasWeakSpots = weakSpots.characters.length > 0 || weakSpots.bigrams.length > 0;
+
+  return (
+    <section className="book-library weak-spot-panel" aria-label="Weak spots">
+      <div className="book-library-header">
+        <p className="book-library-title">Weak spots</p>
+
+        {hasWeakSpots && (
+          <div className="book-library-actions">
+            <button type="button" className="book-chip" onClick={onReset} disabled={disabled}>
+              Forget my key stats
+            </button>
+          </div>
+        )}
+      </div>
+
+      {hasWeakSpots ? (
+        <>
+          <WeakSpotList label="Keys" spots={weakSpots.characters} />
+          <WeakSpotList label="Letter pairs" spots={weakSpots.bigrams} />
+        </>
+      ) : (
+        <p className="book-library-notice">
+          Keys and letter pairs you miss or type slowly show up here after a session or two. Until
+          then, this practice draws evenly from common words.
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default WeakSpotPanel;
@@ -0,0 +1,70 @@
+import { DRILL_SENTENCE_LENGTH, DRILL_WORD_COUNTS } from '../lib/wordDrill';
+
+const DRILL_TOGGLES = [
+  { key: 'capitalization', label: 'Capitals' },
+  { key: 'punctuation', label: 'Punctuation' },
+  { key: 'numbers', label: 'Numbers' }
+];
+
+const SENTENCE_LENGTH_OPTIONS = [
+  { value: DRILL_SENTENCE_LENGTH.SHORT, label: 'Short sentences' },
+  { value: DRILL_SENTENCE_LENGTH.MEDIUM, label: 'Medium sentences' },
+  { value: DRILL_SENTENCE_LENGTH.LONG, label: 'Long sentences' }
+];
+
+function WordDrillOptions({ options, onChange, disabled }) {
+  return (
+    <section className="book-library word-drill-options" aria-label="Common words drill">
+      <div className="book-library-header">
+        <p className="book-library-title">Common words</p>
+      </div>
+
+      <div className="start-mode-toggle" role="group" aria-label="How many words">
+        {DRILL_WORD_COUNTS.map((wordCount) => (
+          <button
+            key={wordCount}
+            type="button"
+            className={`book-chip${options.wordCount === wordCount ? ' selected' : ''}`}
+            onClick={() => onChange({ ...options, wordCount })}
+            aria-pressed={options.wordCount === wordCount}
+            disabled={disabled}
+          >
+            Top {wordCount.toLocaleString()}
+          </button>
+        ))}
+      </div>
+
+      <div className="start-mode-toggle" role="group" aria-label="Drill options">
+        {DRILL_TOGGLES.map(({ key, label }) => (
+          <button
+            key={key}
+            type="button"
+            className={`book-chip${options[key] ? ' selected' : ''}`}
+            onClick={() => onChange({ ...options, [key]: !options[key] })}
+            aria-pressed={options[key]}
+            disabled={disabled}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="start-mode-toggle" role="group" aria-label="Sentence length">
+        {SENTENCE_LENGTH_OPTIONS.map(({ value, label }) => (
+          <button
+            key={value}
+            type="button"
+            className={`book-chip${options.sentenceLength === value ? ' selected' : ''}`}
+            onClick={() => onChange({ ...options, sentenceLength: value })}
+            aria-pressed={options.sentenceLength === value}
+            disabled={disabled}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default WordDrillOptions;
@@ -0,0 +1,16 @@
+// Falls back to a hidden textarea where the async clipboard API is missing or blocked.
+export default async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (error) {
+    const fallbackInput = document.createElement('textarea');
+    fallbackInput.value = text;
+    fallbackInput.setAttribute('readonly', '');
+    fallbackInput.style.position = 'fixed';
+    fallbackInput.style.opacity = '0';
+    document.body.appendChild(fallbackInput);
+    fallbackInput.select();
+    document.execCommand('copy');
+    document.body.removeChild(fallbackInput);
+  }
+}
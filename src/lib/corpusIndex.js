@@ -0,0 +1,164 @@
+// Shared by the corpus builder (Node) and the app, so keep this module dependency-free.
+import { PARAGRAPH_BREAK, isNormalizationProfileName } from './textNormalization.js';
+
+// v1 was a bare array of { id, title, path, bytes }; v2 wraps books with metadata and stats.
+export const CORPUS_INDEX_VERSION = 2;
+
+const BOOK_PATH_REGEX = /^\/corpus\/books\/[a-z0-9-]+\.txt$/;
+const SHARD_DIRECTORY_REGEX = /^\/corpus\/shards\/[a-z0-9-]+\/$/;
+const SHARD_PATH_REGEX = /^\/corpus\/shards\/[a-z0-9-]+\/\d+\.txt$/;
+// Shards end at a paragraph break (or at least a space) within this far of their target size.
+const SHARD_BOUNDARY_WINDOW_CHARS = 4000;
+const OPTIONAL_STRING_FIELDS = ['author', 'language', 'published', 'rights', 'contentHash'];
+const OPTIONAL_COUNT_FIELDS = ['words', 'characters', 'paragraphs'];
+const OPTIONAL_PATH_FIELDS = ['chaptersPath', 'difficultyPath'];
+
+export function isValidCorpusBookPath(pathValue) {
+  return typeof pathValue === 'string' && BOOK_PATH_REGEX.test(pathValue);
+}
+
+export function isValidCorpusShardPath(pathValue) {
+  return typeof pathValue === 'string' && SHARD_PATH_REGEX.test(pathValue);
+}
+
+// Start offsets of shards of roughly shardChars each; joined back in order they are the text.
+export function findShardOffsets(text, shardChars) {
+  const value = String(text || '');
+  const offsets = [0];
+
+  while (value.length - offsets[offsets.length - 1] > shardChars) {
+    const target = offsets[offsets.length - 1] + shardChars;
+    const windowStart = target - SHARD_BOUNDARY_WINDOW_CHARS;
+    const breakIndex = value.lastIndexOf(PARAGRAPH_BREAK, target);
+    const spaceIndex = value.lastIndexOf(' ', target);
+    let end = target;
+
+    if (breakIndex > windowStart) {
+      end = breakIndex + PARAGRAPH_BREAK.length;
+    } else if (spaceIndex > windowStart) {
+      end = spaceIndex + 1;
+    }
+
+    offsets.push(end);
+  }
+
+  return offsets;
+}
+
+// Offsets must start at 0 and climb inside the text, or slicing shards back together breaks.
+function sanitizeShards(shards, characters) {
+  const offsets = shards?.offsets;
+
+  if (
+    !SHARD_DIRECTORY_REGEX.test(shards?.path || '') ||
+    !Number.isInteger(characters) ||
+    !Array.isArray(offsets) ||
+    offsets[0] !== 0 ||
+    !offsets.every(
+      (offset, index) =>
+        Number.isInteger(offset) &&
+        offset < characters &&
+        (index === 0 || offset > offsets[index - 1])
+    )
+  ) {
+    return null;
+  }
+
+  return { path: shards.path, offsets: [...offsets] };
+}
+
+export function countBookText(text) {
+  const value = String(text || '');
+
+  return {
+    words: (value.match(/\S+/g) || []).length,
+    characters: value.length,
+    paragraphs: value ? value.split(PARAGRAPH_BREAK).filter(Boolean).length : 0
+  };
+}
+
+// Web Crypto is global in browsers and in Node 20+, so the builder and app hash identically.
+export async function hashBookText(text) {
+  const digest = await globalThis.crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(String(text || ''))
+  );
+  const hex = [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+  return `sha256-${hex}`;
+}
+
+function sanitizeBookEntry(entry) {
+  if (!entry || typeof entry.id !== 'string' || !isValidCorpusBookPath(entry.path)) {
+    return null;
+  }
+
+  const sanitized = {
+    id: entry.id,
+    title: typeof entry.title === 'string' && entry.title.trim() ? entry.title : entry.id,
+    path: entry.path,
+    bytes: Number.isFinite(entry.bytes) ? entry.bytes : 0
+  };
+
+  for (const field of OPTIONAL_STRING_FIELDS) {
+    if (typeof entry[field] === 'string' && entry[field]) {
+      sanitized[field] = entry[field];
+    }
+  }
+
+  for (const field of OPTIONAL_COUNT_FIELDS) {
+    if (Number.isInteger(entry[field]) && entry[field] >= 0) {
+      sanitized[field] = entry[field];
+    }
+  }
+
+  for (const field of OPTIONAL_PATH_FIELDS) {
+    if (typeof entry[field] === 'string') {
+      sanitized[field] = entry[field];
+    }
+  }
+
+  // The profile that built the text; books from before profiles existed have none.
+  if (isNormalizationProfileName(entry.normalization)) {
+    sanitized.normalization = entry.normalization;
+  }
+
+  const shards = sanitizeShards(entry.shards, sanitized.characters);
+  if (shards) {
+    sanitized.shards = shards;
+  }
+
+  return sanitized;
+}
+
+// v1 titles were lowercased filenames, so capitalize them the way the library used to show them.
+function upgradeV1Entry(entry) {
+  if (typeof entry?.title !== 'string') {
+    return entry;
+  }
+
+  return { ...entry, title: entry.title.replace(/\b[a-z]/g, (letter) => letter.toUpperCase()) };
+}
+
+// Returns the valid book entries of a v1 or v2 index; throws on anything else.
+export function readCorpusIndex(index) {
+  let books;
+
+  if (Array.isArray(index)) {
+    books = index.map(upgradeV1Entry);
+  } else if (index?.version === CORPUS_INDEX_VERSION && Array.isArray(index.books)) {
+    ({ books } = index);
+  } else if (Number.isInteger(index?.version)) {
+    throw new Error(`Unsupported corpus index version: ${index.version}`);
+  } else {
+    throw new Error('Corpus index is empty or invalid.');
+  }
+
+  return books.map(sanitizeBookEntry).filter(Boolean);
+}
+
+export function createCorpusIndex(books) {
+  return { version: CORPUS_INDEX_VERSION, books };
+}
@@ -0,0 +1,504 @@
+// Quality checks for built corpus text, used by `npm run corpus:lint`. Dependency-free like the
+// other modules the builder shares with the app.
+import { PARAGRAPH_BREAK } from './textNormalization.js';
+
+export const LINT_REPORT_VERSION = 1;
+
+export const LINT_RULE = {
+  UNTYPABLE: 'untypable-character',
+  ENCODING: 'encoding',
+  LICENCE: 'licence',
+  TABLE_OF_CONTENTS: 'table-of-contents',
+  HEADING: 'heading',
+  SEPARATOR: 'separator',
+  LONG_PARAGRAPH: 'long-paragraph',
+  DUPLICATE: 'duplicate'
+};
+
+// Every rule can be overridden from a JSON rules file; see `resolveLintRules`.
+export const DEFAULT_LINT_RULES = {
+  maxParagraphChars: 3000,
+  minDuplicateChars: 80,
+  // Printable ASCII is always typable; list any other characters a keyboard layout covers here.
+  allowedCharacters: '',
+  replacements: {
+    æ: 'ae',
+    Æ: 'Ae',
+    œ: 'oe',
+    Œ: 'Oe',
+    ß: 'ss',
+    '½': '1/2',
+    '¼': '1/4',
+    '¾': '3/4',
+    '…': '...',
+    '•': '-',
+    '×': 'x'
+  },
+  fix: {
+    replaceCharacters: true,
+    // Drops accents from Latin letters, so "café" becomes "cafe".
+    stripDiacritics: true,
+    repairEncoding: true,
+    removeBoilerplate: true,
+    removeSeparators: true,
+    splitLongParagraphs: true,
+    // Off by default: a shared epigraph or quotation is often fine to keep in both books.
+    removeDuplicates: false
+  }
+};
+
+const EXCERPT_CHARS = 80;
+const TYPABLE_REGEX = /[\x20-\x7E]/;
+const CONTROL_CHARACTER_REGEX = /[\u0000-\u0009\u000B-\u001F\u007F-\u009F]/g;
+// UTF-8 text decoded as Latin-1 or Windows-1252 leaves pairs like "Ã©" and "â€™".
+const MOJIBAKE_REGEX = /[ÂÃ][\u0080-¿]|â€[\u0080-¿‘-”™]/;
+const LICENCE_REGEX = new RegExp(
+  [
+    'project gutenberg',
+    'gutenberg\\.org',
+    'gutenberg literary archive',
+    'this ebook is for the use of anyone',
+    '\\bgutenberg(-tm)? license\\b',
+    'standard ebooks',
+    'cc0 1\\.0 universal'
+  ].join('|'),
+  'i'
+);
+const CONTENTS_ENTRY_REGEX = /\b(chapter|book|part|letter|section)\s+([ivxlc]+|\d+)\b/gi;
+// A table of contents packs its entries close together; a chapter mentioning another does not.
+const MAX_CONTENTS_CHARS_PER_ENTRY = 120;
+const MAX_HEADING_CHARS = 100;
+// Longer paragraphs that look like boilerplate are reported but kept, since they likely mix in
+// real text (a licence note run together with the first chapter, say).
+const MAX_REMOVABLE_CHARS = 2000;
+const INLINE_SEPARATOR_REGEX = /\s*(?:\*\s*){3,}/g;
+const SENTENCE_END_REGEX = /[.!?]["')\]]*\s+/g;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merges a rules file over the defaults; unknown keys and values of the wrong type are ignored.
+export function resolveLintRules(overrides = {}) {
+  const rules = {
+    ...DEFAULT_LINT_RULES,
+    replacements: { ...DEFAULT_LINT_RULES.replacements },
+    fix: { ...DEFAULT_LINT_RULES.fix }
+  };
+
+  if (!isPlainObject(overrides)) {
+    return rules;
+  }
+
+  for (const field of ['maxParagraphChars', 'minDuplicateChars']) {
+    if (Number.isInteger(overrides[field]) && overrides[field] > 0) {
+      rules[field] = overrides[field];
+    }
+  }
+
+  if (typeof overrides.allowedCharacters === 'string') {
+    rules.allowedCharacters = overrides.allowedCharacters;
+  }
+
+  if (isPlainObject(overrides.replacements)) {
+    for (const [character, replacement] of Object.entries(overrides.replacements)) {
+      if (typeof replacement === 'string') {
+        rules.replacements[character] = replacement;
+      } else if (replacement === null) {
+        delete rules.replacements[character];
+      }
+    }
+  }
+
+  if (isPlainObject(overrides.fix)) {
+    for (const field of Object.keys(rules.fix)) {
+      if (typeof overrides.fix[field] === 'boolean') {
+        rules.fix[field] = overrides.fix[field];
+      }
+    }
+  }
+
+  return rules;
+}
+
+function isTypable(character, rules) {
+  return TYPABLE_REGEX.test(character) || rules.allowedCharacters.includes(character);
+}
+
+function stripDiacritics(character) {
+  const stripped = character.normalize('NFD').replace(/\p{M}+/gu, '');
+  return /^[A-Za-z]+$/.test(stripped) ? stripped : null;
+}
+
+// The text a fix would put in place of an untypable character, or null when there is none.
+export function findReplacement(character, rules) {
+  if (Object.hasOwn(rules.replacements, character)) {
+    return rules.replacements[character];
+  }
+
+  return rules.fix.stripDiacritics ? stripDiacritics(character) : null;
+}
+
+function createExcerpt(paragraph) {
+  return paragraph.length > EXCERPT_CHARS ? `${paragraph.slice(0, EXCERPT_CHARS)}...` : paragraph;
+}
+
+function countMatches(text, regex) {
+  return (text.match(regex) || []).length;
+}
+
+// The boilerplate rule a whole paragraph breaks, or null. These paragraphs are dropped by a fix.
+export function findBoilerplateRule(paragraph) {
+  if (LICENCE_REGEX.test(paragraph)) {
+    return LINT_RULE.LICENCE;
+  }
+
+  const contentsEntries = countMatches(paragraph, CONTENTS_ENTRY_REGEX);
+  if (
+    contentsEntries >= 3 &&
+    paragraph.length <= contentsEntries * MAX_CONTENTS_CHARS_PER_ENTRY
+  ) {
+    return LINT_RULE.TABLE_OF_CONTENTS;
+  }
+
+  if (!/[\p{L}\p{N}]/u.test(paragraph)) {
+    return LINT_RULE.SEPARATOR;
+  }
+
+  const letters = paragraph.match(/\p{L}/gu) || [];
+  if (
+    paragraph.length <= MAX_HEADING_CHARS &&
+    letters.length >= 4 &&
+    letters.every((letter) => letter === letter.toUpperCase() && letter !== letter.toLowerCase())
+  ) {
+    return LINT_RULE.HEADING;
+  }
+
+  return null;
+}
+
+function hasEncodingProblem(paragraph) {
+  return (
+    paragraph.includes('\uFFFD') ||
+    MOJIBAKE_REGEX.test(paragraph) ||
+    countMatches(paragraph, CONTROL_CHARACTER_REGEX) > 0
+  );
+}
+
+function splitParagraphs(text) {
+  const paragraphs = [];
+  let offset = 0;
+
+  for (const paragraph of String(text || '').split(PARAGRAPH_BREAK)) {
+    paragraphs.push({ paragraph, offset });
+    offset += paragraph.length + PARAGRAPH_BREAK.length;
+  }
+
+  return paragraphs;
+}
+
+// Lowercased with whitespace collapsed, so reflowed copies of a paragraph still match.
+function toDuplicateKey(paragraph) {
+  return paragraph.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+export function lintBookText(text, rules = DEFAULT_LINT_RULES) {
+  const untypable = new Map();
+  const issues = [];
+  const paragraphs = splitParagraphs(text);
+
+  for (const [index, { paragraph, offset }] of paragraphs.entries()) {
+    if (!paragraph) {
+      continue;
+    }
+
+    const addIssue = (rule) =>
+      issues.push({
+        rule,
+        paragraph: index,
+        offset,
+        length: paragraph.length,
+        excerpt: createExcerpt(paragraph)
+      });
+
+    for (const character of paragraph) {
+      if (!isTypable(character, rules)) {
+        untypable.set(character, (untypable.get(character) || 0) + 1);
+      }
+    }
+
+    if (hasEncodingProblem(paragraph)) {
+      addIssue(LINT_RULE.ENCODING);
+    }
+
+    // A paragraph this long is judged after it is split, not as a whole.
+    if (paragraph.length > rules.maxParagraphChars) {
+      addIssue(LINT_RULE.LONG_PARAGRAPH);
+      continue;
+    }
+
+    const boilerplateRule = findBoilerplateRule(paragraph);
+    if (boilerplateRule) {
+      addIssue(boilerplateRule);
+    } else if (paragraph.search(INLINE_SEPARATOR_REGEX) !== -1) {
+      addIssue(LINT_RULE.SEPARATOR);
+    }
+  }
+
+  return {
+    paragraphs: paragraphs.filter(({ paragraph }) => paragraph).length,
+    untypableCharacters: [...untypable]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([character, count]) => ({
+        character,
+        codePoint: `U+${character.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`,
+        count,
+        replacement: findReplacement(character, rules)
+      })),
+    issues
+  };
+}
+
+// Paragraphs that appear in more than one book, in book order. The first copy is the one a fix
+// keeps.
+export function findDuplicateParagraphs(books, rules = DEFAULT_LINT_RULES) {
+  const occurrencesByKey = new Map();
+
+  for (const { id, text } of books) {
+    for (const [index, { paragraph, offset }] of splitParagraphs(text).entries()) {
+      if (paragraph.length < rules.minDuplicateChars) {
+        continue;
+      }
+
+      const key = toDuplicateKey(paragraph);
+      const occurrences = occurrencesByKey.get(key) || [];
+      occurrences.push({ book: id, paragraph: index, offset, excerpt: createExcerpt(paragraph) });
+      occurrencesByKey.set(key, occurrences);
+    }
+  }
+
+  return [...occurrencesByKey]
+    .filter(([, occurrences]) => new Set(occurrences.map(({ book }) => book)).size > 1)
+    .map(([key, occurrences]) => ({
+      key,
+      excerpt: occurrences[0].excerpt,
+      occurrences: occurrences.map(({ book, paragraph, offset }) => ({ book, paragraph, offset }))
+    }));
+}
+
+export function lintCorpus(books, rules = DEFAULT_LINT_RULES) {
+  const bookReports = books.map(({ id, text }) => ({
+    id,
+    characters: String(text || '').length,
+    ...lintBookText(text, rules)
+  }));
+  const duplicates = findDuplicateParagraphs(books, rules);
+  const issueCounts = {};
+
+  for (const report of bookReports) {
+    for (const { rule } of report.issues) {
+      issueCounts[rule] = (issueCounts[rule] || 0) + 1;
+    }
+
+    if (report.untypableCharacters.length) {
+      issueCounts[LINT_RULE.UNTYPABLE] =
+        (issueCounts[LINT_RULE.UNTYPABLE] || 0) +
+        report.untypableCharacters.reduce((total, { count }) => total + count, 0);
+    }
+  }
+
+  if (duplicates.length) {
+    issueCounts[LINT_RULE.DUPLICATE] = duplicates.length;
+  }
+
+  return {
+    version: LINT_REPORT_VERSION,
+    rules,
+    summary: {
+      books: bookReports.length,
+      paragraphs: bookReports.reduce((total, report) => total + report.paragraphs, 0),
+      issues: issueCounts
+    },
+    books: bookReports.map(({ id, characters, paragraphs, untypableCharacters, issues }) => ({
+      id,
+      characters,
+      paragraphs,
+      untypableCharacters,
+      issues
+    })),
+    duplicates: duplicates.map(({ excerpt, occurrences }) => ({ excerpt, occurrences }))
+  };
+}
+
+// Re-reads Latin-1 decoded UTF-8 as UTF-8; anything that does not decode cleanly is left alone.
+function repairMojibake(paragraph) {
+  if (!MOJIBAKE_REGEX.test(paragraph) || /[^\u0000-ÿ]/.test(paragraph)) {
+    return paragraph;
+  }
+
+  try {
+    const bytes = Uint8Array.from(paragraph, (character) => character.charCodeAt(0));
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    return paragraph;
+  }
+}
+
+function replaceCharacters(paragraph, rules) {
+  let replaced = '';
+  let count = 0;
+
+  for (const character of paragraph) {
+    const replacement = isTypable(character, rules) ? null : findReplacement(character, rules);
+
+    if (replacement === null) {
+      replaced += character;
+    } else {
+      replaced += replacement;
+      count += 1;
+    }
+  }
+
+  return { paragraph: replaced, count };
+}
+
+// Cuts at the last sentence end that keeps each piece under the limit, or keeps the sentence
+// whole when one sentence alone runs past it.
+function splitLongParagraph(paragraph, maxChars) {
+  const pieces = [];
+  let rest = paragraph;
+
+  while (rest.length > maxChars) {
+    let cut = -1;
+
+    for (const match of rest.matchAll(SENTENCE_END_REGEX)) {
+      const end = match.index + match[0].length;
+
+      if (end > maxChars && cut !== -1) {
+        break;
+      }
+
+      cut = end;
+    }
+
+    if (cut === -1 || cut >= rest.length) {
+      break;
+    }
+
+    pieces.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut);
+  }
+
+  pieces.push(rest);
+  return pieces;
+}
+
+// The fixes for one paragraph that is short enough to judge as a whole; '' drops it.
+function fixParagraph(paragraph, rules, countFix) {
+  const boilerplateRule = findBoilerplateRule(paragraph);
+
+  if (boilerplateRule && paragraph.length <= MAX_REMOVABLE_CHARS) {
+    const isSeparator = boilerplateRule === LINT_RULE.SEPARATOR;
+
+    if (isSeparator ? rules.fix.removeSeparators : rules.fix.removeBoilerplate) {
+      countFix(boilerplateRule);
+      return '';
+    }
+  }
+
+  let fixed = paragraph;
+
+  if (rules.fix.removeSeparators && fixed.search(INLINE_SEPARATOR_REGEX) !== -1) {
+    countFix(LINT_RULE.SEPARATOR);
+    fixed = fixed.replace(INLINE_SEPARATOR_REGEX, ' ').replace(/ {2,}/g, ' ').trim();
+  }
+
+  if (rules.fix.replaceCharacters) {
+    const replaced = replaceCharacters(fixed, rules);
+
+    if (replaced.count) {
+      countFix(LINT_RULE.UNTYPABLE, replaced.count);
+      fixed = replaced.paragraph;
+    }
+  }
+
+  return fixed;
+}
+
+// Applies the enabled fixes paragraph by paragraph. Long paragraphs are split before anything
+// else is judged, so a whole book on one line is never dropped as boilerplate. Chapter offsets
+// always sit at a paragraph start, so each chapter moves with its paragraph, or to the next kept
+// one when it is dropped.
+export function fixBookText(text, chapters = [], rules = DEFAULT_LINT_RULES, options = {}) {
+  const { duplicateParagraphs = new Set() } = options;
+  const fixes = {};
+  const pieces = [];
+  const fixedChapters = [];
+  const pendingChapters = [...chapters].sort((a, b) => a.offset - b.offset);
+  let length = 0;
+
+  const countFix = (rule, count = 1) => {
+    fixes[rule] = (fixes[rule] || 0) + count;
+  };
+
+  for (const [index, { paragraph: original, offset }] of splitParagraphs(text).entries()) {
+    let paragraph = original;
+
+    if (duplicateParagraphs.has(index) && rules.fix.removeDuplicates) {
+      countFix(LINT_RULE.DUPLICATE);
+      paragraph = '';
+    }
+
+    if (paragraph && rules.fix.repairEncoding && hasEncodingProblem(paragraph)) {
+      const repaired = repairMojibake(paragraph)
+        .replace(CONTROL_CHARACTER_REGEX, '')
+        .replace(/\uFFFD/g, '');
+
+      if (repaired !== paragraph) {
+        countFix(LINT_RULE.ENCODING);
+        paragraph = repaired;
+      }
+    }
+
+    let splitPieces = paragraph ? [paragraph] : [];
+    if (paragraph.length > rules.maxParagraphChars && rules.fix.splitLongParagraphs) {
+      splitPieces = splitLongParagraph(paragraph, rules.maxParagraphChars);
+
+      if (splitPieces.length > 1) {
+        countFix(LINT_RULE.LONG_PARAGRAPH);
+      }
+    }
+
+    splitPieces = splitPieces
+      .map((piece) =>
+        piece.length > rules.maxParagraphChars ? piece : fixParagraph(piece, rules, countFix)
+      )
+      .filter(Boolean);
+
+    if (!splitPieces.length) {
+      continue;
+    }
+
+    while (pendingChapters.length && pendingChapters[0].offset <= offset + original.length) {
+      const nextOffset = pieces.length ? length + PARAGRAPH_BREAK.length : length;
+      fixedChapters.push({ ...pendingChapters.shift(), offset: nextOffset });
+    }
+
+    for (const piece of splitPieces) {
+      if (pieces.length) {
+        length += PARAGRAPH_BREAK.length;
+      }
+
+      pieces.push(piece);
+      length += piece.length;
+    }
+  }
+
+  return {
+    text: pieces.join(PARAGRAPH_BREAK),
+    chapters: fixedChapters.filter(
+      (chapter, index) => fixedChapters[index + 1]?.offset !== chapter.offset
+    ),
+    fixes
+  };
+}
@@ -1,56 +1,324 @@
+import { isValidCorpusBookPath, isValidCorpusShardPath, readCorpusIndex } from './corpusIndex.js';
+import { CUSTOM_TEXT_SOURCE, getCustomText, getCustomTextEntries } from './customTexts.js';
+import {
+  IMPORTED_BOOK_SOURCE,
+  getImportedBook,
+  listImportedBookEntries
+} from './importedBooks.js';
+import { createLruCache } from './lruCache.js';
+import {
+  buildDifficultyIndex,
+  isScoreInDifficulty,
+  normalizeDifficulty,
+  readDifficultyIndex
+} from './passageDifficulty.js';
+import {
+  findMostRecentlyReadEntry,
+  getReadingPosition,
+  resolveReadingOffset,
+  saveReadingPosition
+} from './readingPositions.js';
+import { createSeed, createSeededRandom, randomInt } from './seededRandom.js';
+import { normalizeSharedSession } from './sessionLinks.js';
+import { ShardedText, isShardedText } from './shardedText.js';
+import { PARAGRAPH_BREAK } from './textNormalization.js';
+import { createTextTransformer, getTextTransformsKey } from './textTransforms.js';
+
 const CORPUS_INDEX_PATH = '/corpus/index.json';
-const CORPUS_BOOK_PATH_REGEX = /^\/corpus\/books\/[a-z0-9-]+\.txt$/;
+const CORPUS_CHAPTERS_PATH_REGEX = /^\/corpus\/books\/[a-z0-9-]+\.chapters\.json$/;
+const CORPUS_DIFFICULTY_PATH_REGEX = /^\/corpus\/books\/[a-z0-9-]+\.difficulty\.json$/;
 const DEFAULT_INITIAL_BUFFER_CHARS = 24000;
 const DEFAULT_APPEND_CHUNK_CHARS = 4000;
 const MIN_TAIL_GUARD_CHARS = 12000;
+const MAX_PARAGRAPH_SEEK_CHARS = 6000;
+const MAX_CACHED_BOOK_TEXTS = 4;
+const MAX_CACHED_SHARDS = 12;
+// How close to the end of a run the stream picks (and prefetches) where it goes next.
+const RUN_PLANNING_CHARS = 16000;
+const CHAPTER_NUMBER_PATTERN =
+  '[ivxlcdm]+|\\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|first|second|' +
+  'third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|last';
+// A title after the number needs punctuation before it, and a bare number must be Roman
+// capitals or digits, so ordinary titles such as "Mild Weather" are left alone.
+const LABELLED_CHAPTER_TITLE_REGEX = new RegExp(
+  `^(chapter|book|part|stave|letter|section)\\s+(${CHAPTER_NUMBER_PATTERN})` +
+    '(?:\\s*[.:\u2014\u2013-]+\\s*(.+?))?[.\\s]*$',
+  'i'
+);
+const NUMBERED_CHAPTER_TITLE_REGEX = /^([IVXLCDM]+|\d+)(?:\s*[.:\u2014\u2013-]+\s*(.+?))?[.\s]*$/;
 
 let corpusIndexPromise = null;
-const textCache = new Map();
+const textCache = createLruCache(MAX_CACHED_BOOK_TEXTS);
+const shardCache = createLruCache(MAX_CACHED_SHARDS);
+const shardRequests = new Map();
+const chaptersCache = new Map();
+const passagesCache = new Map();
 let preloadedSessionPromise = null;
-let preloadedSessionChars = DEFAULT_INITIAL_BUFFER_CHARS;
+let preloadedSessionKey = '';
 
-function randomInt(maxExclusive) {
-  if (maxExclusive <= 0) {
-    return 0;
-  }
+export const BOOK_SELECTION_MODE = {
+  RANDOM: 'random',
+  BOOKS: 'books'
+};
+
+export const START_MODE = {
+  RANDOM: 'random',
+  RESUME: 'resume',
+  SEQUENTIAL: 'sequential'
+};
+
+export const DEFAULT_BOOK_SELECTION = {
+  mode: BOOK_SELECTION_MODE.RANDOM,
+  bookIds: []
+};
 
-  return Math.floor(Math.random() * maxExclusive);
+// Full strings are always loaded; sharded text only up to its next missing shard.
+function getLoadedEnd(text, offset) {
+  return isShardedText(text) ? text.getLoadedEnd(offset) : text.length;
+}
+
+async function loadTextAround(text, offset) {
+  if (isShardedText(text)) {
+    await text.loadAround(offset);
+  }
 }
 
 function findSafeBoundary(text, startOffset) {
-  if (!text) {
+  if (!text.length) {
     return 0;
   }
 
   let offset = Math.max(0, Math.min(startOffset, text.length - 1));
+  const end = getLoadedEnd(text, offset);
 
-  while (offset < text.length && !/\s/.test(text[offset])) {
+  while (offset < end && !/\s/.test(text.charAt(offset))) {
     offset += 1;
   }
 
-  while (offset < text.length && /\s/.test(text[offset])) {
+  while (offset < end && /\s/.test(text.charAt(offset))) {
     offset += 1;
   }
 
-  return offset < text.length ? offset : 0;
+  return offset < end ? offset : 0;
 }
 
-function pickRandomStartOffset(text) {
-  if (!text) {
+// Corpora built before paragraphs were kept have no breaks, so those still start at a word.
+function findParagraphStart(text, startOffset) {
+  if (startOffset <= 0) {
     return 0;
   }
 
+  const breakIndex = text.indexOf(PARAGRAPH_BREAK, startOffset - 1);
+
+  if (
+    breakIndex === -1 ||
+    breakIndex - startOffset > MAX_PARAGRAPH_SEEK_CHARS ||
+    breakIndex + PARAGRAPH_BREAK.length >= text.length
+  ) {
+    return findSafeBoundary(text, startOffset);
+  }
+
+  return breakIndex + PARAGRAPH_BREAK.length;
+}
+
+// Only a rough spot; it becomes a paragraph start once the text around it is loaded.
+function pickRoughStartOffset(text, random) {
   const maxOffset = Math.max(0, text.length - MIN_TAIL_GUARD_CHARS);
-  const roughOffset = randomInt(maxOffset + 1);
-  return findSafeBoundary(text, roughOffset);
+  return randomInt(random, maxOffset + 1);
+}
+
+function isCustomEntry(entry) {
+  return entry?.source === CUSTOM_TEXT_SOURCE;
+}
+
+function isImportedEntry(entry) {
+  return entry?.source === IMPORTED_BOOK_SOURCE;
+}
+
+function pickRandomBookEntry(index, random) {
+  return index[randomInt(random, index.length)];
+}
+
+export function normalizeBookSelection(selection) {
+  if (selection?.mode !== BOOK_SELECTION_MODE.BOOKS || !Array.isArray(selection.bookIds)) {
+    return DEFAULT_BOOK_SELECTION;
+  }
+
+  const bookIds = [...new Set(selection.bookIds.filter((id) => typeof id === 'string' && id))];
+  if (!bookIds.length) {
+    return DEFAULT_BOOK_SELECTION;
+  }
+
+  return { mode: BOOK_SELECTION_MODE.BOOKS, bookIds };
+}
+
+export function normalizeStartMode(startMode) {
+  return Object.values(START_MODE).includes(startMode) ? startMode : START_MODE.RANDOM;
+}
+
+// Resume and sequential modes continue from a saved reading position instead of a random spot.
+function isPositionalStartMode(startMode) {
+  return startMode === START_MODE.RESUME || startMode === START_MODE.SEQUENTIAL;
+}
+
+function normalizeChapterJump(chapterJump) {
+  if (
+    typeof chapterJump?.bookId !== 'string' ||
+    !Number.isInteger(chapterJump.chapterIndex) ||
+    chapterJump.chapterIndex < 0
+  ) {
+    return null;
+  }
+
+  return { bookId: chapterJump.bookId, chapterIndex: chapterJump.chapterIndex };
+}
+
+function normalizeSessionOptions(options = {}) {
+  // A shared link pins the book and start offset, seeds everything random after that and brings
+  // the sender's text settings, which replace this browser's own.
+  const shared = normalizeSharedSession(options.shared);
+  const settings = shared || options;
+  const startMode = normalizeStartMode(settings.startMode);
+
+  return {
+    initialChars: options.initialChars ?? DEFAULT_INITIAL_BUFFER_CHARS,
+    selection: normalizeBookSelection(options.selection),
+    startMode,
+    chapterJump:
+      startMode === START_MODE.SEQUENTIAL && !shared
+        ? normalizeChapterJump(options.chapterJump)
+        : null,
+    // Positional modes follow the book, so only random passages are graded.
+    difficulty: startMode === START_MODE.RANDOM ? normalizeDifficulty(settings.difficulty) : null,
+    textTransforms: settings.textTransforms ?? null,
+    shared
+  };
+}
+
+function getSessionKey({
+  initialChars,
+  selection,
+  startMode,
+  chapterJump,
+  difficulty,
+  textTransforms,
+  shared
+}) {
+  const bookIds = [...selection.bookIds].sort().join(',');
+  const jump = chapterJump ? `${chapterJump.bookId}#${chapterJump.chapterIndex}` : '';
+  const range = difficulty ? `${difficulty.band || ''}:${difficulty.min}-${difficulty.max}` : '';
+  const transforms = getTextTransformsKey(textTransforms);
+  const link = shared ? `${shared.seed}@${shared.bookId}:${shared.offset}` : '';
+
+  return [startMode, `${selection.mode}:${bookIds}`, jump, range, transforms, link, initialChars].join(
+    '|'
+  );
+}
+
+// Picks within the chosen books; selections that no longer match the index fall back to any book.
+// Positional modes prefer the most recently read candidate so they land in the same story.
+function pickBookEntry(index, { selection, startMode, chapterJump, shared }, random) {
+  if (shared) {
+    const sharedEntry = index.find((entry) => entry.id === shared.bookId);
+
+    if (!sharedEntry) {
+      throw new Error(`The shared book "${shared.bookId}" is not in this library.`);
+    }
+
+    return sharedEntry;
+  }
+
+  if (chapterJump) {
+    const jumpEntry = index.find((entry) => entry.id === chapterJump.bookId);
+
+    if (jumpEntry) {
+      return jumpEntry;
+    }
+  }
+
+  // "Surprise me" stays within real books; custom texts are only typed when chosen.
+  const bookEntries = index.filter((entry) => !isCustomEntry(entry));
+  let candidates = bookEntries.length ? bookEntries : index;
+
+  if (selection.mode === BOOK_SELECTION_MODE.BOOKS) {
+    const selectedIds = new Set(selection.bookIds);
+    const selectedEntries = index.filter((entry) => selectedIds.has(entry.id));
+
+    if (selectedEntries.length) {
+      candidates = selectedEntries;
+    }
+  }
+
+  if (isPositionalStartMode(startMode)) {
+    const recentEntry = findMostRecentlyReadEntry(candidates);
+
+    if (recentEntry) {
+      return recentEntry;
+    }
+  }
+
+  return pickRandomBookEntry(candidates, random);
+}
+
+// Loads whatever part of a sharded book the session starts in before settling on an offset.
+async function pickStartOffset(
+  entry,
+  text,
+  chapters,
+  passages,
+  { startMode, chapterJump, shared },
+  random
+) {
+  if (shared) {
+    const offset = Math.min(shared.offset, Math.max(0, text.length - 1));
+    await loadTextAround(text, offset);
+    return offset;
+  }
+
+  if (chapterJump?.bookId === entry.id && chapters[chapterJump.chapterIndex]) {
+    const { offset } = chapters[chapterJump.chapterIndex];
+    await loadTextAround(text, offset);
+    return offset;
+  }
+
+  if (isPositionalStartMode(startMode)) {
+    const position = getReadingPosition(entry.id);
+
+    if (position) {
+      await loadTextAround(text, position.offset);
+      const resumeOffset = resolveReadingOffset(position, text);
+
+      if (resumeOffset !== null) {
+        await loadTextAround(text, resumeOffset);
+        return resumeOffset === 0 ? 0 : findSafeBoundary(text, resumeOffset - 1);
+      }
+    }
+  }
+
+  // Custom passages are typically short and meant to be typed from the top.
+  if (startMode === START_MODE.SEQUENTIAL || isCustomEntry(entry)) {
+    await loadTextAround(text, 0);
+    return 0;
+  }
+
+  // A band with no matching passage in this book falls back to ungraded text.
+  if (passages.length) {
+    const { offset } = passages[randomInt(random, passages.length)];
+    await loadTextAround(text, offset);
+    return offset;
+  }
+
+  const roughOffset = pickRoughStartOffset(text, random);
+  await loadTextAround(text, roughOffset);
+  return findParagraphStart(text, roughOffset);
 }
 
-function pickRandomBookEntry(index) {
-  return index[randomInt(index.length)];
+function isValidCorpusChaptersPath(pathValue) {
+  return typeof pathValue === 'string' && CORPUS_CHAPTERS_PATH_REGEX.test(pathValue);
 }
 
-function isValidCorpusBookPath(pathValue) {
-  return typeof pathValue === 'string' && CORPUS_BOOK_PATH_REGEX.test(pathValue);
+function isValidCorpusDifficultyPath(pathValue) {
+  return typeof pathValue === 'string' && CORPUS_DIFFICULTY_PATH_REGEX.test(pathValue);
 }
 
 function sanitizeLoadedText(rawText) {
@@ -58,7 +326,7 @@ function sanitizeLoadedText(rawText) {
 }
 
 async function fetchText(path) {
-  if (!isValidCorpusBookPath(path)) {
+  if (!isValidCorpusBookPath(path) && !isValidCorpusShardPath(path)) {
     throw new Error(`Rejected unexpected corpus path: ${path}`);
   }
 
@@ -82,23 +350,150 @@ export async function loadCorpusIndex() {
         return response.json();
       })
       .then((index) => {
-        if (!Array.isArray(index) || index.length === 0) {
-          throw new Error('Corpus index is empty or invalid.');
-        }
-
-        const validEntries = index.filter((entry) => entry && isValidCorpusBookPath(entry.path));
+        const validEntries = readCorpusIndex(index);
         if (!validEntries.length) {
           throw new Error('Corpus index contains no valid entries.');
         }
 
         return validEntries;
+      })
+      .catch((error) => {
+        // Allow a retry once the network (or the offline cache) is back.
+        corpusIndexPromise = null;
+        throw error;
       });
   }
 
   return corpusIndexPromise;
 }
 
+async function loadImportedEntries() {
+  try {
+    return await listImportedBookEntries();
+  } catch (error) {
+    console.warn('Imported books are unavailable:', error);
+    return [];
+  }
+}
+
+// Bundled corpus books plus the EPUBs imported into and custom texts saved in this browser.
+export async function loadLibraryIndex() {
+  const importedEntries = await loadImportedEntries();
+  const customEntries = getCustomTextEntries();
+  let corpusEntries = [];
+
+  try {
+    corpusEntries = await loadCorpusIndex();
+  } catch (error) {
+    if (!importedEntries.length && !customEntries.length) {
+      throw error;
+    }
+
+    console.error('Failed to load corpus index:', error);
+  }
+
+  return [...corpusEntries, ...importedEntries, ...customEntries];
+}
+
+function getImportedCacheKey(entry) {
+  return `${IMPORTED_BOOK_SOURCE}:${entry.id}`;
+}
+
+function loadImportedBook(entry) {
+  const cacheKey = getImportedCacheKey(entry);
+
+  if (!textCache.has(cacheKey)) {
+    const bookPromise = getImportedBook(entry.id).then((record) => {
+      if (!record?.text) {
+        throw new Error(`Imported book is no longer available: ${entry.id}`);
+      }
+
+      return record;
+    });
+
+    textCache.set(
+      cacheKey,
+      bookPromise.catch((error) => {
+        textCache.delete(cacheKey);
+        throw error;
+      })
+    );
+  }
+
+  return textCache.get(cacheKey);
+}
+
+// Drops cached text and any warm session that might still point at a removed book.
+export function forgetLibraryBook(bookId) {
+  textCache.delete(`${IMPORTED_BOOK_SOURCE}:${bookId}`);
+  passagesCache.delete(`${IMPORTED_BOOK_SOURCE}:${bookId}`);
+  preloadedSessionPromise = null;
+}
+
+function loadCustomText(entry) {
+  const text = sanitizeLoadedText(getCustomText(entry.id));
+
+  if (!text) {
+    throw new Error(`Custom text is no longer available: ${entry.id}`);
+  }
+
+  return text;
+}
+
+// Shards are kept exactly as written (no trimming) so they join back into the book text.
+const shardStore = {
+  peek(path) {
+    return shardCache.get(path);
+  },
+
+  load(path) {
+    if (shardCache.has(path)) {
+      return Promise.resolve(shardCache.get(path));
+    }
+
+    if (!shardRequests.has(path)) {
+      const request = fetchText(path)
+        .then((text) => {
+          shardCache.set(path, text);
+          return text;
+        })
+        .finally(() => {
+          shardRequests.delete(path);
+        });
+
+      shardRequests.set(path, request);
+    }
+
+    return shardRequests.get(path);
+  }
+};
+
+function isShardedEntry(entry) {
+  return Boolean(entry?.shards) && !isCustomEntry(entry) && !isImportedEntry(entry);
+}
+
+// Sharded books open with nothing loaded; sessions load the shards around where they start.
+async function openBookText(entry) {
+  if (isShardedEntry(entry)) {
+    return new ShardedText({ ...entry.shards, length: entry.characters }, shardStore);
+  }
+
+  return loadBookText(entry);
+}
+
+async function getBookLength(entry) {
+  return isShardedEntry(entry) ? entry.characters : (await loadBookText(entry)).length;
+}
+
 export async function loadBookText(entry) {
+  if (isCustomEntry(entry)) {
+    return loadCustomText(entry);
+  }
+
+  if (isImportedEntry(entry)) {
+    return sanitizeLoadedText((await loadImportedBook(entry)).text);
+  }
+
   if (!entry?.path || !isValidCorpusBookPath(entry.path)) {
     throw new Error('Invalid corpus entry: missing path.');
   }
@@ -114,52 +509,421 @@ export async function loadBookText(entry) {
       return text;
     });
 
-    textCache.set(entry.path, textPromise);
+    textCache.set(
+      entry.path,
+      textPromise.catch((error) => {
+        textCache.delete(entry.path);
+        throw error;
+      })
+    );
   }
 
   return textCache.get(entry.path);
 }
 
+function sanitizeChapters(rawChapters, textLength) {
+  if (!Array.isArray(rawChapters)) {
+    return [];
+  }
+
+  return rawChapters
+    .filter(
+      (chapter) =>
+        chapter &&
+        Number.isInteger(chapter.offset) &&
+        chapter.offset >= 0 &&
+        chapter.offset < textLength
+    )
+    .map((chapter) => ({
+      title: typeof chapter.title === 'string' ? chapter.title : '',
+      offset: chapter.offset
+    }))
+    .sort((a, b) => a.offset - b.offset);
+}
+
+function toTitleCase(text) {
+  return text
+    .toLowerCase()
+    .replace(/(^|[\s"(\u2018\u201C-])(\p{L})/gu, (match, before, letter) =>
+      `${before}${letter.toUpperCase()}`
+    );
+}
+
+// Navigation titles come as "CHAPTER IV. THE SCARLET LETTER", "Chapter 4: The Scarlet Letter"
+// or "IV. The Scarlet Letter"; all read as "Chapter IV — The Scarlet Letter". Shouting titles are
+// title-cased, and anything else is left as the book wrote it.
+export function formatChapterTitle(title) {
+  const value = String(title || '').trim();
+  const caseTitle = (text) => (/\p{Ll}/u.test(text) ? text : toTitleCase(text));
+  const labelled = value.match(LABELLED_CHAPTER_TITLE_REGEX);
+  const numbered = labelled ? null : value.match(NUMBERED_CHAPTER_TITLE_REGEX);
+
+  if (!labelled && !numbered) {
+    return caseTitle(value);
+  }
+
+  const [, label, number, rest] = labelled || [null, 'Chapter', ...numbered.slice(1)];
+  const isRoman = /^[ivxlcdm]+$/i.test(number);
+  const heading = `${toTitleCase(label)} ${isRoman ? number.toUpperCase() : toTitleCase(number)}`;
+
+  return rest ? `${heading} — ${caseTitle(rest)}` : heading;
+}
+
+// Chapter sidecars are optional: books built before chapters existed simply have none.
+export async function loadBookChapters(entry) {
+  if (isImportedEntry(entry)) {
+    const record = await loadImportedBook(entry).catch(() => null);
+    return record ? sanitizeChapters(record.chapters, sanitizeLoadedText(record.text).length) : [];
+  }
+
+  if (!entry?.chaptersPath || !isValidCorpusChaptersPath(entry.chaptersPath)) {
+    return [];
+  }
+
+  if (!chaptersCache.has(entry.chaptersPath)) {
+    const chaptersPromise = Promise.all([fetch(entry.chaptersPath), getBookLength(entry)])
+      .then(async ([response, textLength]) => {
+        if (!response.ok) {
+          throw new Error(`Failed to fetch ${entry.chaptersPath} (${response.status})`);
+        }
+
+        return sanitizeChapters(await response.json(), textLength);
+      })
+      .catch((error) => {
+        console.warn(`Ignoring chapters for ${entry.id}:`, error);
+        chaptersCache.delete(entry.chaptersPath);
+        return [];
+      });
+
+    chaptersCache.set(entry.chaptersPath, chaptersPromise);
+  }
+
+  return chaptersCache.get(entry.chaptersPath);
+}
+
+async function fetchDifficultyIndex(path) {
+  const response = await fetch(path);
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${path} (${response.status})`);
+  }
+
+  return response.json();
+}
+
+// Graded passages come from the build-time sidecar; books without one (imported books, custom
+// texts, older corpora) are graded here from their text instead.
+export async function loadBookPassages(entry) {
+  const cacheKey = isValidCorpusDifficultyPath(entry?.difficultyPath)
+    ? entry.difficultyPath
+    : `${entry?.source || 'corpus'}:${entry?.id}`;
+
+  if (!passagesCache.has(cacheKey)) {
+    const passagesPromise = getBookLength(entry).then(async (textLength) => {
+      if (cacheKey === entry.difficultyPath) {
+        try {
+          const passages = readDifficultyIndex(await fetchDifficultyIndex(cacheKey), textLength);
+
+          if (passages.length) {
+            return passages;
+          }
+        } catch (error) {
+          console.warn(`Grading ${entry.id} in the browser instead:`, error);
+        }
+      }
+
+      // Grading needs the whole text, which a sharded book never loads at once.
+      if (isShardedEntry(entry)) {
+        return [];
+      }
+
+      const text = await loadBookText(entry);
+      return readDifficultyIndex(buildDifficultyIndex(text), text.length);
+    });
+
+    passagesCache.set(
+      cacheKey,
+      passagesPromise.catch((error) => {
+        passagesCache.delete(cacheKey);
+        throw error;
+      })
+    );
+  }
+
+  return passagesCache.get(cacheKey);
+}
+
 class CorpusSessionStream {
-  constructor(bookEntry, bookText) {
+  constructor(bookEntry, bookText, options = {}) {
+    const {
+      startOffset = 0,
+      chapters = [],
+      sequential = false,
+      passages = [],
+      textTransforms = null,
+      settings = null,
+      seed = null,
+      random = Math.random
+    } = options;
+
     this.bookEntry = bookEntry;
+    // The session options that decided this text, for links that replay it elsewhere.
+    this.settings = settings;
     this.bookText = bookText;
-    this.cursor = pickRandomStartOffset(bookText);
+    this.chapters = chapters;
+    this.sequential = sequential;
+    // When set, only these { offset, length } passages are typed, each run of adjacent ones
+    // in book order.
+    this.passages = passages.length ? passages : null;
+    this.seed = seed;
+    this.random = random;
+    this.startOffset = startOffset;
+    this.cursor = startOffset;
+    this.runIndex = 0;
+    this.runEnd = this.findRunEnd(startOffset);
+    // Where the next run starts, picked ahead of time so a sharded book can fetch it early.
+    this.plannedRunStart = null;
+    // Sits between the book and the buffer when the session strips or rewrites characters.
+    this.transformer = createTextTransformer(textTransforms);
+    this.emittedChars = 0;
+    // Maps session buffer positions back to book offsets across wrap-arounds.
+    this.segments = [{ bufferStart: 0, bookOffset: startOffset }];
+  }
+
+  findPassageIndex(bookOffset) {
+    let low = 0;
+    let high = this.passages.length - 1;
+    let match = 0;
+
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+
+      if (this.passages[middle].offset <= bookOffset) {
+        match = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return match;
+  }
+
+  findRunEnd(bookOffset) {
+    if (!this.passages) {
+      return this.bookText.length;
+    }
+
+    let index = this.findPassageIndex(bookOffset);
+    let end = this.passages[index].offset + this.passages[index].length;
+
+    while (this.passages[index + 1]?.offset <= end + PARAGRAPH_BREAK.length) {
+      index += 1;
+      end = this.passages[index].offset + this.passages[index].length;
+    }
+
+    this.runIndex = index;
+    return end;
+  }
+
+  pickNextRunStart() {
+    if (!this.passages) {
+      return this.sequential ? 0 : pickRoughStartOffset(this.bookText, this.random);
+    }
+
+    const nextPassage =
+      this.passages[this.runIndex + 1] ||
+      this.passages[randomInt(this.random, this.passages.length)];
+    return nextPassage.offset;
+  }
+
+  // Returns null while the planned start is still being fetched. A shard that failed to load
+  // is given up on in favour of text that is already here.
+  takeNextRunStart() {
+    const plannedStart = this.plannedRunStart ?? this.pickNextRunStart();
+    let nextStart = plannedStart;
+
+    if (isShardedText(this.bookText) && !this.bookText.isLoaded(plannedStart)) {
+      if (!this.bookText.isUnavailable(plannedStart)) {
+        this.plannedRunStart = plannedStart;
+        this.bookText.prefetchAround(plannedStart);
+        return null;
+      }
+
+      const loadedPassages = (this.passages || []).filter((passage) =>
+        this.bookText.isLoaded(passage.offset)
+      );
+      nextStart = loadedPassages.length
+        ? loadedPassages[randomInt(this.random, loadedPassages.length)].offset
+        : this.bookText.pickLoadedOffset((maxExclusive) => randomInt(this.random, maxExclusive));
+    }
+
+    this.plannedRunStart = null;
+    return this.passages || this.sequential
+      ? nextStart
+      : findParagraphStart(this.bookText, nextStart);
+  }
+
+  // Keeps the shard under the cursor and the one after it loaded, plus wherever the next run
+  // starts once the current one nears its end.
+  prefetchAhead() {
+    if (!isShardedText(this.bookText)) {
+      return;
+    }
+
+    this.bookText.prefetchAround(this.cursor);
+
+    if (this.runEnd - this.cursor <= RUN_PLANNING_CHARS) {
+      this.plannedRunStart ??= this.pickNextRunStart();
+      this.bookText.prefetchAround(this.plannedRunStart);
+    }
+  }
+
+  // Appends transformed pieces, adding a segment wherever the buffer stops lining up with the
+  // book (dropped characters, folded letters, jumps).
+  appendTransformed(chunk, rawText, bookOffset, endOfRun) {
+    let nextChunk = chunk;
+
+    for (const piece of this.transformer.push(rawText, bookOffset, { endOfRun })) {
+      const bufferStart = this.emittedChars + nextChunk.length;
+      const lastSegment = this.segments[this.segments.length - 1];
+
+      if (lastSegment.bookOffset + (bufferStart - lastSegment.bufferStart) !== piece.bookOffset) {
+        this.segments.push({ bufferStart, bookOffset: piece.bookOffset });
+      }
+
+      nextChunk += piece.text;
+    }
+
+    return nextChunk;
   }
 
   nextChunk(targetChars = DEFAULT_APPEND_CHUNK_CHARS) {
     let chunk = '';
+    // Transforms can drop everything (say, a character set no word fits); give up after
+    // reading the whole book twice rather than loop forever.
+    let rawBudget = this.transformer ? this.bookText.length * 2 + targetChars : Infinity;
+
+    this.prefetchAhead();
 
-    while (chunk.length < targetChars) {
-      if (this.cursor >= this.bookText.length) {
-        // End reached: wrap to a fresh random offset in the same book for endless flow.
-        this.cursor = pickRandomStartOffset(this.bookText);
+    while (chunk.length < targetChars && rawBudget > 0) {
+      if (this.cursor >= this.runEnd) {
+        // End of the book (or of a graded run) reached: sequential reading starts the book
+        // over, graded sessions skip to the next matching passage, and otherwise jump to a
+        // fresh random paragraph in the same book for endless flow.
+        const nextStart = this.takeNextRunStart();
 
-        if (chunk && !/\s$/.test(chunk)) {
-          chunk += ' ';
+        if (nextStart === null) {
+          break;
+        }
+
+        this.cursor = nextStart;
+        this.runEnd = this.findRunEnd(this.cursor);
+
+        if (this.transformer) {
+          this.transformer.breakParagraph(Math.max(0, this.cursor - PARAGRAPH_BREAK.length));
+        } else {
+          if (this.emittedChars + chunk.length > 0) {
+            chunk += PARAGRAPH_BREAK;
+          }
+
+          this.segments.push({
+            bufferStart: this.emittedChars + chunk.length,
+            bookOffset: this.cursor
+          });
         }
       }
 
-      const remaining = this.bookText.length - this.cursor;
+      const loadedEnd = Math.min(this.runEnd, getLoadedEnd(this.bookText, this.cursor));
+      const remaining = loadedEnd - this.cursor;
+
       if (remaining <= 0) {
+        // The next shard is still on its way; one that will never arrive ends the run here.
+        if (this.cursor < this.runEnd && this.bookText.isUnavailable?.(this.cursor)) {
+          this.runEnd = this.cursor;
+          continue;
+        }
+
         break;
       }
 
       const needed = targetChars - chunk.length;
       const takeLength = Math.min(needed, remaining);
-      chunk += this.bookText.slice(this.cursor, this.cursor + takeLength);
+      const rawText = this.bookText.slice(this.cursor, this.cursor + takeLength);
+      const isEndOfRun = this.cursor + takeLength >= this.runEnd;
+
+      chunk = this.transformer
+        ? this.appendTransformed(chunk, rawText, this.cursor, isEndOfRun)
+        : chunk + rawText;
       this.cursor += takeLength;
+      rawBudget -= takeLength;
     }
 
+    this.emittedChars += chunk.length;
     return chunk;
   }
 
+  // Transformed sessions add a segment per shifted word, so look segments up by bisection.
+  getBookOffsetAt(bufferIndex) {
+    let low = 0;
+    let high = this.segments.length - 1;
+    let match = -1;
+
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+
+      if (this.segments[middle].bufferStart <= bufferIndex) {
+        match = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    if (match === -1) {
+      return this.segments[0].bookOffset;
+    }
+
+    const segment = this.segments[match];
+    return Math.min(this.bookText.length, segment.bookOffset + (bufferIndex - segment.bufferStart));
+  }
+
+  getChapterAt(bufferIndex) {
+    if (!this.chapters.length) {
+      return null;
+    }
+
+    const bookOffset = this.getBookOffsetAt(bufferIndex);
+    let low = 0;
+    let high = this.chapters.length - 1;
+    let match = -1;
+
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+
+      if (this.chapters[middle].offset <= bookOffset) {
+        match = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return match === -1 ? null : { index: match, ...this.chapters[match] };
+  }
+
   ensureLength(currentText, minLength) {
     let next = currentText;
 
     while (next.length < minLength) {
       const charsNeeded = Math.max(DEFAULT_APPEND_CHUNK_CHARS, minLength - next.length);
-      next += this.nextChunk(charsNeeded);
+      const chunk = this.nextChunk(charsNeeded);
+
+      if (!chunk) {
+        break;
+      }
+
+      next += chunk;
     }
 
     return next;
@@ -170,25 +934,69 @@ class CorpusSessionStream {
   }
 }
 
-async function createSessionPayload(initialChars = DEFAULT_INITIAL_BUFFER_CHARS) {
-  const index = await loadCorpusIndex();
-  const entry = pickRandomBookEntry(index);
-  const text = await loadBookText(entry);
-  const stream = new CorpusSessionStream(entry, text);
+async function loadGradedPassages(entry, difficulty) {
+  if (!difficulty || isCustomEntry(entry)) {
+    return [];
+  }
 
-  return {
-    entry,
-    stream,
-    initialText: stream.createInitialBuffer(initialChars)
-  };
+  try {
+    const passages = await loadBookPassages(entry);
+    return passages.filter((passage) => isScoreInDifficulty(passage.score, difficulty));
+  } catch (error) {
+    console.warn(`Ignoring difficulty for ${entry.id}:`, error);
+    return [];
+  }
+}
+
+async function createSessionPayload(sessionOptions) {
+  const index = await loadLibraryIndex();
+  const seed = sessionOptions.shared?.seed || createSeed();
+  // Picking the start and streaming on draw from separate sequences, so a shared link (which
+  // skips the picking) still streams on exactly like the session it came from.
+  const startRandom = createSeededRandom(`${seed}:start`);
+  const entry = pickBookEntry(index, sessionOptions, startRandom);
+  const [text, chapters, passages] = await Promise.all([
+    openBookText(entry),
+    loadBookChapters(entry),
+    loadGradedPassages(entry, sessionOptions.difficulty)
+  ]);
+  const stream = new CorpusSessionStream(entry, text, {
+    startOffset: await pickStartOffset(
+      entry,
+      text,
+      chapters,
+      passages,
+      sessionOptions,
+      startRandom
+    ),
+    chapters,
+    sequential: sessionOptions.startMode === START_MODE.SEQUENTIAL || isCustomEntry(entry),
+    passages,
+    textTransforms: sessionOptions.textTransforms,
+    settings: {
+      startMode: sessionOptions.startMode,
+      difficulty: sessionOptions.difficulty,
+      textTransforms: sessionOptions.textTransforms
+    },
+    seed,
+    random: createSeededRandom(`${seed}:stream`)
+  });
+  const initialText = stream.createInitialBuffer(sessionOptions.initialChars);
+
+  if (!initialText) {
+    throw new Error(`No text in ${entry.title} is left after the selected text options.`);
+  }
+
+  return { entry, stream, initialText };
 }
 
 export function preloadCorpusSession(options = {}) {
-  const { initialChars = DEFAULT_INITIAL_BUFFER_CHARS } = options;
+  const sessionOptions = normalizeSessionOptions(options);
+  const sessionKey = getSessionKey(sessionOptions);
 
-  if (!preloadedSessionPromise || preloadedSessionChars !== initialChars) {
-    preloadedSessionChars = initialChars;
-    preloadedSessionPromise = createSessionPayload(initialChars).catch((error) => {
+  if (!preloadedSessionPromise || preloadedSessionKey !== sessionKey) {
+    preloadedSessionKey = sessionKey;
+    preloadedSessionPromise = createSessionPayload(sessionOptions).catch((error) => {
       preloadedSessionPromise = null;
       throw error;
     });
@@ -197,21 +1005,29 @@ export function preloadCorpusSession(options = {}) {
   return preloadedSessionPromise;
 }
 
-function primeNextCorpusSession(initialChars = DEFAULT_INITIAL_BUFFER_CHARS) {
-  preloadedSessionChars = initialChars;
-  preloadedSessionPromise = createSessionPayload(initialChars).catch(() => {
+function primeNextCorpusSession(sessionOptions) {
+  // A warm positional session would start from the position saved before this one was typed,
+  // and a shared link is only opened once.
+  if (isPositionalStartMode(sessionOptions.startMode) || sessionOptions.shared) {
+    preloadedSessionPromise = null;
+    return;
+  }
+
+  preloadedSessionKey = getSessionKey(sessionOptions);
+  preloadedSessionPromise = createSessionPayload(sessionOptions).catch(() => {
     preloadedSessionPromise = null;
     return null;
   });
 }
 
 export async function consumePreloadedCorpusSession(options = {}) {
-  const { initialChars = DEFAULT_INITIAL_BUFFER_CHARS } = options;
-  const usePreloaded = preloadedSessionPromise && preloadedSessionChars === initialChars;
+  const sessionOptions = normalizeSessionOptions(options);
+  const usePreloaded =
+    preloadedSessionPromise && preloadedSessionKey === getSessionKey(sessionOptions);
 
   const sessionPromise = usePreloaded
     ? preloadedSessionPromise
-    : createSessionPayload(initialChars);
+    : createSessionPayload(sessionOptions);
 
   if (usePreloaded) {
     preloadedSessionPromise = null;
@@ -220,16 +1036,46 @@ export async function consumePreloadedCorpusSession(options = {}) {
   let session = await sessionPromise;
 
   if (!session?.stream || typeof session.initialText !== 'string') {
-    session = await createSessionPayload(initialChars);
+    session = await createSessionPayload(sessionOptions);
   }
 
   // Keep the next session warm to make repeated starts feel immediate.
-  primeNextCorpusSession(initialChars);
+  primeNextCorpusSession(sessionOptions);
 
   return session;
 }
 
 export async function createCorpusSession(options = {}) {
-  const { initialChars = DEFAULT_INITIAL_BUFFER_CHARS } = options;
-  return createSessionPayload(initialChars);
+  return createSessionPayload(normalizeSessionOptions(options));
+}
+
+// What a link needs to replay this session elsewhere, including the session target that cut the
+// text; custom and imported texts stay local.
+export function getSessionShare(stream, target) {
+  const entry = stream?.bookEntry;
+
+  if (!stream?.seed || !entry?.id || isCustomEntry(entry) || isImportedEntry(entry)) {
+    return null;
+  }
+
+  return {
+    seed: stream.seed,
+    bookId: entry.id,
+    offset: stream.startOffset,
+    ...stream.settings,
+    target
+  };
+}
+
+// Persists how far into the book the session buffer was actually typed.
+export function recordReadingPosition(stream, typedChars) {
+  if (!stream?.bookEntry?.id || typeof stream.getBookOffsetAt !== 'function') {
+    return;
+  }
+
+  saveReadingPosition(stream.bookEntry.id, stream.bookText, stream.getBookOffsetAt(typedChars));
+
+  if (isPositionalStartMode(preloadedSessionKey.split('|')[0])) {
+    preloadedSessionPromise = null;
+  }
 }
@@ -0,0 +1,109 @@
+import { stripMarkdownSyntax } from './plainTextExtractor.js';
+import { normalizeBookText, unwrapHardWrappedLines } from './textNormalization.js';
+
+const CUSTOM_TEXTS_STORAGE_KEY = 'ambitype-custom-texts';
+const CUSTOM_TEXT_FILE_REGEX = /\.(txt|md|markdown)$/i;
+const MARKDOWN_FILE_REGEX = /\.(md|markdown)$/i;
+
+export const CUSTOM_TEXT_SOURCE = 'custom';
+export const MIN_CUSTOM_TEXT_CHARS = 20;
+export const MAX_CUSTOM_TEXT_CHARS = 1000000;
+
+function readStoredCustomTexts() {
+  try {
+    const storedValue = localStorage.getItem(CUSTOM_TEXTS_STORAGE_KEY);
+    const parsed = storedValue ? JSON.parse(storedValue) : [];
+
+    if (Array.isArray(parsed)) {
+      return parsed.filter(
+        (item) =>
+          item &&
+          typeof item.id === 'string' &&
+          typeof item.title === 'string' &&
+          typeof item.text === 'string'
+      );
+    }
+  } catch (error) {
+    // Ignore storage failures and malformed values in restricted contexts.
+  }
+
+  return [];
+}
+
+function writeStoredCustomTexts(customTexts) {
+  try {
+    localStorage.setItem(CUSTOM_TEXTS_STORAGE_KEY, JSON.stringify(customTexts));
+  } catch (error) {
+    throw new Error('Not enough browser storage to save this text.');
+  }
+}
+
+function countBytes(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+function toCustomTextEntry(customText) {
+  return {
+    id: customText.id,
+    title: customText.title,
+    bytes: countBytes(customText.text),
+    source: CUSTOM_TEXT_SOURCE,
+    createdAt: customText.createdAt
+  };
+}
+
+export function prepareCustomText(rawText, { isMarkdown = false } = {}) {
+  const source = isMarkdown ? stripMarkdownSyntax(rawText) : rawText;
+  return normalizeBookText(unwrapHardWrappedLines(source));
+}
+
+export function getCustomTextEntries() {
+  return readStoredCustomTexts().map(toCustomTextEntry);
+}
+
+export function getCustomText(id) {
+  return readStoredCustomTexts().find((customText) => customText.id === id)?.text ?? null;
+}
+
+export function saveCustomText({ title, text, isMarkdown = false }) {
+  const preparedText = prepareCustomText(text, { isMarkdown });
+
+  if (preparedText.length < MIN_CUSTOM_TEXT_CHARS) {
+    throw new Error(`Add at least ${MIN_CUSTOM_TEXT_CHARS} characters of text.`);
+  }
+
+  if (preparedText.length > MAX_CUSTOM_TEXT_CHARS) {
+    throw new Error('This text is too long to save in the browser.');
+  }
+
+  const createdAt = Date.now();
+  const customText = {
+    id: `custom-${createdAt.toString(36)}`,
+    title: String(title || '').trim() || preparedText.slice(0, 40).trim(),
+    text: preparedText,
+    createdAt
+  };
+
+  writeStoredCustomTexts([...readStoredCustomTexts(), customText]);
+  return toCustomTextEntry(customText);
+}
+
+export function deleteCustomText(id) {
+  writeStoredCustomTexts(readStoredCustomTexts().filter((customText) => customText.id !== id));
+}
+
+export function isCustomTextFile(file) {
+  return Boolean(file?.name) && CUSTOM_TEXT_FILE_REGEX.test(file.name);
+}
+
+export async function readCustomTextFile(file) {
+  if (!isCustomTextFile(file)) {
+    throw new Error('Only .txt and .md files can be used as custom text.');
+  }
+
+  return {
+    title: file.name.replace(CUSTOM_TEXT_FILE_REGEX, '').replace(/[_-]+/g, ' ').trim(),
+    text: await file.text(),
+    isMarkdown: MARKDOWN_FILE_REGEX.test(file.name)
+  };
+}
@@ -0,0 +1,617 @@
+// EPUB extraction shared by the corpus builder (Node) and in-browser imports. Everything here
+// works on an in-memory archive, so keep it free of Node-only modules.
+import JSZip from 'jszip';
+import { XMLParser } from 'fast-xml-parser';
+import { parse } from 'node-html-parser';
+import { PARAGRAPH_BREAK, normalizeBookText, normalizeParagraph } from './textNormalization.js';
+
+export const DEFAULT_MIN_PARAGRAPH_CHARS = 30;
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  trimValues: true
+});
+
+// Minimal POSIX path helpers; archive entry names always use forward slashes.
+const posixPath = {
+  dirname(value) {
+    const index = value.lastIndexOf('/');
+    return index === -1 ? '.' : value.slice(0, index) || '/';
+  },
+
+  join(...parts) {
+    return parts.filter((part) => part && part !== '.').join('/');
+  },
+
+  normalize(value) {
+    const segments = [];
+
+    for (const segment of value.split('/')) {
+      if (!segment || segment === '.') {
+        continue;
+      }
+
+      if (segment === '..') {
+        segments.pop();
+      } else {
+        segments.push(segment);
+      }
+    }
+
+    return segments.join('/');
+  }
+};
+
+function toArray(value) {
+  if (!value) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : [value];
+}
+
+function parseXml(text, sourceLabel) {
+  try {
+    return xmlParser.parse(text);
+  } catch (error) {
+    throw new Error(`Failed parsing XML (${sourceLabel}): ${error.message}`);
+  }
+}
+
+function safeDecodeUri(value) {
+  try {
+    return decodeURI(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Spine and navigation hrefs may differ in URL-encoding and case, so compare on a decoded key.
+function toDocumentKey(documentPath) {
+  return safeDecodeUri(documentPath).toLowerCase();
+}
+
+function resolveDocumentHref(baseDir, href) {
+  const [hrefPath] = String(href || '').split('#');
+  if (!hrefPath) {
+    return '';
+  }
+
+  return posixPath.normalize(posixPath.join(baseDir, hrefPath));
+}
+
+export function isLikelyBoilerplate(paragraph, minParagraphChars = DEFAULT_MIN_PARAGRAPH_CHARS) {
+  if (paragraph.length < minParagraphChars) {
+    return true;
+  }
+
+  const lowered = paragraph.toLowerCase();
+
+  if (/^(chapter|contents?|table of contents|book)\b/.test(lowered)) {
+    return true;
+  }
+
+  if (/^(illustration|illustrations|footnotes?|endnotes?|notes?)\b/.test(lowered)) {
+    return true;
+  }
+
+  return false;
+}
+
+function nodeMeta(node) {
+  const className = String(node.getAttribute('class') || '').toLowerCase();
+  const id = String(node.getAttribute('id') || '').toLowerCase();
+  const role = String(node.getAttribute('role') || '').toLowerCase();
+  const epubType = String(node.getAttribute('epub:type') || '').toLowerCase();
+
+  return `${className} ${id} ${role} ${epubType}`;
+}
+
+export function shouldSkipParagraphNode(paragraphNode) {
+  let node = paragraphNode.parentNode;
+
+  while (node) {
+    const tagName = String(node.tagName || '').toLowerCase();
+    if (
+      tagName === 'nav' ||
+      tagName === 'header' ||
+      tagName === 'footer' ||
+      tagName === 'aside' ||
+      tagName === 'ol' ||
+      tagName === 'ul' ||
+      tagName === 'h1' ||
+      tagName === 'h2' ||
+      tagName === 'h3' ||
+      tagName === 'figure' ||
+      tagName === 'figcaption'
+    ) {
+      return true;
+    }
+
+    const meta = nodeMeta(node);
+    if (
+      /(toc|contents?|footnote|endnote|bibliography|glossary|index|appendix)/.test(meta)
+    ) {
+      return true;
+    }
+
+    node = node.parentNode;
+  }
+
+  return false;
+}
+
+export function isFootnoteAnchor(anchorNode) {
+  const href = String(anchorNode.getAttribute('href') || '').toLowerCase();
+  const meta = nodeMeta(anchorNode);
+  const anchorText = String(anchorNode.text || '').trim();
+
+  if (
+    /(footnote|endnote|noteref|doc-noteref|doc-footnote|doc-endnote)/.test(
+      `${href} ${meta}`
+    )
+  ) {
+    return true;
+  }
+
+  if (href.startsWith('#') && /^(\[?\(?\d{1,3}\)?\]?|[ivxlcdm]{1,8}|[*])$/i.test(anchorText)) {
+    return true;
+  }
+
+  return false;
+}
+
+// The paragraph's typable text, or '' for paragraphs the corpus skips.
+function readParagraphNode(paragraphNode, minParagraphChars) {
+  if (shouldSkipParagraphNode(paragraphNode)) {
+    return '';
+  }
+
+  for (const sup of paragraphNode.querySelectorAll('sup')) {
+    sup.remove();
+  }
+
+  for (const anchorNode of paragraphNode.querySelectorAll('a')) {
+    if (isFootnoteAnchor(anchorNode)) {
+      anchorNode.remove();
+    }
+  }
+
+  const paragraph = normalizeParagraph(paragraphNode.text);
+  return paragraph && !isLikelyBoilerplate(paragraph, minParagraphChars) ? paragraph : '';
+}
+
+function parseHtml(htmlText) {
+  return parse(htmlText, {
+    lowerCaseTagName: true,
+    comment: false
+  });
+}
+
+export function extractParagraphsFromHtml(htmlText, options = {}) {
+  const { minParagraphChars = DEFAULT_MIN_PARAGRAPH_CHARS } = options;
+  const root = parseHtml(htmlText);
+
+  return root
+    .querySelectorAll('p')
+    .map((paragraphNode) => readParagraphNode(paragraphNode, minParagraphChars))
+    .filter(Boolean);
+}
+
+// A standalone HTML page, such as a saved article. Only the <article> or <main> element is read
+// when there is one, and each <h1> or <h2> starts a chapter. Returns the same shape as
+// extractEpubContent.
+export function extractHtmlContent(htmlText, options = {}) {
+  const { minParagraphChars = DEFAULT_MIN_PARAGRAPH_CHARS } = options;
+  const root = parseHtml(htmlText);
+  const content = root.querySelector('article') || root.querySelector('main') || root;
+  const paragraphs = [];
+  const chapters = [];
+  let pendingTitle = '';
+
+  for (const node of content.querySelectorAll('h1, h2, p')) {
+    if (node.tagName !== 'P') {
+      pendingTitle = normalizeParagraph(node.text) || pendingTitle;
+      continue;
+    }
+
+    const paragraph = readParagraphNode(node, minParagraphChars);
+    if (!paragraph) {
+      continue;
+    }
+
+    if (pendingTitle) {
+      chapters.push({ title: pendingTitle, paragraphIndex: paragraphs.length });
+      pendingTitle = '';
+    }
+
+    paragraphs.push(paragraph);
+  }
+
+  const metadata = {
+    title: normalizeParagraph(
+      content.querySelector('h1')?.text || root.querySelector('title')?.text
+    ),
+    author: normalizeParagraph(root.querySelector('meta[name="author"]')?.getAttribute('content')),
+    language: normalizeParagraph(root.querySelector('html')?.getAttribute('lang'))
+  };
+
+  return { paragraphs, chapters, metadata };
+}
+
+export async function readZipText(zip, targetPath) {
+  const normalized = targetPath.replace(/\\/g, '/').replace(/^\.\/+/, '');
+  const candidates = [normalized];
+
+  try {
+    candidates.push(decodeURI(normalized));
+  } catch (error) {
+    // Ignore malformed URI sequences.
+  }
+
+  try {
+    candidates.push(encodeURI(normalized));
+  } catch (error) {
+    // Ignore malformed URI sequences.
+  }
+
+  for (const candidate of candidates) {
+    const entry = zip.file(candidate);
+    if (entry) {
+      return entry.async('string');
+    }
+  }
+
+  const fallback = Object.keys(zip.files).find(
+    (name) => name.toLowerCase() === normalized.toLowerCase()
+  );
+
+  if (fallback) {
+    return zip.file(fallback).async('string');
+  }
+
+  throw new Error(`Missing EPUB archive entry: ${targetPath}`);
+}
+
+export function findOpfPath(containerXml) {
+  const container = parseXml(containerXml, 'META-INF/container.xml');
+  const rootFiles = toArray(container?.container?.rootfiles?.rootfile);
+
+  for (const rootFile of rootFiles) {
+    const fullPath = rootFile?.['full-path'] || rootFile?.fullPath;
+    if (fullPath) {
+      return posixPath.normalize(fullPath);
+    }
+  }
+
+  throw new Error('Unable to locate OPF package path in container.xml');
+}
+
+export function parseOpfSpine(opfXml, opfPath) {
+  const opf = parseXml(opfXml, opfPath)?.package;
+  if (!opf) {
+    throw new Error(`Invalid OPF package: ${opfPath}`);
+  }
+
+  const manifestItems = toArray(opf?.manifest?.item);
+  const spineRefs = toArray(opf?.spine?.itemref);
+  const manifestById = new Map();
+
+  for (const item of manifestItems) {
+    const id = item?.id;
+    const href = item?.href;
+    if (!id || !href) {
+      continue;
+    }
+
+    manifestById.set(id, {
+      href,
+      mediaType: String(item?.['media-type'] || item?.mediaType || '').toLowerCase()
+    });
+  }
+
+  const opfDir = posixPath.dirname(opfPath);
+  const spinePaths = [];
+
+  for (const spineRef of spineRefs) {
+    if (String(spineRef?.linear || 'yes').toLowerCase() === 'no') {
+      continue;
+    }
+
+    const manifestItem = manifestById.get(spineRef?.idref);
+    if (!manifestItem) {
+      continue;
+    }
+
+    const isHtml =
+      manifestItem.mediaType.includes('xhtml') ||
+      manifestItem.mediaType.includes('html') ||
+      /\.(xhtml?|html?)$/i.test(manifestItem.href);
+    if (!isHtml) {
+      continue;
+    }
+
+    spinePaths.push(
+      posixPath.normalize(posixPath.join(opfDir, manifestItem.href))
+    );
+  }
+
+  return spinePaths;
+}
+
+function readMetadataText(value) {
+  const text = typeof value === 'object' && value !== null ? value['#text'] : value;
+  return normalizeParagraph(text === undefined || text === null ? '' : String(text));
+}
+
+// EPUB 2 marks the publication date with opf:event; EPUB 3 usually has a single dc:date.
+function pickPublicationDate(dates) {
+  const publication = dates.find(
+    (date) => String(date?.event || '').toLowerCase() === 'publication'
+  );
+
+  return readMetadataText(publication ?? dates[0]);
+}
+
+// Dublin Core fields from the OPF package; anything missing comes back as an empty string.
+export function parseOpfMetadata(opfXml, opfPath) {
+  const metadata = parseXml(opfXml, opfPath)?.package?.metadata || {};
+  const authors = toArray(metadata.creator).map(readMetadataText).filter(Boolean);
+
+  return {
+    title: toArray(metadata.title).map(readMetadataText).find(Boolean) || '',
+    author: authors.join(', '),
+    language: toArray(metadata.language).map(readMetadataText).find(Boolean) || '',
+    published: pickPublicationDate(toArray(metadata.date)),
+    rights: toArray(metadata.rights).map(readMetadataText).filter(Boolean).join(' ')
+  };
+}
+
+export function parseOpfNavigation(opfXml, opfPath) {
+  const opf = parseXml(opfXml, opfPath)?.package;
+  const manifestItems = toArray(opf?.manifest?.item);
+  const opfDir = posixPath.dirname(opfPath);
+  const tocId = opf?.spine?.toc;
+
+  const navItem = manifestItems.find((item) =>
+    String(item?.properties || '')
+      .split(/\s+/)
+      .includes('nav')
+  );
+  const ncxItem =
+    manifestItems.find((item) => tocId && item?.id === tocId) ||
+    manifestItems.find(
+      (item) => String(item?.['media-type'] || '').toLowerCase() === 'application/x-dtbncx+xml'
+    );
+
+  return {
+    navPath: navItem?.href ? resolveDocumentHref(opfDir, navItem.href) : '',
+    ncxPath: ncxItem?.href ? resolveDocumentHref(opfDir, ncxItem.href) : ''
+  };
+}
+
+// The element id a navigation href points at inside its document, if any.
+function readHrefFragment(href) {
+  const [, fragment = ''] = String(href || '').split('#');
+  return safeDecodeUri(fragment);
+}
+
+export function parseNavDocument(htmlText, navPath) {
+  const root = parse(htmlText, {
+    lowerCaseTagName: true,
+    comment: false
+  });
+  const navNodes = root.querySelectorAll('nav');
+  const tocNode =
+    navNodes.find((node) => /\btoc\b/.test(String(node.getAttribute('epub:type') || ''))) ||
+    navNodes[0];
+
+  if (!tocNode) {
+    return [];
+  }
+
+  const navDir = posixPath.dirname(navPath);
+  return tocNode
+    .querySelectorAll('a')
+    .map((anchorNode) => ({
+      path: resolveDocumentHref(navDir, anchorNode.getAttribute('href')),
+      fragment: readHrefFragment(anchorNode.getAttribute('href')),
+      title: normalizeParagraph(anchorNode.text)
+    }))
+    .filter((item) => item.path && item.title);
+}
+
+export function parseNcxDocument(ncxXml, ncxPath) {
+  const ncx = parseXml(ncxXml, ncxPath)?.ncx;
+  const ncxDir = posixPath.dirname(ncxPath);
+  const items = [];
+
+  function visit(navPoints) {
+    for (const navPoint of toArray(navPoints)) {
+      const label = navPoint?.navLabel?.text;
+      const title = normalizeParagraph(typeof label === 'object' ? label?.['#text'] : label);
+      const documentPath = resolveDocumentHref(ncxDir, navPoint?.content?.src);
+
+      if (documentPath && title) {
+        items.push({ path: documentPath, fragment: readHrefFragment(navPoint.content.src), title });
+      }
+
+      visit(navPoint?.navPoint);
+    }
+  }
+
+  visit(ncx?.navMap?.navPoint);
+  return items;
+}
+
+// Maps each spine document to the navigation entries pointing into it, in reading order.
+async function readNavigationItems(zip, opfXml, opfPath, onWarning) {
+  const { navPath, ncxPath } = parseOpfNavigation(opfXml, opfPath);
+  let navItems = [];
+
+  try {
+    if (navPath) {
+      navItems = parseNavDocument(await readZipText(zip, navPath), navPath);
+    }
+
+    if (!navItems.length && ncxPath) {
+      navItems = parseNcxDocument(await readZipText(zip, ncxPath), ncxPath);
+    }
+  } catch (error) {
+    onWarning(`ignored navigation (${error.message})`);
+  }
+
+  const itemsByDocument = new Map();
+  for (const item of navItems) {
+    const key = toDocumentKey(item.path);
+    itemsByDocument.set(key, [...(itemsByDocument.get(key) || []), item]);
+  }
+
+  return itemsByDocument;
+}
+
+// Reads one spine document's paragraphs along with where its chapters start: at the paragraph
+// after each element a navigation entry points at, or at the top for entries without a fragment.
+// Books without any navigation fall back to the document's first heading as its title.
+function readSpineDocument(htmlText, navItems, { minParagraphChars, useHeadings }) {
+  const root = parseHtml(htmlText);
+  const fragmentTitles = new Map();
+  const starts = [];
+  const paragraphs = [];
+  let heading = '';
+
+  for (const item of navItems) {
+    if (item.fragment && !fragmentTitles.has(item.fragment)) {
+      fragmentTitles.set(item.fragment, item.title);
+    } else if (!item.fragment) {
+      starts.push({ title: item.title, paragraphIndex: 0 });
+    }
+  }
+
+  for (const node of root.querySelectorAll('p, h1, h2, h3, [id]')) {
+    const id = node.getAttribute('id');
+
+    if (id && fragmentTitles.has(id)) {
+      starts.push({ title: fragmentTitles.get(id), paragraphIndex: paragraphs.length });
+      fragmentTitles.delete(id);
+    }
+
+    if (/^H[1-3]$/.test(node.tagName)) {
+      if (useHeadings && !heading && !shouldSkipParagraphNode(node)) {
+        heading = normalizeParagraph(node.text);
+      }
+    } else if (node.tagName === 'P') {
+      const paragraph = readParagraphNode(node, minParagraphChars);
+
+      if (paragraph) {
+        paragraphs.push(paragraph);
+      }
+    }
+  }
+
+  // Fragments missing from the document still name it, unless an entry that was found does.
+  starts.unshift(
+    ...[...fragmentTitles.values()].map((title) => ({ title, paragraphIndex: 0 }))
+  );
+
+  if (heading && !starts.length) {
+    starts.push({ title: heading, paragraphIndex: 0 });
+  }
+
+  return { paragraphs, starts: starts.sort((a, b) => a.paragraphIndex - b.paragraphIndex) };
+}
+
+// Accepts anything JSZip can load (Node Buffer, ArrayBuffer, Blob). Per-document failures are
+// reported through onWarning and skipped so one broken file does not lose the whole book.
+export async function extractEpubContent(zipData, options = {}) {
+  const { minParagraphChars = DEFAULT_MIN_PARAGRAPH_CHARS, onWarning = () => {} } = options;
+  const zip = await JSZip.loadAsync(zipData);
+
+  const containerXml = await readZipText(zip, 'META-INF/container.xml');
+  const opfPath = findOpfPath(containerXml);
+  const opfXml = await readZipText(zip, opfPath);
+  const spinePaths = parseOpfSpine(opfXml, opfPath);
+  const metadata = parseOpfMetadata(opfXml, opfPath);
+  const navigationItems = await readNavigationItems(zip, opfXml, opfPath, onWarning);
+
+  const paragraphs = [];
+  const chapters = [];
+  let pendingTitle = '';
+
+  for (const spinePath of spinePaths) {
+    try {
+      const htmlText = await readZipText(zip, spinePath);
+      const { paragraphs: documentParagraphs, starts } = readSpineDocument(
+        htmlText,
+        navigationItems.get(toDocumentKey(spinePath)) || [],
+        { minParagraphChars, useHeadings: !navigationItems.size }
+      );
+
+      // Title-only documents (part pages) lend their title to the next untitled document,
+      // and untitled continuation files stay inside the chapter before them.
+      if (!documentParagraphs.length) {
+        pendingTitle = starts[starts.length - 1]?.title || pendingTitle;
+        continue;
+      }
+
+      if (starts[0]?.paragraphIndex !== 0 && (pendingTitle || !chapters.length)) {
+        starts.unshift({ title: pendingTitle, paragraphIndex: 0 });
+      }
+
+      for (const { title, paragraphIndex } of starts) {
+        chapters.push({ title, paragraphIndex: paragraphs.length + paragraphIndex });
+      }
+
+      pendingTitle = '';
+      paragraphs.push(...documentParagraphs);
+    } catch (error) {
+      onWarning(`skipped ${spinePath} (${error.message})`);
+    }
+  }
+
+  return { paragraphs, chapters, metadata };
+}
+
+// Normalizes paragraph by paragraph so chapter starts can be expressed as offsets into the
+// exact text that gets written. The profile is passed on to normalizeBookText.
+export function buildBookText(paragraphs, chapterStarts, normalization) {
+  const startsByParagraph = new Map(
+    chapterStarts.map((chapter) => [chapter.paragraphIndex, chapter.title])
+  );
+  const pieces = [];
+  const chapters = [];
+  let length = 0;
+  // A chapter starts at its first paragraph that survives normalization; of several starting
+  // at the same paragraph, the last one wins.
+  let pendingTitle = null;
+
+  for (const [index, paragraph] of paragraphs.entries()) {
+    // A paragraph is a single line in the corpus, so stray breaks inside it become spaces.
+    const normalized = normalizeParagraph(normalizeBookText(paragraph, normalization));
+
+    if (startsByParagraph.has(index)) {
+      pendingTitle = startsByParagraph.get(index);
+    }
+
+    if (!normalized) {
+      continue;
+    }
+
+    if (pieces.length) {
+      length += PARAGRAPH_BREAK.length;
+    }
+
+    // Offsets point at the paragraph's first character, past the break before it.
+    if (pendingTitle !== null) {
+      chapters.push({ title: pendingTitle, offset: length });
+      pendingTitle = null;
+    }
+
+    pieces.push(normalized);
+    length += normalized.length;
+  }
+
+  return { text: pieces.join(PARAGRAPH_BREAK), chapters };
+}
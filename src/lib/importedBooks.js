@@ -0,0 +1,93 @@
+import { STORE, runStoreRequest } from './indexedDb.js';
+
+const EPUB_FILE_REGEX = /\.epub$/i;
+
+export const IMPORTED_BOOK_SOURCE = 'imported';
+
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function titleFromFilename(fileName) {
+  return fileName
+    .replace(EPUB_FILE_REGEX, '')
+    .replace(/[_-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function toImportedBookEntry(record) {
+  return {
+    id: record.id,
+    title: record.title,
+    ...(record.author ? { author: record.author } : {}),
+    bytes: record.bytes,
+    source: IMPORTED_BOOK_SOURCE,
+    importedAt: record.importedAt
+  };
+}
+
+export function isEpubFile(file) {
+  return Boolean(file?.name) && EPUB_FILE_REGEX.test(file.name);
+}
+
+export async function listImportedBookEntries() {
+  const records = await runStoreRequest(STORE.IMPORTED_BOOKS, 'readonly', (store) =>
+    store.getAll()
+  );
+
+  return records
+    .map(toImportedBookEntry)
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+export async function getImportedBook(id) {
+  return (
+    (await runStoreRequest(STORE.IMPORTED_BOOKS, 'readonly', (store) => store.get(id))) || null
+  );
+}
+
+// Extraction pulls in the EPUB parsers, so load it only when someone actually imports a book.
+export async function importEpubFile(file) {
+  if (!isEpubFile(file)) {
+    throw new Error('Only .epub files can be imported.');
+  }
+
+  const { buildBookText, extractEpubContent } = await import('./epubExtractor');
+  const warnings = [];
+  const { paragraphs, chapters: chapterStarts, metadata } = await extractEpubContent(
+    await file.arrayBuffer(),
+    { onWarning: (message) => warnings.push(message) }
+  );
+  const { text, chapters } = buildBookText(paragraphs, chapterStarts);
+
+  if (text.length < 500) {
+    throw new Error('No readable text was found in this EPUB.');
+  }
+
+  if (warnings.length) {
+    console.warn(`Imported ${file.name} with warnings:`, warnings);
+  }
+
+  const title = metadata.title || titleFromFilename(file.name);
+  const record = {
+    id: `imported-${slugify(title) || 'book'}-${Date.now().toString(36)}`,
+    title,
+    author: metadata.author,
+    language: metadata.language,
+    text,
+    chapters,
+    bytes: new TextEncoder().encode(text).length,
+    importedAt: Date.now()
+  };
+
+  await runStoreRequest(STORE.IMPORTED_BOOKS, 'readwrite', (store) => store.put(record));
+  return toImportedBookEntry(record);
+}
+
+export async function deleteImportedBook(id) {
+  await runStoreRequest(STORE.IMPORTED_BOOKS, 'readwrite', (store) => store.delete(id));
+}
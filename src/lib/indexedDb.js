@@ -0,0 +1,73 @@
+const DATABASE_NAME = 'ambitype';
+const DATABASE_VERSION = 2;
+
+export const STORE = {
+  IMPORTED_BOOKS: 'importedBooks',
+  SESSION_HISTORY: 'sessionHistory'
+};
+
+let databasePromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+
+        if (!database.objectStoreNames.contains(STORE.IMPORTED_BOOKS)) {
+          database.createObjectStore(STORE.IMPORTED_BOOKS, { keyPath: 'id' });
+        }
+
+        if (!database.objectStoreNames.contains(STORE.SESSION_HISTORY)) {
+          database.createObjectStore(STORE.SESSION_HISTORY, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+
+      request.onsuccess = () => {
+        const database = request.result;
+        // Lets a newer version opened in another tab upgrade instead of being blocked.
+        database.onversionchange = () => {
+          database.close();
+          databasePromise = null;
+        };
+        resolve(database);
+      };
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+}
+
+// Runs one request against a store and resolves once the transaction has committed.
+export async function runStoreRequest(storeName, mode, createRequest) {
+  const database = await openDatabase();
+  const transaction = database.transaction(storeName, mode);
+  const result = requestToPromise(createRequest(transaction.objectStore(storeName)));
+  const transactionDone = new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+  });
+
+  // Awaited together, so a failed request's rejection is always handled.
+  const [value] = await Promise.all([result, transactionDone]);
+  return value;
+}
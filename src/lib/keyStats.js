@@ -0,0 +1,175 @@
+const KEY_STATS_STORAGE_KEY = 'ambitype-key-stats';
+const KEY_STATS_VERSION = 1;
+
+// Moving averages rather than lifetime totals, so keys that improve lose weight within a session.
+const SMOOTHING = 0.08;
+// Pauses longer than this are thinking or reading, not the time a key takes.
+const MAX_LATENCY_MS = 2000;
+// Keys seen fewer times than this are not judged yet.
+export const MIN_KEY_SAMPLES = 8;
+const ERROR_WEIGHT = 4;
+const SLOWNESS_WEIGHT = 1.5;
+const LETTER_REGEX = /^\p{L}$/u;
+
+export function createEmptyKeyStats() {
+  return { version: KEY_STATS_VERSION, characters: {}, bigrams: {} };
+}
+
+function isValidEntry(entry) {
+  return (
+    entry &&
+    Number.isInteger(entry.count) &&
+    entry.count > 0 &&
+    Number.isFinite(entry.errorRate) &&
+    Number.isFinite(entry.latency)
+  );
+}
+
+function sanitizeEntries(entries) {
+  const valid = {};
+
+  if (entries && typeof entries === 'object') {
+    for (const [key, entry] of Object.entries(entries)) {
+      if (isValidEntry(entry)) {
+        valid[key] = {
+          count: entry.count,
+          errorRate: entry.errorRate,
+          latency: entry.latency,
+          latencyCount: Number.isInteger(entry.latencyCount) ? entry.latencyCount : 0
+        };
+      }
+    }
+  }
+
+  return valid;
+}
+
+export function loadKeyStats() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(KEY_STATS_STORAGE_KEY) || 'null');
+
+    if (parsed?.version === KEY_STATS_VERSION) {
+      return {
+        version: KEY_STATS_VERSION,
+        characters: sanitizeEntries(parsed.characters),
+        bigrams: sanitizeEntries(parsed.bigrams)
+      };
+    }
+  } catch (error) {
+    // Ignore storage failures and malformed values in restricted contexts.
+  }
+
+  return createEmptyKeyStats();
+}
+
+export function saveKeyStats(stats) {
+  try {
+    localStorage.setItem(KEY_STATS_STORAGE_KEY, JSON.stringify(stats));
+  } catch (error) {
+    // Ignore storage failures in restricted contexts.
+  }
+}
+
+export function clearKeyStats() {
+  try {
+    localStorage.removeItem(KEY_STATS_STORAGE_KEY);
+  } catch (error) {
+    // Ignore storage failures in restricted contexts.
+  }
+}
+
+function updateEntry(entries, key, isCorrect, latencyMs) {
+  const entry = entries[key] || { count: 0, errorRate: 0, latency: 0, latencyCount: 0 };
+  const error = isCorrect ? 0 : 1;
+
+  // Until there are enough samples, a plain mean keeps the first few keystrokes from dominating.
+  entry.count += 1;
+  entry.errorRate += (error - entry.errorRate) * Math.max(SMOOTHING, 1 / entry.count);
+
+  if (latencyMs !== null) {
+    entry.latencyCount += 1;
+    entry.latency += (latencyMs - entry.latency) * Math.max(SMOOTHING, 1 / entry.latencyCount);
+  }
+
+  entries[key] = entry;
+}
+
+// Letters are counted without case so "T" and "t" share one key; whitespace is never judged.
+// The bigram is the previous expected character plus this one, for letter pairs only.
+export function recordKeystroke(stats, { expected, previous, isCorrect, latencyMs }) {
+  if (!expected || /\s/.test(expected)) {
+    return;
+  }
+
+  const key = expected.toLowerCase();
+  const latency =
+    Number.isFinite(latencyMs) && latencyMs > 0 && latencyMs <= MAX_LATENCY_MS ? latencyMs : null;
+
+  updateEntry(stats.characters, key, isCorrect, latency);
+
+  if (previous && LETTER_REGEX.test(previous) && LETTER_REGEX.test(expected)) {
+    updateEntry(stats.bigrams, `${previous.toLowerCase()}${key}`, isCorrect, latency);
+  }
+}
+
+function getAverageLatency(entries) {
+  let total = 0;
+  let count = 0;
+
+  for (const entry of Object.values(entries)) {
+    if (entry.latencyCount >= MIN_KEY_SAMPLES) {
+      total += entry.latency;
+      count += 1;
+    }
+  }
+
+  return count ? total / count : 0;
+}
+
+// How much practice a key needs: its error rate plus how much slower than average it is typed.
+function scoreEntries(entries) {
+  const averageLatency = getAverageLatency(entries);
+  const scores = new Map();
+
+  for (const [key, entry] of Object.entries(entries)) {
+    if (entry.count < MIN_KEY_SAMPLES) {
+      continue;
+    }
+
+    const slowness =
+      averageLatency && entry.latencyCount >= MIN_KEY_SAMPLES
+        ? Math.max(0, entry.latency / averageLatency - 1)
+        : 0;
+    const score = entry.errorRate * ERROR_WEIGHT + slowness * SLOWNESS_WEIGHT;
+
+    if (score > 0) {
+      scores.set(key, score);
+    }
+  }
+
+  return scores;
+}
+
+export function getWeaknessScores(stats) {
+  return { characters: scoreEntries(stats.characters), bigrams: scoreEntries(stats.bigrams) };
+}
+
+// The weakest keys and letter pairs, worst first, for showing on the landing screen.
+export function listWeakSpots(stats, limit = 6) {
+  const { characters, bigrams } = getWeaknessScores(stats);
+  const describe = (entries, scores) =>
+    [...scores]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([key, score]) => ({
+        key,
+        score,
+        errorRate: entries[key].errorRate,
+        latency: entries[key].latencyCount ? Math.round(entries[key].latency) : null
+      }));
+
+  return {
+    characters: describe(stats.characters, characters),
+    bigrams: describe(stats.bigrams, bigrams)
+  };
+}
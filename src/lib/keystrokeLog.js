@@ -0,0 +1,119 @@
+import { calculateAccuracy, calculateSessionAverageWpm } from './stats.js';
+
+// Every keystroke of a session, kept for its whole length so the summary can replay it. The
+// rolling WPM keeps its own short event window; this log is never trimmed.
+export const KEYSTROKE_KIND = {
+  TYPE: 'type',
+  CORRECTION: 'correction'
+};
+
+// Replays show a little of the text past the furthest point typed, so the last word reads whole.
+const REPLAY_TRAILING_CHARS = 80;
+
+export function createKeystrokeLog(startedAt = Date.now()) {
+  return { startedAt, events: [] };
+}
+
+// `t` is milliseconds since the session started.
+export function recordTypedKey(log, { at, index, expected, typed, isCorrect }) {
+  log.events.push({
+    t: Math.max(0, at - log.startedAt),
+    kind: KEYSTROKE_KIND.TYPE,
+    index,
+    expected,
+    typed,
+    correct: isCorrect
+  });
+}
+
+// A backspace that cleared the character at `index`.
+export function recordCorrection(log, { at, index, expected }) {
+  log.events.push({
+    t: Math.max(0, at - log.startedAt),
+    kind: KEYSTROKE_KIND.CORRECTION,
+    index,
+    expected
+  });
+}
+
+// Freezes a finished session's log together with the text it was typed over. Returns null when
+// nothing was typed, since there is nothing to play back.
+export function createSessionReplay(log, text, durationMs) {
+  if (!log.events.length) {
+    return null;
+  }
+
+  // Reduced rather than spread, since a long session can outgrow the argument limit.
+  const furthestIndex = log.events.reduce((furthest, event) => Math.max(furthest, event.index), 0);
+
+  return {
+    text: String(text || '').slice(0, furthestIndex + 1 + REPLAY_TRAILING_CHARS),
+    events: log.events.slice(),
+    durationMs: Math.max(durationMs, log.events[log.events.length - 1].t)
+  };
+}
+
+// How many events happened at or before `atMs`; events are recorded in time order.
+function countEventsUntil(events, atMs) {
+  let low = 0;
+  let high = events.length;
+
+  while (low < high) {
+    const middle = (low + high) >> 1;
+
+    if (events[middle].t <= atMs) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+}
+
+// The state of the typing screen `atMs` into the session: where the cursor was, which characters
+// were typed right or wrong (undefined for untyped), and the running totals. During playback the
+// previous frame is passed in and moved forward by the events since it, instead of replaying the
+// whole log every animation frame; its `results` array is reused, so it goes stale. Seeking
+// backwards, or a frame from another replay, starts again from the first event.
+export function getReplayFrame(replay, atMs, previousFrame = null) {
+  const eventCount = countEventsUntil(replay.events, atMs);
+  const canAdvance =
+    previousFrame?.events === replay.events && previousFrame.eventCount <= eventCount;
+  let { cursorIndex, typedChars, correctChars, corrections } = canAdvance
+    ? previousFrame
+    : { cursorIndex: 0, typedChars: 0, correctChars: 0, corrections: 0 };
+  const results = canAdvance ? previousFrame.results : [];
+
+  for (let index = canAdvance ? previousFrame.eventCount : 0; index < eventCount; index += 1) {
+    const event = replay.events[index];
+
+    if (event.kind === KEYSTROKE_KIND.CORRECTION) {
+      results[event.index] = undefined;
+      cursorIndex = event.index;
+      corrections += 1;
+      continue;
+    }
+
+    results[event.index] = event.correct;
+    cursorIndex = event.index + 1;
+    typedChars += 1;
+
+    if (event.correct) {
+      correctChars += 1;
+    }
+  }
+
+  return {
+    events: replay.events,
+    eventCount,
+    cursorIndex,
+    results,
+    typedChars,
+    correctChars,
+    lastEvent: replay.events[eventCount - 1] || null,
+    wpm: calculateSessionAverageWpm(correctChars, atMs),
+    accuracy: calculateAccuracy(correctChars, typedChars),
+    corrections
+  };
+}
@@ -0,0 +1,36 @@
+// Map-backed cache that forgets the least recently used entry once it holds more than maxEntries.
+export function createLruCache(maxEntries) {
+  const entries = new Map();
+
+  return {
+    has(key) {
+      return entries.has(key);
+    },
+
+    get(key) {
+      if (!entries.has(key)) {
+        return undefined;
+      }
+
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+
+      return this;
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    }
+  };
+}
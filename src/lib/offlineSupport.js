@@ -0,0 +1,83 @@
+const OFFLINE_BOOKS_STORAGE_KEY = 'ambitype-offline-books';
+const SERVICE_WORKER_PATH = '/sw.js';
+const SERVICE_WORKER_REPLY_TIMEOUT_MS = 60000;
+
+// The worker is only emitted by production builds, see vite.config.js.
+export function isOfflineSupported() {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && import.meta.env.PROD;
+}
+
+export function registerServiceWorker() {
+  if (!isOfflineSupported()) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_PATH).catch((error) => {
+      console.error('Failed to register service worker:', error);
+    });
+  });
+}
+
+export function getOfflineBookIds() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(OFFLINE_BOOKS_STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter((id) => typeof id === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function storeOfflineBookIds(bookIds) {
+  try {
+    localStorage.setItem(OFFLINE_BOOKS_STORAGE_KEY, JSON.stringify(bookIds));
+  } catch (error) {
+    // Ignore storage failures in restricted contexts.
+  }
+}
+
+function postToServiceWorker(message) {
+  const worker = navigator.serviceWorker?.controller;
+
+  if (!worker) {
+    return Promise.reject(
+      new Error('Offline support is still starting. Reload the page and try again.')
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timeoutId = window.setTimeout(() => {
+      reject(new Error('The offline cache did not respond.'));
+    }, SERVICE_WORKER_REPLY_TIMEOUT_MS);
+
+    channel.port1.onmessage = (event) => {
+      window.clearTimeout(timeoutId);
+
+      if (event.data?.ok) {
+        resolve();
+      } else {
+        reject(new Error(event.data?.error || 'The offline cache rejected the request.'));
+      }
+    };
+
+    worker.postMessage(message, [channel.port2]);
+  });
+}
+
+export async function setBookAvailableOffline(entry, isAvailable) {
+  const shardUrls = (entry.shards?.offsets || []).map(
+    (offset, index) => `${entry.shards.path}${index}.txt`
+  );
+  const urls = [entry.path, entry.chaptersPath, entry.difficultyPath, ...shardUrls].filter(
+    Boolean
+  );
+
+  await postToServiceWorker({ type: isAvailable ? 'cache-books' : 'uncache-books', urls });
+
+  const otherIds = getOfflineBookIds().filter((id) => id !== entry.id);
+  const nextIds = isAvailable ? [...otherIds, entry.id] : otherIds;
+  storeOfflineBookIds(nextIds);
+
+  return nextIds;
+}
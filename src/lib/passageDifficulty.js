@@ -0,0 +1,208 @@
+// Shared by the corpus builder (Node) and the app, so keep this module dependency-free.
+import { PARAGRAPH_BREAK } from './textNormalization.js';
+
+export const DIFFICULTY_INDEX_VERSION = 1;
+
+// Rows are positional to keep the sidecar small; the header names each column.
+export const DIFFICULTY_INDEX_FIELDS = [
+  'offset',
+  'length',
+  'score',
+  'wordLength',
+  'punctuation',
+  'capitals',
+  'symbols',
+  'sentenceLength',
+  'readability'
+];
+
+export const DIFFICULTY_BAND = {
+  ANY: 'any',
+  EASY: 'easy',
+  MEDIUM: 'medium',
+  HARD: 'hard'
+};
+
+const DIFFICULTY_BAND_RANGES = {
+  [DIFFICULTY_BAND.EASY]: { min: 0, max: 33 },
+  [DIFFICULTY_BAND.MEDIUM]: { min: 33, max: 44 },
+  [DIFFICULTY_BAND.HARD]: { min: 44, max: 100 }
+};
+
+// Long paragraphs (and corpora built before paragraphs were kept) are graded in sentence runs.
+const MAX_PASSAGE_CHARS = 1200;
+const SENTENCE_END_REGEX = /[.!?]["')\]]*\s+(?=["'(\[]?[A-Z0-9])/g;
+const WORD_REGEX = /[A-Za-z0-9]+(?:['-][A-Za-z0-9]+)*/g;
+const PUNCTUATION_REGEX = /[.,;:!?"'()[\]-]/g;
+const CAPITAL_REGEX = /[A-Z]/g;
+const SYMBOL_REGEX = /[^A-Za-z\s.,;:!?"'()[\]-]/g;
+
+function countMatches(text, regex) {
+  return (text.match(regex) || []).length;
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function countSyllables(word) {
+  const groups = word.toLowerCase().replace(/e$/, '').match(/[aeiouy]+/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+// Metrics are per 100 characters where a density makes more sense than a raw count.
+export function measurePassage(text) {
+  const passage = String(text || '');
+  const words = passage.match(WORD_REGEX) || [];
+  const wordCount = Math.max(1, words.length);
+  const sentenceCount = Math.max(1, countMatches(passage, SENTENCE_END_REGEX) + 1);
+  const letterCount = words.reduce((total, word) => total + word.length, 0);
+  const syllableCount = words.reduce((total, word) => total + countSyllables(word), 0);
+  const perHundredChars = 100 / Math.max(1, passage.length);
+  const sentenceLength = wordCount / sentenceCount;
+
+  return {
+    wordLength: round(letterCount / wordCount),
+    punctuation: round(countMatches(passage, PUNCTUATION_REGEX) * perHundredChars),
+    capitals: round(countMatches(passage, CAPITAL_REGEX) * perHundredChars),
+    symbols: countMatches(passage, SYMBOL_REGEX),
+    sentenceLength: round(sentenceLength),
+    // Flesch reading ease: higher reads easier.
+    readability: round(206.835 - 1.015 * sentenceLength - 84.6 * (syllableCount / wordCount))
+  };
+}
+
+// Each metric is scaled from a comfortable to a brutal value seen in classic prose, then weighted
+// into 0 (trivial) to 100 (brutal), split between how hard it reads and how awkward it types.
+const SCORE_WEIGHTS = [
+  { metric: 'readability', easy: 90, hard: 20, weight: 0.35 },
+  { metric: 'sentenceLength', easy: 8, hard: 48, weight: 0.15 },
+  { metric: 'wordLength', easy: 3.6, hard: 5, weight: 0.15 },
+  { metric: 'punctuation', easy: 1.5, hard: 6.5, weight: 0.2 },
+  { metric: 'capitals', easy: 0.5, hard: 3.5, weight: 0.1 },
+  { metric: 'symbols', easy: 0, hard: 5, weight: 0.05 }
+];
+
+export function scorePassage(metrics) {
+  const score = SCORE_WEIGHTS.reduce((total, { metric, easy, hard, weight }) => {
+    const scaled = clamp((metrics[metric] - easy) / (hard - easy), 0, 1);
+    return total + scaled * weight;
+  }, 0);
+
+  return Math.round(score * 100);
+}
+
+function splitLongParagraph(text, offset, length) {
+  const passages = [];
+  let passageStart = offset;
+  const paragraphEnd = offset + length;
+
+  SENTENCE_END_REGEX.lastIndex = offset;
+  let match = SENTENCE_END_REGEX.exec(text);
+
+  while (match && match.index < paragraphEnd) {
+    const sentenceEnd = match.index + match[0].trimEnd().length;
+    const nextStart = match.index + match[0].length;
+
+    if (sentenceEnd - passageStart >= MAX_PASSAGE_CHARS && nextStart < paragraphEnd) {
+      passages.push({ offset: passageStart, length: sentenceEnd - passageStart });
+      passageStart = nextStart;
+    }
+
+    match = SENTENCE_END_REGEX.exec(text);
+  }
+
+  SENTENCE_END_REGEX.lastIndex = 0;
+  passages.push({ offset: passageStart, length: paragraphEnd - passageStart });
+  return passages;
+}
+
+export function splitPassages(text) {
+  const passages = [];
+  let offset = 0;
+
+  for (const paragraph of String(text || '').split(PARAGRAPH_BREAK)) {
+    if (paragraph.length > MAX_PASSAGE_CHARS) {
+      passages.push(...splitLongParagraph(text, offset, paragraph.length));
+    } else if (paragraph) {
+      passages.push({ offset, length: paragraph.length });
+    }
+
+    offset += paragraph.length + PARAGRAPH_BREAK.length;
+  }
+
+  return passages;
+}
+
+export function buildDifficultyIndex(text) {
+  const passages = splitPassages(text).map(({ offset, length }) => {
+    const metrics = measurePassage(text.slice(offset, offset + length));
+    const score = scorePassage(metrics);
+
+    return DIFFICULTY_INDEX_FIELDS.map(
+      (field) => ({ offset, length, score, ...metrics })[field]
+    );
+  });
+
+  return { version: DIFFICULTY_INDEX_VERSION, fields: DIFFICULTY_INDEX_FIELDS, passages };
+}
+
+// Keeps only rows that still fit the text, as { offset, length, score } sorted by offset.
+export function readDifficultyIndex(index, textLength) {
+  if (index?.version !== DIFFICULTY_INDEX_VERSION || !Array.isArray(index.passages)) {
+    return [];
+  }
+
+  const fields = Array.isArray(index.fields) ? index.fields : DIFFICULTY_INDEX_FIELDS;
+  const offsetColumn = fields.indexOf('offset');
+  const lengthColumn = fields.indexOf('length');
+  const scoreColumn = fields.indexOf('score');
+
+  return index.passages
+    .filter(Array.isArray)
+    .map((row) => ({
+      offset: row[offsetColumn],
+      length: row[lengthColumn],
+      score: row[scoreColumn]
+    }))
+    .filter(
+      ({ offset, length, score }) =>
+        Number.isInteger(offset) &&
+        Number.isInteger(length) &&
+        Number.isFinite(score) &&
+        offset >= 0 &&
+        length > 0 &&
+        offset + length <= textLength
+    )
+    .sort((a, b) => a.offset - b.offset);
+}
+
+// Accepts a band name or a numeric { min, max } score range; null means any difficulty.
+export function normalizeDifficulty(difficulty) {
+  if (DIFFICULTY_BAND_RANGES[difficulty]) {
+    return { band: difficulty, ...DIFFICULTY_BAND_RANGES[difficulty] };
+  }
+
+  if (DIFFICULTY_BAND_RANGES[difficulty?.band]) {
+    return { band: difficulty.band, ...DIFFICULTY_BAND_RANGES[difficulty.band] };
+  }
+
+  const min = Number(difficulty?.min);
+  const max = Number(difficulty?.max);
+
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+    return null;
+  }
+
+  return { band: null, min: clamp(min, 0, 100), max: clamp(max, 0, 100) };
+}
+
+// Bands share their edges, so a band leaves out its upper bound; numeric ranges are inclusive.
+export function isScoreInDifficulty(score, { band, min, max }) {
+  return score >= min && (band && max < 100 ? score < max : score <= max);
+}
@@ -0,0 +1,208 @@
+// Plain text, Project Gutenberg and Markdown extraction, shared by the corpus builder (Node) and
+// custom texts in the app, so keep this module dependency-free.
+import {
+  normalizeBookText,
+  normalizeParagraph,
+  unwrapHardWrappedLines
+} from './textNormalization.js';
+
+const GUTENBERG_START_REGEX = /^.*\*{3}\s*START OF (?:THE|THIS) PROJECT GUTENBERG E-?BOOK.*$/im;
+const GUTENBERG_END_REGEXES = [
+  /^.*\*{3}\s*END OF (?:THE|THIS) PROJECT GUTENBERG E-?BOOK.*$/im,
+  /^\s*End of (?:the )?Project Gutenberg'?s? .*$/im
+];
+// Older files open with a licence section that ends here instead of a START line.
+const GUTENBERG_SMALL_PRINT_END_REGEX = /^.*\*END\*THE SMALL PRINT!.*$/im;
+const GUTENBERG_CREDITS_REGEX =
+  /^(produced by|transcribed by|e-?text prepared by|this e-?book was produced by)\b/i;
+const GUTENBERG_METADATA_FIELDS = {
+  title: 'Title',
+  author: 'Author',
+  language: 'Language'
+};
+// "CHAPTER IV.", "Chapter 12: The Pool", "BOOK ONE" and the like, on a line of their own. A title
+// after the number needs punctuation before it, so "Part of the reason" is not a heading.
+const HEADING_NUMBER_PATTERN =
+  '(?:[ivxlcdm]+|\\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|first|' +
+  'second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|last)';
+const CHAPTER_HEADING_REGEX = new RegExp(
+  `^(?:chapter|book|part|stave|letter|section)\\s+${HEADING_NUMBER_PATTERN}` +
+    '(?:\\s*[.:-]|\\s+-\\s.*|[.:]\\s.*)?$',
+  'i'
+);
+const MAX_HEADING_CHARS = 80;
+const MARKDOWN_HEADING_REGEX = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MARKDOWN_LIST_ITEM_REGEX = /^\s*(?:[-*+]|\d+[.)])\s+/;
+
+// Only the syntax that would otherwise end up as untypable noise; the prose itself is kept.
+export function stripMarkdownSyntax(markdown) {
+  return String(markdown || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s{0,3}>\s?/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '')
+    .replace(/^\s*(?:[-*_]\s*){3,}$/gm, '')
+    .replace(/(\*\*|__)(\S.*?)\1/g, '$2')
+    .replace(/\*(\S[^*]*?)\*/g, '$1')
+    .replace(/(^|\W)_(\S[^_]*?)_(?=\W|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1');
+}
+
+export function isGutenbergText(text) {
+  return (
+    GUTENBERG_START_REGEX.test(text) ||
+    GUTENBERG_SMALL_PRINT_END_REGEX.test(text) ||
+    /project gutenberg/i.test(String(text || '').slice(0, 2000))
+  );
+}
+
+function readGutenbergMetadata(header) {
+  const metadata = {};
+
+  for (const [field, label] of Object.entries(GUTENBERG_METADATA_FIELDS)) {
+    const match = header.match(new RegExp(`^${label}:[^\\S\\n]*(.+)$`, 'im'));
+
+    if (match) {
+      metadata[field] = normalizeParagraph(match[1]);
+    }
+  }
+
+  return metadata;
+}
+
+// Keeps the text between the START and END lines and reads the title, author and language from
+// the header above it. The licence and credits are dropped.
+export function stripGutenbergBoilerplate(rawText) {
+  let text = String(rawText || '').replace(/\r\n/g, '\n');
+  let header = '';
+  const startMatch =
+    text.match(GUTENBERG_START_REGEX) || text.match(GUTENBERG_SMALL_PRINT_END_REGEX);
+
+  if (startMatch) {
+    header = text.slice(0, startMatch.index);
+    text = text.slice(startMatch.index + startMatch[0].length);
+  }
+
+  for (const endRegex of GUTENBERG_END_REGEXES) {
+    const endMatch = text.match(endRegex);
+
+    if (endMatch) {
+      text = text.slice(0, endMatch.index);
+      break;
+    }
+  }
+
+  const body = text.replace(/^\s+/, '');
+  const [firstBlock] = body.split(/\n[^\S\n]*\n/);
+
+  return {
+    text: GUTENBERG_CREDITS_REGEX.test(firstBlock) ? body.slice(firstBlock.length) : body,
+    metadata: readGutenbergMetadata(header)
+  };
+}
+
+function splitPlainBlocks(text, normalization) {
+  return unwrapHardWrappedLines(text)
+    .split('\n')
+    .map((line) => {
+      const paragraph = normalizeParagraph(normalizeBookText(line, normalization));
+      const isHeading =
+        paragraph.length <= MAX_HEADING_CHARS && CHAPTER_HEADING_REGEX.test(paragraph);
+
+      return isHeading ? { heading: paragraph } : { text: paragraph };
+    });
+}
+
+// Headings and list items start blocks of their own, so they do not run into the prose around
+// them the way hard-wrapped lines do.
+function splitMarkdownBlocks(markdown, normalization) {
+  const blocks = [];
+  const withoutCode = String(markdown || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/```[\s\S]*?```/g, '\n');
+
+  for (const chunk of withoutCode.split(/\n[^\S\n]*\n/)) {
+    let lines = [];
+    const flush = () => {
+      const paragraph = normalizeParagraph(
+        normalizeBookText(stripMarkdownSyntax(lines.join('\n')), normalization)
+      );
+
+      if (paragraph) {
+        blocks.push({ text: paragraph });
+      }
+
+      lines = [];
+    };
+
+    for (const line of chunk.split('\n')) {
+      const headingMatch = line.match(MARKDOWN_HEADING_REGEX);
+
+      if (headingMatch) {
+        flush();
+        // Deeper headings are section titles inside a chapter, kept as text.
+        const level = headingMatch[1].length;
+        const title = normalizeParagraph(stripMarkdownSyntax(headingMatch[2]));
+        blocks.push(level <= 2 ? { heading: title, level } : { text: title });
+        continue;
+      }
+
+      if (MARKDOWN_LIST_ITEM_REGEX.test(line)) {
+        flush();
+      }
+
+      lines.push(line);
+    }
+
+    flush();
+  }
+
+  return blocks;
+}
+
+// Returns the same { paragraphs, chapters, metadata } shape as extractEpubContent, with each
+// heading starting a chapter at the paragraph that follows it. Of several headings in a row (a
+// table of contents, or a part title above a chapter) the last one, right above the text, wins.
+// `normalization` is the profile passed on to normalizeBookText.
+export function extractPlainTextContent(rawText, options = {}) {
+  const { isMarkdown = false, isBoilerplate = () => false, normalization } = options;
+  let source = String(rawText || '');
+  let metadata = {};
+
+  if (!isMarkdown && isGutenbergText(source)) {
+    ({ text: source, metadata } = stripGutenbergBoilerplate(source));
+  }
+
+  const blocks = isMarkdown
+    ? splitMarkdownBlocks(source, normalization)
+    : splitPlainBlocks(source, normalization);
+  const paragraphs = [];
+  const chapters = [];
+  let pendingTitle = '';
+
+  for (const block of blocks) {
+    if (block.heading !== undefined) {
+      if (isMarkdown && block.level === 1 && !metadata.title) {
+        metadata = { ...metadata, title: block.heading };
+      }
+
+      pendingTitle = block.heading;
+      continue;
+    }
+
+    if (!block.text || isBoilerplate(block.text)) {
+      continue;
+    }
+
+    if (pendingTitle) {
+      chapters.push({ title: pendingTitle, paragraphIndex: paragraphs.length });
+      pendingTitle = '';
+    }
+
+    paragraphs.push(block.text);
+  }
+
+  return { paragraphs, chapters, metadata };
+}
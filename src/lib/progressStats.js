@@ -0,0 +1,131 @@
+// Turns saved session records (see sessionHistory.js) into per-day or per-week trends for the
+// progress charts.
+export const PROGRESS_PERIOD = {
+  DAY: 'day',
+  WEEK: 'week'
+};
+
+// Rolling averages span about a week of days or a month of weeks.
+const ROLLING_WINDOW = {
+  [PROGRESS_PERIOD.DAY]: 7,
+  [PROGRESS_PERIOD.WEEK]: 4
+};
+
+// Older periods are left off so the charts stay readable.
+const MAX_PERIODS = {
+  [PROGRESS_PERIOD.DAY]: 60,
+  [PROGRESS_PERIOD.WEEK]: 52
+};
+
+// Local midnight, or the Monday the week started on.
+function getPeriodStart(time, period) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+
+  if (period === PROGRESS_PERIOD.WEEK) {
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  }
+
+  return date.getTime();
+}
+
+function getNextPeriodStart(start, period) {
+  const date = new Date(start);
+  date.setDate(date.getDate() + (period === PROGRESS_PERIOD.WEEK ? 7 : 1));
+  return date.getTime();
+}
+
+// Longer sessions count for more, so a period's average WPM and accuracy match what one long
+// session covering the same time would show.
+function summarizeSessions(sessions) {
+  let seconds = 0;
+  let totalWeight = 0;
+  let weightedWpm = 0;
+  let weightedAccuracy = 0;
+
+  for (const session of sessions) {
+    const weight = Math.max(1, session.durationSeconds);
+    seconds += session.durationSeconds;
+    totalWeight += weight;
+    weightedWpm += session.averageWpm * weight;
+    weightedAccuracy += session.accuracy * weight;
+  }
+
+  return {
+    sessions: sessions.length,
+    averageWpm: totalWeight ? Math.round(weightedWpm / totalWeight) : null,
+    accuracy: totalWeight ? Math.round(weightedAccuracy / totalWeight) : null,
+    minutes: Math.round((seconds / 60) * 10) / 10
+  };
+}
+
+// One entry per day or week from the first session to the last, with empty periods kept (their
+// averages are null) so the charts show gaps in practice.
+export function groupSessionsByPeriod(records, period = PROGRESS_PERIOD.DAY) {
+  if (!records.length) {
+    return [];
+  }
+
+  const sessionsByStart = new Map();
+  for (const record of records) {
+    const start = getPeriodStart(record.finishedAt, period);
+    sessionsByStart.set(start, [...(sessionsByStart.get(start) || []), record]);
+  }
+
+  const starts = [...sessionsByStart.keys()];
+  const lastStart = Math.max(...starts);
+  const periods = [];
+
+  for (
+    let start = Math.min(...starts);
+    start <= lastStart;
+    start = getNextPeriodStart(start, period)
+  ) {
+    periods.push({ start, ...summarizeSessions(sessionsByStart.get(start) || []) });
+  }
+
+  return periods.slice(-MAX_PERIODS[period]);
+}
+
+// The mean of `field` over each period and the ones before it in the window, skipping periods
+// without sessions; null until the window has any value. Left unrounded, since practice minutes
+// are fractional; charts round where they print values.
+export function getRollingAverage(periods, field, period = PROGRESS_PERIOD.DAY) {
+  const windowSize = ROLLING_WINDOW[period];
+
+  return periods.map((_, index) => {
+    const values = periods
+      .slice(Math.max(0, index - windowSize + 1), index + 1)
+      .map((entry) => entry[field])
+      .filter((value) => value !== null);
+
+    if (!values.length) {
+      return null;
+    }
+
+    return values.reduce((total, value) => total + value, 0) / values.length;
+  });
+}
+
+// Book sessions grouped per book, most practiced first.
+export function compareBooks(records) {
+  const sessionsByBook = new Map();
+
+  for (const record of records) {
+    if (!record.book) {
+      continue;
+    }
+
+    const entry = sessionsByBook.get(record.book.id) || { book: record.book, sessions: [] };
+    entry.sessions.push(record);
+    sessionsByBook.set(record.book.id, entry);
+  }
+
+  return [...sessionsByBook.values()]
+    .map(({ book, sessions }) => ({
+      id: book.id,
+      title: book.title,
+      ...summarizeSessions(sessions)
+    }))
+    .sort((a, b) => b.minutes - a.minutes || a.title.localeCompare(b.title));
+}
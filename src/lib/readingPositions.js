@@ -0,0 +1,125 @@
+const READING_POSITIONS_STORAGE_KEY = 'ambitype-reading-positions';
+const POSITION_ANCHOR_CHARS = 48;
+
+function readStoredPositions() {
+  try {
+    const storedValue = localStorage.getItem(READING_POSITIONS_STORAGE_KEY);
+    const parsed = storedValue ? JSON.parse(storedValue) : null;
+
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (error) {
+    // Ignore storage failures and malformed values in restricted contexts.
+  }
+
+  return {};
+}
+
+function writeStoredPositions(positions) {
+  try {
+    localStorage.setItem(READING_POSITIONS_STORAGE_KEY, JSON.stringify(positions));
+  } catch (error) {
+    // Ignore storage failures in restricted contexts.
+  }
+}
+
+function isValidPosition(position) {
+  return (
+    position &&
+    Number.isInteger(position.offset) &&
+    position.offset >= 0 &&
+    Number.isInteger(position.textLength) &&
+    position.textLength > 0
+  );
+}
+
+// Resume at the start of the word being typed so the first glyph is never mid-word.
+function findWordStart(text, offset) {
+  let index = Math.max(0, Math.min(offset, text.length));
+
+  while (index > 0 && /\S/.test(text.charAt(index - 1))) {
+    index -= 1;
+  }
+
+  return index;
+}
+
+export function getReadingPositions() {
+  const positions = readStoredPositions();
+  const valid = {};
+
+  for (const [bookId, position] of Object.entries(positions)) {
+    if (isValidPosition(position)) {
+      valid[bookId] = position;
+    }
+  }
+
+  return valid;
+}
+
+export function getReadingPosition(bookId) {
+  return getReadingPositions()[bookId] || null;
+}
+
+export function saveReadingPosition(bookId, text, offset) {
+  if (!bookId || !text) {
+    return;
+  }
+
+  const wordStart = findWordStart(text, offset);
+  const positions = getReadingPositions();
+
+  positions[bookId] = {
+    offset: wordStart,
+    textLength: text.length,
+    anchor: text.slice(wordStart, wordStart + POSITION_ANCHOR_CHARS),
+    updatedAt: Date.now()
+  };
+
+  writeStoredPositions(positions);
+}
+
+// Returns the most recently read book among the candidates that has a saved position.
+export function findMostRecentlyReadEntry(entries) {
+  const positions = getReadingPositions();
+  let best = null;
+
+  for (const entry of entries) {
+    const position = positions[entry.id];
+
+    if (position && (!best || position.updatedAt > positions[best.id].updatedAt)) {
+      best = entry;
+    }
+  }
+
+  return best;
+}
+
+// The saved offset is trusted only while the anchor text still sits there. When the corpus file
+// was rebuilt underneath it, relocate via the anchor, then fall back to the same relative position.
+export function resolveReadingOffset(position, text) {
+  if (!isValidPosition(position) || !text) {
+    return null;
+  }
+
+  const anchor = typeof position.anchor === 'string' ? position.anchor : '';
+
+  if (position.offset < text.length && anchor && text.startsWith(anchor, position.offset)) {
+    return position.offset;
+  }
+
+  if (anchor.length >= 16) {
+    const firstMatch = text.indexOf(anchor);
+
+    if (firstMatch !== -1) {
+      const lastMatch = text.lastIndexOf(anchor);
+      return Math.abs(lastMatch - position.offset) < Math.abs(firstMatch - position.offset)
+        ? lastMatch
+        : firstMatch;
+    }
+  }
+
+  const ratio = Math.min(1, position.offset / position.textLength);
+  return Math.floor(ratio * (text.length - 1));
+}
@@ -0,0 +1,71 @@
+// Sessions draw every random choice (book, start offset, jumps, playlist order) from a seed, so
+// the same seed replays the same session.
+const SEED_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const SEED_LENGTH = 10;
+const SEED_REGEX = /^[a-z0-9]{4,32}$/;
+
+export function createSeed() {
+  const values = new Uint32Array(SEED_LENGTH);
+
+  if (globalThis.crypto?.getRandomValues) {
+    globalThis.crypto.getRandomValues(values);
+  } else {
+    for (let index = 0; index < values.length; index += 1) {
+      values[index] = Math.floor(Math.random() * 2 ** 32);
+    }
+  }
+
+  return [...values].map((value) => SEED_ALPHABET[value % SEED_ALPHABET.length]).join('');
+}
+
+export function normalizeSeed(seed) {
+  const value = typeof seed === 'string' ? seed.trim().toLowerCase() : '';
+  return SEED_REGEX.test(value) ? value : null;
+}
+
+// FNV-1a, enough to spread short seed strings over 32 bits.
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+
+  for (let index = 0; index < seed.length; index += 1) {
+    hash ^= seed.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+// Mulberry32: returns a Math.random-like function. Derive separate streams with a suffix
+// ("seed:playlist") so drawing more numbers in one place never shifts another.
+export function createSeededRandom(seed) {
+  let state = hashSeed(String(seed));
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+export function randomInt(random, maxExclusive) {
+  if (maxExclusive <= 0) {
+    return 0;
+  }
+
+  return Math.floor(random() * maxExclusive);
+}
+
+export function shuffleArray(items, random = Math.random) {
+  const next = [...items];
+
+  for (let index = next.length - 1; index > 0; index -= 1) {
+    const randomIndex = randomInt(random, index + 1);
+    const temp = next[index];
+    next[index] = next[randomIndex];
+    next[randomIndex] = temp;
+  }
+
+  return next;
+}
@@ -0,0 +1,93 @@
+import { STORE, runStoreRequest } from './indexedDb.js';
+
+// Fields the history screen can sort by, each a numeric field of a session record.
+export const HISTORY_SORT_FIELD = {
+  DATE: 'finishedAt',
+  DURATION: 'durationSeconds',
+  WPM: 'averageWpm',
+  ACCURACY: 'accuracy',
+  WORDS: 'wordsTyped'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `book` is { id, title } for book sessions and null for word drills.
+export async function saveSessionRecord({
+  finishedAt,
+  durationSeconds,
+  averageWpm,
+  accuracy,
+  wordsTyped,
+  source,
+  book
+}) {
+  const record = {
+    finishedAt,
+    durationSeconds,
+    averageWpm,
+    accuracy,
+    wordsTyped,
+    source,
+    book: book?.id ? { id: book.id, title: book.title || book.id } : null
+  };
+
+  await runStoreRequest(STORE.SESSION_HISTORY, 'readwrite', (store) => store.add(record));
+}
+
+export async function listSessionRecords() {
+  return runStoreRequest(STORE.SESSION_HISTORY, 'readonly', (store) => store.getAll());
+}
+
+export async function deleteSessionRecord(id) {
+  await runStoreRequest(STORE.SESSION_HISTORY, 'readwrite', (store) => store.delete(id));
+}
+
+// Every book with at least one recorded session, by title. Titles come from the records, so
+// books deleted from the library since still show up.
+export function listHistoryBooks(records) {
+  const books = new Map();
+
+  for (const { book } of records) {
+    if (book && !books.has(book.id)) {
+      books.set(book.id, book);
+    }
+  }
+
+  return [...books.values()].sort((a, b) => a.title.localeCompare(b.title));
+}
+
+// Reads an <input type="date"> value as local midnight; empty or invalid values give null.
+function parseDateInput(value) {
+  if (!value) {
+    return null;
+  }
+
+  const time = new Date(`${value}T00:00`).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// `from` and `to` are inclusive YYYY-MM-DD days; `bookId` keeps only that book's sessions.
+export function filterSessionRecords(records, { from = '', to = '', bookId = '' } = {}) {
+  const startsAt = parseDateInput(from);
+  const endDay = parseDateInput(to);
+  const endsAt = endDay === null ? null : endDay + DAY_MS;
+
+  return records.filter(
+    (record) =>
+      (startsAt === null || record.finishedAt >= startsAt) &&
+      (endsAt === null || record.finishedAt < endsAt) &&
+      (!bookId || record.book?.id === bookId)
+  );
+}
+
+// Ties fall back to the newest session first.
+export function sortSessionRecords(records, field = HISTORY_SORT_FIELD.DATE, descending = true) {
+  const direction = descending ? -1 : 1;
+
+  return records
+    .slice()
+    .sort(
+      (a, b) =>
+        direction * ((a[field] ?? 0) - (b[field] ?? 0)) || b.finishedAt - a.finishedAt
+    );
+}
@@ -0,0 +1,162 @@
+import { normalizeDifficulty } from './passageDifficulty.js';
+import { normalizeSeed } from './seededRandom.js';
+import { SESSION_TARGET_MODE, normalizeSessionTarget } from './sessionTargets.js';
+import { DEFAULT_TEXT_TRANSFORMS, normalizeTextTransforms } from './textTransforms.js';
+
+// ?seed=k3m9qx2pfa&book=herman-melville-moby-dick&offset=48210&start=random&difficulty=easy
+//   &transforms=lowercase,stripPunctuation&target=words:50
+// Besides the passage, a link carries every setting that changes which text is typed, so
+// whoever opens it types exactly what the sender did. Default settings are left out.
+const SEED_PARAM = 'seed';
+const BOOK_PARAM = 'book';
+const OFFSET_PARAM = 'offset';
+const START_MODE_PARAM = 'start';
+const DIFFICULTY_PARAM = 'difficulty';
+const TRANSFORMS_PARAM = 'transforms';
+const CHARSET_PARAM = 'charset';
+const TARGET_PARAM = 'target';
+const LINK_PARAMS = [
+  SEED_PARAM,
+  BOOK_PARAM,
+  OFFSET_PARAM,
+  START_MODE_PARAM,
+  DIFFICULTY_PARAM,
+  TRANSFORMS_PARAM,
+  CHARSET_PARAM,
+  TARGET_PARAM
+];
+const BOOK_ID_REGEX = /^[a-z0-9-]+$/;
+const START_MODE_REGEX = /^[a-z]+$/;
+const DIFFICULTY_RANGE_REGEX = /^(\d+)-(\d+)$/;
+
+// The start mode is checked against the loader's modes when the session is created.
+export function normalizeSharedSession(shared) {
+  const seed = normalizeSeed(shared?.seed);
+  const offset = Number(shared?.offset);
+
+  if (
+    !seed ||
+    typeof shared.bookId !== 'string' ||
+    !BOOK_ID_REGEX.test(shared.bookId) ||
+    !Number.isInteger(offset) ||
+    offset < 0
+  ) {
+    return null;
+  }
+
+  return {
+    seed,
+    bookId: shared.bookId,
+    offset,
+    startMode: START_MODE_REGEX.test(shared.startMode ?? '') ? shared.startMode : null,
+    difficulty: normalizeDifficulty(shared.difficulty),
+    textTransforms: normalizeTextTransforms(shared.textTransforms),
+    target: normalizeSessionTarget(shared.target)
+  };
+}
+
+function formatDifficulty(difficulty) {
+  if (!difficulty) {
+    return '';
+  }
+
+  return difficulty.band || `${difficulty.min}-${difficulty.max}`;
+}
+
+function parseDifficulty(value) {
+  const range = value?.match(DIFFICULTY_RANGE_REGEX);
+  return range ? { min: Number(range[1]), max: Number(range[2]) } : value;
+}
+
+function formatTransforms(textTransforms) {
+  return Object.keys(DEFAULT_TEXT_TRANSFORMS)
+    .filter((key) => key !== 'charset' && textTransforms[key])
+    .join(',');
+}
+
+function parseTransforms(value, charset) {
+  const transforms = { charset: charset || '' };
+
+  for (const key of (value || '').split(',')) {
+    transforms[key] = true;
+  }
+
+  return transforms;
+}
+
+// timed:60, words:50 or quote; endless sessions leave the parameter out.
+function formatTarget(target) {
+  if (target.mode === SESSION_TARGET_MODE.TIMED) {
+    return `${target.mode}:${target.seconds}`;
+  }
+
+  if (target.mode === SESSION_TARGET_MODE.WORDS) {
+    return `${target.mode}:${target.words}`;
+  }
+
+  return target.mode === SESSION_TARGET_MODE.QUOTE ? target.mode : '';
+}
+
+function parseTarget(value) {
+  const [mode, amount] = (value || '').split(':');
+  return { mode, seconds: Number(amount), words: Number(amount) };
+}
+
+export function readSharedSession(search = window.location.search) {
+  const params = new URLSearchParams(search);
+
+  return normalizeSharedSession({
+    seed: params.get(SEED_PARAM),
+    bookId: params.get(BOOK_PARAM),
+    // A link without an offset is broken rather than one that starts the book.
+    offset: params.get(OFFSET_PARAM) || NaN,
+    startMode: params.get(START_MODE_PARAM),
+    difficulty: parseDifficulty(params.get(DIFFICULTY_PARAM)),
+    textTransforms: parseTransforms(params.get(TRANSFORMS_PARAM), params.get(CHARSET_PARAM)),
+    target: parseTarget(params.get(TARGET_PARAM))
+  });
+}
+
+export function createSessionLink(shared) {
+  const normalized = normalizeSharedSession(shared);
+
+  if (!normalized) {
+    return '';
+  }
+
+  const url = new URL(window.location.pathname, window.location.origin);
+  const optionalParams = [
+    [START_MODE_PARAM, normalized.startMode],
+    [DIFFICULTY_PARAM, formatDifficulty(normalized.difficulty)],
+    [TRANSFORMS_PARAM, formatTransforms(normalized.textTransforms)],
+    [CHARSET_PARAM, normalized.textTransforms.charset],
+    [TARGET_PARAM, formatTarget(normalized.target)]
+  ];
+
+  url.searchParams.set(SEED_PARAM, normalized.seed);
+  url.searchParams.set(BOOK_PARAM, normalized.bookId);
+  url.searchParams.set(OFFSET_PARAM, String(normalized.offset));
+
+  for (const [param, value] of optionalParams) {
+    if (value) {
+      url.searchParams.set(param, value);
+    }
+  }
+
+  return url.toString();
+}
+
+// Once the shared session has started (or been dismissed), reloading should not start it again.
+export function clearSharedSessionFromUrl() {
+  const url = new URL(window.location.href);
+
+  for (const param of LINK_PARAMS) {
+    url.searchParams.delete(param);
+  }
+
+  try {
+    window.history.replaceState(window.history.state, '', url);
+  } catch (error) {
+    // Ignore history failures in restricted contexts.
+  }
+}
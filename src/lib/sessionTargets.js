@@ -0,0 +1,129 @@
+import formatTime from './formatTime.js';
+import { PARAGRAPH_BREAK } from './textNormalization.js';
+
+// Endless sessions run until finished by hand; the others end themselves at their target.
+export const SESSION_TARGET_MODE = {
+  ENDLESS: 'endless',
+  TIMED: 'timed',
+  WORDS: 'words',
+  QUOTE: 'quote'
+};
+
+export const TIMED_TARGET_SECONDS = [30, 60, 120, 300, 600];
+export const WORD_TARGET_COUNTS = [25, 50, 100, 250];
+
+export const DEFAULT_SESSION_TARGET = {
+  mode: SESSION_TARGET_MODE.ENDLESS,
+  seconds: 60,
+  words: 50
+};
+
+// Quotes are one paragraph, cut at a sentence end when the paragraph runs long. Headings and
+// other lines too short to stand alone run on into the paragraphs after them.
+const MIN_QUOTE_CHARS = 120;
+const MAX_QUOTE_CHARS = 600;
+const SENTENCE_END_REGEX = /[.!?]["')\]]*(?=\s|$)/g;
+
+export function normalizeSessionTarget(target) {
+  return {
+    mode: Object.values(SESSION_TARGET_MODE).includes(target?.mode)
+      ? target.mode
+      : DEFAULT_SESSION_TARGET.mode,
+    seconds: TIMED_TARGET_SECONDS.includes(target?.seconds)
+      ? target.seconds
+      : DEFAULT_SESSION_TARGET.seconds,
+    words: WORD_TARGET_COUNTS.includes(target?.words) ? target.words : DEFAULT_SESSION_TARGET.words
+  };
+}
+
+// Word count and quote sessions type a finite text; the stream is not extended past it.
+export function hasFiniteText(target) {
+  return target.mode === SESSION_TARGET_MODE.WORDS || target.mode === SESSION_TARGET_MODE.QUOTE;
+}
+
+function cutAfterWords(text, wordCount) {
+  let count = 0;
+
+  for (const match of text.matchAll(/\S+/g)) {
+    count += 1;
+
+    if (count === wordCount) {
+      return text.slice(0, match.index + match[0].length);
+    }
+  }
+
+  return text.trimEnd();
+}
+
+function cutQuote(text) {
+  let breakIndex = text.indexOf(PARAGRAPH_BREAK);
+
+  while (breakIndex !== -1 && text.slice(0, breakIndex).trim().length < MIN_QUOTE_CHARS) {
+    breakIndex = text.indexOf(PARAGRAPH_BREAK, breakIndex + PARAGRAPH_BREAK.length);
+  }
+
+  const paragraph = breakIndex === -1 ? text : text.slice(0, breakIndex);
+
+  if (paragraph.length <= MAX_QUOTE_CHARS) {
+    return paragraph.trimEnd();
+  }
+
+  let end = -1;
+
+  for (const match of paragraph.matchAll(SENTENCE_END_REGEX)) {
+    const sentenceEnd = match.index + match[0].length;
+
+    if (sentenceEnd > MAX_QUOTE_CHARS) {
+      break;
+    }
+
+    end = sentenceEnd;
+  }
+
+  if (end >= MIN_QUOTE_CHARS) {
+    return paragraph.slice(0, end);
+  }
+
+  const spaceIndex = paragraph.lastIndexOf(' ', MAX_QUOTE_CHARS);
+  return paragraph.slice(0, spaceIndex > 0 ? spaceIndex : MAX_QUOTE_CHARS);
+}
+
+// Trims a session's opening buffer down to the finite text its target calls for.
+export function createTargetText(text, target) {
+  if (target.mode === SESSION_TARGET_MODE.WORDS) {
+    return cutAfterWords(text, target.words);
+  }
+
+  if (target.mode === SESSION_TARGET_MODE.QUOTE) {
+    return cutQuote(text);
+  }
+
+  return text;
+}
+
+// What the control bar shows: null for endless sessions, otherwise { ratio, label }.
+export function getTargetProgress(target, { elapsedSeconds, cursorIndex, text }) {
+  if (target.mode === SESSION_TARGET_MODE.TIMED) {
+    return {
+      ratio: Math.min(1, elapsedSeconds / target.seconds),
+      label: `${formatTime(Math.max(0, target.seconds - elapsedSeconds))} left`
+    };
+  }
+
+  if (target.mode === SESSION_TARGET_MODE.WORDS) {
+    // A word counts once the space after it is typed, or the last one once the text is done.
+    const wordRegex = cursorIndex >= text.length ? /\S+/g : /\S+\s/g;
+    const typedWords = (text.slice(0, cursorIndex).match(wordRegex) || []).length;
+    return {
+      ratio: Math.min(1, cursorIndex / Math.max(1, text.length)),
+      label: `${Math.min(typedWords, target.words)}/${target.words} words`
+    };
+  }
+
+  if (target.mode === SESSION_TARGET_MODE.QUOTE) {
+    const ratio = Math.min(1, cursorIndex / Math.max(1, text.length));
+    return { ratio, label: `${Math.round(ratio * 100)}% of quote` };
+  }
+
+  return null;
+}
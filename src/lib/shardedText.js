@@ -0,0 +1,187 @@
+// A book split into shards that load on demand. It mirrors the parts of the String API the
+// session stream and reading positions use (length, charAt, slice, indexOf, lastIndexOf,
+// startsWith), but only ever sees shards that are already loaded: reads past a gap stop there.
+export class ShardedText {
+  constructor({ path, offsets, length }, store) {
+    this.shardPath = path;
+    this.offsets = offsets;
+    this.length = length;
+    this.store = store;
+    this.failedShards = new Set();
+  }
+
+  getShardPath(index) {
+    return `${this.shardPath}${index}.txt`;
+  }
+
+  findShardIndex(offset) {
+    let low = 0;
+    let high = this.offsets.length - 1;
+    let match = 0;
+
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+
+      if (this.offsets[middle] <= offset) {
+        match = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return match;
+  }
+
+  getShardEnd(index) {
+    return index + 1 < this.offsets.length ? this.offsets[index + 1] : this.length;
+  }
+
+  peekShard(index) {
+    return this.store.peek(this.getShardPath(index));
+  }
+
+  isLoaded(offset) {
+    return (
+      offset >= 0 &&
+      offset < this.length &&
+      this.peekShard(this.findShardIndex(offset)) !== undefined
+    );
+  }
+
+  // True once fetching the shard under this offset has failed, so callers stop waiting for it.
+  isUnavailable(offset) {
+    return this.failedShards.has(this.findShardIndex(offset));
+  }
+
+  // End of the run of loaded shards that starts under offset (offset itself when unloaded).
+  getLoadedEnd(offset) {
+    let index = this.findShardIndex(offset);
+    let end = offset;
+
+    while (index < this.offsets.length && this.peekShard(index) !== undefined) {
+      end = this.getShardEnd(index);
+      index += 1;
+    }
+
+    return end;
+  }
+
+  async loadShard(index) {
+    try {
+      const shard = await this.store.load(this.getShardPath(index));
+      this.failedShards.delete(index);
+      return shard;
+    } catch (error) {
+      this.failedShards.add(index);
+      throw error;
+    }
+  }
+
+  // Loads the shard under offset and the one after it, so a session never starts at a shard edge.
+  async loadAround(offset) {
+    const index = this.findShardIndex(Math.max(0, Math.min(offset, this.length - 1)));
+    const indexes = index + 1 < this.offsets.length ? [index, index + 1] : [index];
+
+    await Promise.all(indexes.map((shardIndex) => this.loadShard(shardIndex)));
+  }
+
+  prefetchAround(offset) {
+    this.loadAround(offset).catch((error) => {
+      console.warn('Failed to prefetch book shard:', error);
+    });
+  }
+
+  charAt(offset) {
+    const index = this.findShardIndex(offset);
+    const shard = offset >= 0 && offset < this.length ? this.peekShard(index) : undefined;
+
+    return shard === undefined ? '' : shard.charAt(offset - this.offsets[index]);
+  }
+
+  slice(start = 0, end = this.length) {
+    const from = Math.max(0, start);
+    const to = Math.min(end, this.getLoadedEnd(from));
+    let index = this.findShardIndex(from);
+    let text = '';
+
+    while (index < this.offsets.length && this.offsets[index] < to) {
+      const shardStart = this.offsets[index];
+      text += this.peekShard(index).slice(Math.max(0, from - shardStart), to - shardStart);
+      index += 1;
+    }
+
+    return text;
+  }
+
+  // Contiguous loaded stretches as { start, text }, for searches across shard edges.
+  getLoadedRegions() {
+    const regions = [];
+
+    for (let index = 0; index < this.offsets.length; index += 1) {
+      const shard = this.peekShard(index);
+
+      if (shard === undefined) {
+        continue;
+      }
+
+      const lastRegion = regions[regions.length - 1];
+
+      if (lastRegion && lastRegion.start + lastRegion.text.length === this.offsets[index]) {
+        lastRegion.text += shard;
+      } else {
+        regions.push({ start: this.offsets[index], text: shard });
+      }
+    }
+
+    return regions;
+  }
+
+  indexOf(search, fromIndex = 0) {
+    for (const region of this.getLoadedRegions()) {
+      if (region.start + region.text.length <= fromIndex) {
+        continue;
+      }
+
+      const found = region.text.indexOf(search, Math.max(0, fromIndex - region.start));
+
+      if (found !== -1) {
+        return region.start + found;
+      }
+    }
+
+    return -1;
+  }
+
+  lastIndexOf(search) {
+    for (const region of this.getLoadedRegions().reverse()) {
+      const found = region.text.lastIndexOf(search);
+
+      if (found !== -1) {
+        return region.start + found;
+      }
+    }
+
+    return -1;
+  }
+
+  startsWith(search, position = 0) {
+    return this.slice(position, position + search.length) === search;
+  }
+
+  // A random offset inside some loaded shard, for when the text wanted next never arrived.
+  pickLoadedOffset(randomInt) {
+    const regions = this.getLoadedRegions();
+
+    if (!regions.length) {
+      return 0;
+    }
+
+    const region = regions[randomInt(regions.length)];
+    return region.start + randomInt(region.text.length);
+  }
+}
+
+export function isShardedText(text) {
+  return text instanceof ShardedText;
+}
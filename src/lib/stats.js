@@ -15,6 +15,29 @@ export function isWordBoundary(character) {
   return WORD_BOUNDARY_PATTERN.test(character);
 }
 
+// How Enter is scored. "Either" keeps Enter and Space interchangeable at any break between
+// words; "Enter" only accepts Enter at a paragraph break and Space between words.
+export const ENTER_RULE = {
+  EITHER: 'either',
+  ENTER: 'enter'
+};
+
+export function normalizeEnterRule(enterRule) {
+  return Object.values(ENTER_RULE).includes(enterRule) ? enterRule : ENTER_RULE.EITHER;
+}
+
+export function isCorrectKeystroke(typedCharacter, expectedCharacter, enterRule) {
+  if (typedCharacter === expectedCharacter) {
+    return true;
+  }
+
+  const isBreakPair =
+    (typedCharacter === '\n' && expectedCharacter === ' ') ||
+    (typedCharacter === ' ' && expectedCharacter === '\n');
+
+  return isBreakPair && enterRule === ENTER_RULE.EITHER;
+}
+
 export function calculateAccuracy(correctCharacters, totalCharacters) {
   if (!totalCharacters) {
     return 100;
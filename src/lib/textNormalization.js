@@ -0,0 +1,259 @@
+// Shared by the corpus builder (Node) and the app, so keep this module dependency-free.
+const ZERO_WIDTH_REGEX = /[\u200B-\u200D\u2060\uFEFF]/gu;
+const UNICODE_SPACES_REGEX = /[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/gu;
+const COMBINING_MARKS_REGEX = /\p{M}/gu;
+const NON_ASCII_REGEX = /[^\x20-\x7E\n]/g;
+// What NFKD leaves between the digits of a vulgar fraction such as ½.
+const FRACTION_SLASH_REGEX = /\u2044/g;
+// French spacing puts a (usually non-breaking) space inside guillemets; straight quotes do not.
+const GUILLEMET_SPACING_REGEX = /([\u00AB\u2039])[^\S\n]+|[^\S\n]+([\u00BB\u203A])/g;
+
+// Letters that do not decompose into a base letter plus accents.
+const ASCII_FOLDS = {
+  'Æ': 'AE',
+  'æ': 'ae',
+  'Œ': 'OE',
+  'œ': 'oe',
+  'Ø': 'O',
+  'ø': 'o',
+  'ß': 'ss',
+  'Ł': 'L',
+  'ł': 'l',
+  'Đ': 'D',
+  'đ': 'd',
+  'Þ': 'Th',
+  'þ': 'th',
+  'Ð': 'D',
+  'ð': 'd'
+};
+const ASCII_FOLD_REGEX = new RegExp(`[${Object.keys(ASCII_FOLDS).join('')}]`, 'g');
+
+const QUOTE_REPLACEMENTS = {
+  '\u201C': '"',
+  '\u201D': '"',
+  '\u201E': '"',
+  '\u201F': '"',
+  '\u2033': '"',
+  '\u2018': "'",
+  '\u2019': "'",
+  '\u201A': "'",
+  '\u201B': "'",
+  '\u2032': "'"
+};
+const GUILLEMET_REPLACEMENTS = {
+  '\u00AB': '"',
+  '\u00BB': '"',
+  '\u2039': "'",
+  '\u203A': "'"
+};
+// En dashes, minus signs and the like; em dashes follow the profile's emDash policy instead.
+const DASH_REPLACEMENTS = {
+  '\u2010': '-',
+  '\u2011': '-',
+  '\u2012': '-',
+  '\u2013': '-',
+  '\u2212': '-'
+};
+const ELLIPSIS_REPLACEMENTS = {
+  '\u2026': '...'
+};
+// Presentation forms only, never what a book means to say, so every profile expands them.
+const LIGATURE_REPLACEMENTS = {
+  '\uFB00': 'ff',
+  '\uFB01': 'fi',
+  '\uFB02': 'fl',
+  '\uFB03': 'ffi',
+  '\uFB04': 'ffl',
+  '\uFB05': 'st',
+  '\uFB06': 'st'
+};
+const EM_DASHES = ['\u2014', '\u2015'];
+
+// What an em dash (or horizontal bar) becomes: "word-word", "word--word", "word - word" or kept.
+export const EM_DASH_POLICIES = {
+  hyphen: '-',
+  'double-hyphen': '--',
+  spaced: ' - ',
+  keep: null
+};
+
+export const NORMALIZATION_PROFILE = {
+  STRICT_ASCII: 'strict-ascii',
+  KEEP_ACCENTS: 'keep-accents',
+  KEEP_TYPOGRAPHIC: 'keep-typographic'
+};
+
+// Every profile drops zero-width characters and turns Unicode spaces into plain ones. Corpus
+// books record the name of the profile that built them in the index.
+export const NORMALIZATION_PROFILES = {
+  [NORMALIZATION_PROFILE.STRICT_ASCII]: {
+    label: 'Strict ASCII',
+    emDash: 'hyphen',
+    replacements: {
+      ...QUOTE_REPLACEMENTS,
+      ...GUILLEMET_REPLACEMENTS,
+      ...DASH_REPLACEMENTS,
+      ...ELLIPSIS_REPLACEMENTS,
+      ...LIGATURE_REPLACEMENTS
+    },
+    // Accented letters lose their accents, and anything still outside printable ASCII is dropped.
+    asciiOnly: true
+  },
+  [NORMALIZATION_PROFILE.KEEP_ACCENTS]: {
+    label: 'Keeps accents',
+    emDash: 'hyphen',
+    replacements: {
+      ...QUOTE_REPLACEMENTS,
+      ...GUILLEMET_REPLACEMENTS,
+      ...DASH_REPLACEMENTS,
+      ...ELLIPSIS_REPLACEMENTS,
+      ...LIGATURE_REPLACEMENTS
+    },
+    asciiOnly: false
+  },
+  [NORMALIZATION_PROFILE.KEEP_TYPOGRAPHIC]: {
+    label: 'Typographic',
+    emDash: 'keep',
+    replacements: { ...LIGATURE_REPLACEMENTS },
+    asciiOnly: false
+  }
+};
+
+export const DEFAULT_NORMALIZATION_PROFILE = NORMALIZATION_PROFILE.KEEP_ACCENTS;
+
+const compiledProfiles = new WeakMap();
+
+export function isNormalizationProfileName(name) {
+  return Object.hasOwn(NORMALIZATION_PROFILES, name);
+}
+
+// Accepts a profile name, or { profile, emDash, replacements } to adjust one: replacements are
+// merged over the profile's table, and a null replacement keeps that character as it is.
+export function resolveNormalizationProfile(setting = DEFAULT_NORMALIZATION_PROFILE) {
+  const { profile: name = DEFAULT_NORMALIZATION_PROFILE, ...overrides } =
+    typeof setting === 'string' ? { profile: setting } : setting || {};
+
+  if (!isNormalizationProfileName(name)) {
+    throw new Error(
+      `Unknown normalization profile "${name}" ` +
+        `(expected ${Object.keys(NORMALIZATION_PROFILES).join(', ')}).`
+    );
+  }
+
+  const { emDash, replacements } = NORMALIZATION_PROFILES[name];
+  const resolved = {
+    name,
+    emDash: overrides.emDash ?? emDash,
+    replacements: { ...replacements },
+    asciiOnly: NORMALIZATION_PROFILES[name].asciiOnly
+  };
+
+  if (!Object.hasOwn(EM_DASH_POLICIES, resolved.emDash)) {
+    throw new Error(
+      `Unknown em dash policy "${resolved.emDash}" ` +
+        `(expected ${Object.keys(EM_DASH_POLICIES).join(', ')}).`
+    );
+  }
+
+  for (const [character, replacement] of Object.entries(overrides.replacements || {})) {
+    if (replacement === null) {
+      delete resolved.replacements[character];
+    } else {
+      resolved.replacements[character] = String(replacement);
+    }
+  }
+
+  return resolved;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+}
+
+function compileProfile(profile) {
+  const resolved = typeof profile === 'string' ? resolveNormalizationProfile(profile) : profile;
+
+  if (compiledProfiles.has(resolved)) {
+    return compiledProfiles.get(resolved);
+  }
+
+  const replacements = { ...resolved.replacements };
+  const emDashReplacement = EM_DASH_POLICIES[resolved.emDash];
+
+  if (emDashReplacement !== null) {
+    for (const emDash of EM_DASHES) {
+      replacements[emDash] = emDashReplacement;
+    }
+  }
+
+  // Longest first, so a multi-character key wins over a single character it starts with.
+  const keys = Object.keys(replacements).sort((a, b) => b.length - a.length);
+  const compiled = {
+    replacements,
+    replacementRegex: keys.length ? new RegExp(keys.map(escapeRegExp).join('|'), 'gu') : null,
+    tightenGuillemets: replacements['\u00AB'] !== undefined,
+    asciiOnly: resolved.asciiOnly
+  };
+
+  compiledProfiles.set(resolved, compiled);
+  return compiled;
+}
+
+// Built-in profiles by name resolve once, so the per-paragraph calls during a build stay cheap.
+const namedProfiles = new Map(
+  Object.keys(NORMALIZATION_PROFILES).map((name) => [name, resolveNormalizationProfile(name)])
+);
+
+export function foldToAscii(text) {
+  return String(text || '')
+    .replace(ASCII_FOLD_REGEX, (letter) => ASCII_FOLDS[letter])
+    .normalize('NFKD')
+    .replace(COMBINING_MARKS_REGEX, '');
+}
+
+// Corpus text keeps one paragraph per line; this is the only newline a normalized text contains.
+export const PARAGRAPH_BREAK = '\n';
+
+export function normalizeParagraph(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// The profile is a name from NORMALIZATION_PROFILES or the result of resolveNormalizationProfile.
+export function normalizeBookText(rawText, profile = DEFAULT_NORMALIZATION_PROFILE) {
+  const { replacements, replacementRegex, tightenGuillemets, asciiOnly } = compileProfile(
+    namedProfiles.get(profile) || profile
+  );
+  let text = String(rawText || '')
+    .replace(/\r\n/g, '\n')
+    .replace(ZERO_WIDTH_REGEX, '')
+    .replace(UNICODE_SPACES_REGEX, ' ');
+
+  if (tightenGuillemets) {
+    text = text.replace(GUILLEMET_SPACING_REGEX, '$1$2');
+  }
+
+  if (replacementRegex) {
+    text = text.replace(replacementRegex, (match) => replacements[match]);
+  }
+
+  if (asciiOnly) {
+    text = foldToAscii(text).replace(FRACTION_SLASH_REGEX, '/').replace(NON_ASCII_REGEX, '');
+  }
+
+  return text
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n\s*/g, PARAGRAPH_BREAK)
+    .trim();
+}
+
+// Hard-wrapped prose marks paragraphs with blank lines, so single line breaks there are just
+// wrapping. Text without any blank line already has one paragraph per line.
+export function unwrapHardWrappedLines(rawText) {
+  const text = String(rawText || '').replace(/\r\n/g, '\n');
+
+  if (!/\n[^\S\n]*\n/.test(text)) {
+    return text;
+  }
+
+  return text.replace(/(\S)[^\S\n]*\n(?![^\S\n]*\n)/g, '$1 ');
+}
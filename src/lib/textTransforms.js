@@ -0,0 +1,174 @@
+import { PARAGRAPH_BREAK, foldToAscii } from './textNormalization.js';
+
+export const DEFAULT_TEXT_TRANSFORMS = {
+  stripPunctuation: false,
+  lowercase: false,
+  removeDigits: false,
+  foldAscii: false,
+  collapseQuotes: false,
+  charset: ''
+};
+
+const MAX_CHARSET_LENGTH = 120;
+const TOKEN_REGEX = /\s+|\S+/g;
+const QUOTE_REGEX = /["\u00AB\u00BB\u201C-\u201F\u2033\u2036\u2039\u203A`\u00B4\u2032\u2035]/gu;
+const EDGE_APOSTROPHES_REGEX = /^['\u2018\u2019]+|['\u2018\u2019]+$/g;
+const WORD_JOINER_REGEX = /[-\u2010-\u2015/]+/g;
+const NON_WORD_CHARACTER_REGEX = /[^\p{L}\p{N}]/gu;
+const DIGIT_REGEX = /\p{N}/u;
+const EDGE_PUNCTUATION_REGEX = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu;
+
+export function normalizeTextTransforms(transforms) {
+  const normalized = { ...DEFAULT_TEXT_TRANSFORMS };
+
+  for (const key of Object.keys(DEFAULT_TEXT_TRANSFORMS)) {
+    if (key !== 'charset') {
+      normalized[key] = transforms?.[key] === true;
+    }
+  }
+
+  if (typeof transforms?.charset === 'string') {
+    normalized.charset = [...new Set(transforms.charset.replace(/\s/g, ''))]
+      .join('')
+      .slice(0, MAX_CHARSET_LENGTH);
+  }
+
+  return normalized;
+}
+
+export function hasTextTransforms(transforms) {
+  return Object.entries(normalizeTextTransforms(transforms)).some(([, value]) => Boolean(value));
+}
+
+export function getTextTransformsKey(transforms) {
+  const normalized = normalizeTextTransforms(transforms);
+  return Object.keys(DEFAULT_TEXT_TRANSFORMS)
+    .map((key) => (key === 'charset' ? normalized.charset : Number(normalized[key])))
+    .join('');
+}
+
+// Transforms one whitespace-free token into zero or more words. Punctuation stripping can split
+// a token ("well-known" becomes two words), and a word that no longer fits is dropped whole, so
+// the words returned never contain whitespace and never come back empty.
+function transformWord(token, transforms) {
+  let word = token;
+
+  if (transforms.foldAscii) {
+    word = foldToAscii(word);
+  }
+
+  if (transforms.collapseQuotes) {
+    word = word.replace(QUOTE_REGEX, '').replace(EDGE_APOSTROPHES_REGEX, '');
+  }
+
+  let words = transforms.stripPunctuation
+    ? word.split(WORD_JOINER_REGEX).map((part) => part.replace(NON_WORD_CHARACTER_REGEX, ''))
+    : [word];
+
+  if (transforms.removeDigits) {
+    words = words.filter((part) => !DIGIT_REGEX.test(part));
+  }
+
+  if (transforms.lowercase) {
+    words = words.map((part) => part.toLowerCase());
+  }
+
+  if (transforms.charset) {
+    const allowed = new Set(transforms.charset);
+    // Punctuation outside the set is trimmed off; a word with letters outside it is dropped.
+    words = words
+      .map((part) =>
+        [...part].every((character) => allowed.has(character))
+          ? part
+          : part.replace(EDGE_PUNCTUATION_REGEX, (edge) =>
+              [...edge].filter((character) => allowed.has(character)).join('')
+            )
+      )
+      .filter((part) => [...part].every((character) => allowed.has(character)));
+  }
+
+  return words.filter(Boolean);
+}
+
+// Turns raw book slices into transformed pieces of { text, bookOffset }. Words can be split
+// across slices, so a trailing partial word is held back until the next push or the end of a
+// run. Separators are collapsed so the output never has leading, doubled or dangling spaces.
+export function createTextTransformer(transforms) {
+  const normalized = normalizeTextTransforms(transforms);
+
+  if (!hasTextTransforms(normalized)) {
+    return null;
+  }
+
+  let carry = '';
+  let carryOffset = 0;
+  let pendingSeparator = null;
+  let hasOutput = false;
+
+  function emitWord(pieces, text, bookOffset) {
+    if (pendingSeparator && hasOutput) {
+      pieces.push(pendingSeparator);
+    }
+
+    pendingSeparator = null;
+    hasOutput = true;
+    pieces.push({ text, bookOffset });
+  }
+
+  function queueSeparator(whitespace, bookOffset) {
+    const text = whitespace.includes(PARAGRAPH_BREAK) ? PARAGRAPH_BREAK : ' ';
+
+    if (!pendingSeparator || text === PARAGRAPH_BREAK) {
+      pendingSeparator = { text, bookOffset };
+    }
+  }
+
+  function processToken(pieces, token, bookOffset) {
+    if (/^\s/.test(token)) {
+      queueSeparator(token, bookOffset);
+      return;
+    }
+
+    let wordOffset = bookOffset;
+
+    for (const [index, word] of transformWord(token, normalized).entries()) {
+      if (index > 0) {
+        queueSeparator(' ', wordOffset);
+      }
+
+      const found = token.indexOf(word[0], wordOffset - bookOffset);
+      wordOffset = found === -1 ? wordOffset : bookOffset + found;
+      emitWord(pieces, word, wordOffset);
+    }
+  }
+
+  return {
+    push(rawText, bookOffset, { endOfRun = false } = {}) {
+      const text = carry + rawText;
+      const textOffset = carry ? carryOffset : bookOffset;
+      const pieces = [];
+      const tokens = [...text.matchAll(TOKEN_REGEX)];
+
+      carry = '';
+
+      for (const [index, match] of tokens.entries()) {
+        const isLast = index === tokens.length - 1;
+
+        if (isLast && !endOfRun && !/^\s/.test(match[0])) {
+          carry = match[0];
+          carryOffset = textOffset + match.index;
+          break;
+        }
+
+        processToken(pieces, match[0], textOffset + match.index);
+      }
+
+      return pieces;
+    },
+
+    // The stream jumped elsewhere in the book; whatever comes next starts a new paragraph.
+    breakParagraph(bookOffset) {
+      pendingSeparator = { text: PARAGRAPH_BREAK, bookOffset };
+    }
+  };
+}
@@ -0,0 +1,119 @@
+import { getWeaknessScores } from './keyStats';
+import { createSeed, createSeededRandom } from './seededRandom';
+import { loadDrillWords } from './wordDrill';
+
+const WEAK_SPOT_WORD_COUNT = 5000;
+// Kept short so text written with fresh key stats comes up soon after the session starts.
+const INITIAL_BUFFER_CHARS = 3000;
+const DEFAULT_APPEND_CHUNK_CHARS = 1200;
+
+// Squaring the weakness makes the worst keys stand out instead of nudging every word a little.
+function scoreWord(word, characters, bigrams) {
+  let score = 0;
+
+  for (let index = 0; index < word.length; index += 1) {
+    score += characters.get(word[index]) || 0;
+
+    if (index > 0) {
+      score += bigrams.get(word.slice(index - 1, index + 1)) || 0;
+    }
+  }
+
+  return (1 + score / Math.sqrt(word.length)) ** 2;
+}
+
+// Plain lowercase words drawn from the common words list, weighted toward the letters and letter
+// pairs typed worst so far. Weights are recomputed from the live key stats for every chunk, so
+// keys that improve during the session fade out of the text that follows.
+export class WeakSpotStream {
+  constructor(words, { getKeyStats, seed = null, random = Math.random } = {}) {
+    this.words = words;
+    this.getKeyStats = getKeyStats;
+    this.seed = seed;
+    this.random = random;
+    this.cumulativeWeights = [];
+    this.previousWord = '';
+  }
+
+  reweigh() {
+    const { characters, bigrams } = getWeaknessScores(this.getKeyStats());
+    let total = 0;
+
+    this.cumulativeWeights = this.words.map((word) => {
+      total += scoreWord(word, characters, bigrams);
+      return total;
+    });
+  }
+
+  // First word whose running weight passes a random point along the total.
+  pickWord() {
+    const weights = this.cumulativeWeights;
+    const target = this.random() * weights[weights.length - 1];
+    let low = 0;
+    let high = weights.length - 1;
+
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+
+      if (weights[middle] <= target) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return this.words[low];
+  }
+
+  nextChunk(targetChars = DEFAULT_APPEND_CHUNK_CHARS) {
+    let chunk = '';
+    this.reweigh();
+
+    while (chunk.length < targetChars) {
+      let word = this.pickWord();
+
+      // Doubled words read like typos, so redraw once.
+      if (word === this.previousWord) {
+        word = this.pickWord();
+      }
+
+      this.previousWord = word;
+      chunk += `${word} `;
+    }
+
+    return chunk;
+  }
+
+  ensureLength(currentText, minLength) {
+    let next = currentText;
+
+    while (next.length < minLength) {
+      next += this.nextChunk(Math.max(DEFAULT_APPEND_CHUNK_CHARS, minLength - next.length));
+    }
+
+    return next;
+  }
+
+  createInitialBuffer(minLength = INITIAL_BUFFER_CHARS) {
+    return this.ensureLength('', minLength);
+  }
+}
+
+export async function createWeakSpotSession({ getKeyStats }) {
+  const seed = createSeed();
+  const words = (await loadDrillWords(WEAK_SPOT_WORD_COUNT)).filter((word) =>
+    /^\p{Ll}+$/u.test(word)
+  );
+
+  if (!words.length) {
+    throw new Error('The common words list is empty.');
+  }
+
+  const stream = new WeakSpotStream(words, {
+    getKeyStats,
+    seed,
+    random: createSeededRandom(`${seed}:stream`)
+  });
+
+  return { stream, initialText: stream.createInitialBuffer() };
+}
@@ -0,0 +1,184 @@
+import { createSeed, createSeededRandom, randomInt } from './seededRandom';
+
+export const SESSION_SOURCE = {
+  BOOKS: 'books',
+  WORDS: 'words',
+  WEAK_SPOTS: 'weak-spots'
+};
+
+export const DRILL_WORD_COUNTS = [200, 1000, 5000];
+
+export const DRILL_SENTENCE_LENGTH = {
+  SHORT: 'short',
+  MEDIUM: 'medium',
+  LONG: 'long'
+};
+
+const SENTENCE_WORD_RANGES = {
+  [DRILL_SENTENCE_LENGTH.SHORT]: { min: 4, max: 8 },
+  [DRILL_SENTENCE_LENGTH.MEDIUM]: { min: 8, max: 14 },
+  [DRILL_SENTENCE_LENGTH.LONG]: { min: 14, max: 24 }
+};
+
+export const DEFAULT_DRILL_OPTIONS = {
+  wordCount: 200,
+  capitalization: false,
+  punctuation: false,
+  numbers: false,
+  sentenceLength: DRILL_SENTENCE_LENGTH.MEDIUM
+};
+
+const DEFAULT_INITIAL_BUFFER_CHARS = 24000;
+const DEFAULT_APPEND_CHUNK_CHARS = 4000;
+const SENTENCE_ENDINGS = ['.', '.', '.', '.', '?', '!'];
+const CLAUSE_MARKS = [',', ',', ',', ';', ':'];
+// Chances per word; a sentence ends with a mark of its own whenever punctuation is on.
+const CLAUSE_MARK_CHANCE = 0.12;
+const QUOTED_WORD_CHANCE = 0.03;
+const CAPITALIZED_WORD_CHANCE = 0.08;
+const NUMBER_CHANCE = 0.08;
+
+let wordListPromise = null;
+
+export function normalizeSessionSource(source) {
+  return Object.values(SESSION_SOURCE).includes(source) ? source : SESSION_SOURCE.BOOKS;
+}
+
+export function normalizeDrillOptions(options) {
+  return {
+    wordCount: DRILL_WORD_COUNTS.includes(options?.wordCount)
+      ? options.wordCount
+      : DEFAULT_DRILL_OPTIONS.wordCount,
+    capitalization: options?.capitalization === true,
+    punctuation: options?.punctuation === true,
+    numbers: options?.numbers === true,
+    sentenceLength: SENTENCE_WORD_RANGES[options?.sentenceLength]
+      ? options.sentenceLength
+      : DEFAULT_DRILL_OPTIONS.sentenceLength
+  };
+}
+
+// The ranked list is its own chunk, fetched the first time a drill is started.
+export function loadDrillWords(wordCount) {
+  if (!wordListPromise) {
+    wordListPromise = import('../data/englishWords.json')
+      .then((module) => module.default)
+      .catch((error) => {
+        wordListPromise = null;
+        throw error;
+      });
+  }
+
+  return wordListPromise.then((words) => words.slice(0, wordCount));
+}
+
+function capitalizeFirst(word) {
+  return `${word[0].toUpperCase()}${word.slice(1)}`;
+}
+
+// Mostly short counts, now and then a year-like four digits.
+function createNumber(random) {
+  const digits = random() < 0.25 ? 4 : 1 + randomInt(random, 3);
+  const min = digits === 1 ? 0 : 10 ** (digits - 1);
+  return String(min + randomInt(random, 10 ** digits - min));
+}
+
+// Endless drill text with the same ensureLength shape as CorpusSessionStream, so the typing
+// screen can pull from either. Words are drawn evenly from the top of the frequency list.
+export class WordDrillStream {
+  constructor(words, options = {}) {
+    const { seed = null, random = Math.random, ...drillOptions } = options;
+
+    this.words = words;
+    this.options = normalizeDrillOptions(drillOptions);
+    this.seed = seed;
+    this.random = random;
+    this.previousWord = '';
+  }
+
+  pickWord() {
+    let word = this.words[randomInt(this.random, this.words.length)];
+
+    // Doubled words read like typos, so redraw once.
+    if (word === this.previousWord && this.words.length > 1) {
+      word = this.words[randomInt(this.random, this.words.length)];
+    }
+
+    this.previousWord = word;
+    return word;
+  }
+
+  createSentence() {
+    const { capitalization, punctuation, numbers, sentenceLength } = this.options;
+    const { min, max } = SENTENCE_WORD_RANGES[sentenceLength];
+    const wordCount = min + randomInt(this.random, max - min + 1);
+    const words = [];
+
+    for (let index = 0; index < wordCount; index += 1) {
+      let word =
+        numbers && this.random() < NUMBER_CHANCE ? createNumber(this.random) : this.pickWord();
+
+      if (capitalization && (index === 0 || this.random() < CAPITALIZED_WORD_CHANCE)) {
+        word = capitalizeFirst(word);
+      }
+
+      if (punctuation && index < wordCount - 1) {
+        if (this.random() < QUOTED_WORD_CHANCE) {
+          word = `"${word}"`;
+        } else if (index > 0 && this.random() < CLAUSE_MARK_CHANCE) {
+          word += CLAUSE_MARKS[randomInt(this.random, CLAUSE_MARKS.length)];
+        }
+      }
+
+      words.push(word);
+    }
+
+    if (punctuation) {
+      words[wordCount - 1] += SENTENCE_ENDINGS[randomInt(this.random, SENTENCE_ENDINGS.length)];
+    }
+
+    return words.join(' ');
+  }
+
+  nextChunk(targetChars = DEFAULT_APPEND_CHUNK_CHARS) {
+    let chunk = '';
+
+    while (chunk.length < targetChars) {
+      chunk += `${this.createSentence()} `;
+    }
+
+    return chunk;
+  }
+
+  ensureLength(currentText, minLength) {
+    let next = currentText;
+
+    while (next.length < minLength) {
+      next += this.nextChunk(Math.max(DEFAULT_APPEND_CHUNK_CHARS, minLength - next.length));
+    }
+
+    return next;
+  }
+
+  createInitialBuffer(minLength = DEFAULT_INITIAL_BUFFER_CHARS) {
+    return this.ensureLength('', minLength);
+  }
+}
+
+export async function createWordDrillSession(options = {}) {
+  const drillOptions = normalizeDrillOptions(options);
+  const seed = createSeed();
+  const words = await loadDrillWords(drillOptions.wordCount);
+
+  if (!words.length) {
+    throw new Error('The common words list is empty.');
+  }
+
+  const stream = new WordDrillStream(words, {
+    ...drillOptions,
+    seed,
+    random: createSeededRandom(`${seed}:stream`)
+  });
+
+  return { stream, initialText: stream.createInitialBuffer(options.initialChars) };
+}
@@ -0,0 +1,322 @@
+// Built into /sw.js by the service worker plugin in vite.config.js; not imported by the app.
+const PRECACHE = self.__PRECACHE_MANIFEST__;
+
+const SHELL_CACHE = `ambitype-shell-${PRECACHE.version}`;
+const FONT_CACHE = 'ambitype-fonts-v1';
+const TRACK_CACHE = 'ambitype-tracks-v1';
+const CORPUS_CACHE_PREFIX = 'ambitype-corpus-';
+const CORPUS_INDEX_PATH = '/corpus/index.json';
+const FONT_STYLESHEET_URL =
+  'https://fonts.googleapis.com/css2?family=DM+Mono:wght@400;500&family=Instrument+Serif:ital@0;1&family=Manrope:wght@500;600;700&display=swap';
+const FONT_HOSTS = new Set(['fonts.googleapis.com', 'fonts.gstatic.com']);
+const SHELL_PATHS = [
+  '/',
+  '/manifest.webmanifest',
+  '/icons/Check.svg',
+  '/icons/Copy.svg',
+  '/icons/Dark_mode.svg',
+  '/icons/Enter.svg',
+  '/icons/Info.svg',
+  '/icons/Light_mode.svg',
+  '/icons/LinkedIn.svg',
+  '/icons/Music.svg',
+  '/icons/Muted.svg',
+  '/icons/Sound_on.svg',
+  '/icons/Visual.svg',
+  '/icons/WPM.svg',
+  '/icons/favicon.png',
+  '/icons/infor.svg'
+];
+
+// Until the first index fetch, book requests land in whichever corpus cache already exists.
+let corpusCacheNamePromise = null;
+
+function getCorpusCacheName() {
+  if (!corpusCacheNamePromise) {
+    corpusCacheNamePromise = caches.keys().then((keys) => {
+      const existing = keys.find((key) => key.startsWith(CORPUS_CACHE_PREFIX));
+      return existing || `${CORPUS_CACHE_PREFIX}initial`;
+    });
+  }
+
+  return corpusCacheNamePromise;
+}
+
+async function hashText(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)]
+    .slice(0, 6)
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+async function precacheFonts() {
+  const cache = await caches.open(FONT_CACHE);
+
+  try {
+    const stylesheetResponse = await fetch(FONT_STYLESHEET_URL, { mode: 'cors' });
+    if (!stylesheetResponse.ok) {
+      return;
+    }
+
+    const stylesheet = await stylesheetResponse.clone().text();
+    await cache.put(FONT_STYLESHEET_URL, stylesheetResponse);
+
+    const fontUrls = stylesheet.match(/https:\/\/fonts\.gstatic\.com\/[^)\s'"]+/g) || [];
+    await cache.addAll(fontUrls);
+  } catch (error) {
+    // Fonts are a nicety; the app falls back to system fonts when they are missing.
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll([...SHELL_PATHS, ...PRECACHE.assets]);
+      await precacheFonts();
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(
+        keys
+          .filter((key) => key.startsWith('ambitype-shell-') && key !== SHELL_CACHE)
+          .map((key) => caches.delete(key))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+// A changed index means rebuilt books: move to a fresh corpus cache and re-download whatever
+// the previous one held, so books made available offline stay available.
+async function switchCorpusCache(nextCacheName) {
+  const previousCacheName = await getCorpusCacheName();
+  corpusCacheNamePromise = Promise.resolve(nextCacheName);
+
+  if (previousCacheName === nextCacheName) {
+    return;
+  }
+
+  const keys = await caches.keys();
+  const staleCacheNames = keys.filter(
+    (key) => key.startsWith(CORPUS_CACHE_PREFIX) && key !== nextCacheName
+  );
+  const bookUrls = new Set();
+
+  for (const cacheName of staleCacheNames) {
+    const staleCache = await caches.open(cacheName);
+    for (const request of await staleCache.keys()) {
+      if (!request.url.endsWith(CORPUS_INDEX_PATH)) {
+        bookUrls.add(request.url);
+      }
+    }
+  }
+
+  await Promise.all(staleCacheNames.map((cacheName) => caches.delete(cacheName)));
+
+  const nextCache = await caches.open(nextCacheName);
+  await Promise.all([...bookUrls].map((url) => nextCache.add(url).catch(() => undefined)));
+}
+
+async function handleCorpusIndex(request, event) {
+  try {
+    const response = await fetch(request);
+
+    if (response.ok) {
+      const version = await hashText(await response.clone().text());
+      const cacheName = `${CORPUS_CACHE_PREFIX}${version}`;
+      const cache = await caches.open(cacheName);
+      await cache.put(CORPUS_INDEX_PATH, response.clone());
+      event.waitUntil(switchCorpusCache(cacheName));
+    }
+
+    return response;
+  } catch (error) {
+    const cached = await caches.match(CORPUS_INDEX_PATH);
+    if (cached) {
+      return cached;
+    }
+
+    throw error;
+  }
+}
+
+async function handleCorpusBook(request) {
+  const cache = await caches.open(await getCorpusCacheName());
+  const cached = await cache.match(request);
+
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+  }
+
+  return response;
+}
+
+function parseRangeHeader(rangeHeader, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader || '');
+  if (!match) {
+    return null;
+  }
+
+  let start = match[1] ? Number(match[1]) : size - Number(match[2]);
+  let end = match[1] && match[2] ? Number(match[2]) : size - 1;
+  start = Math.max(0, start);
+  end = Math.min(size - 1, end);
+
+  return start <= end ? { start, end } : null;
+}
+
+// Audio elements ask for byte ranges, which the Cache API cannot store, so tracks are cached
+// whole and ranges are sliced out of the cached copy.
+async function createRangeResponse(request, cachedResponse) {
+  const rangeHeader = request.headers.get('range');
+  if (!rangeHeader) {
+    return cachedResponse;
+  }
+
+  const blob = await cachedResponse.blob();
+  const range = parseRangeHeader(rangeHeader, blob.size);
+
+  if (!range) {
+    return new Response(null, {
+      status: 416,
+      headers: { 'Content-Range': `bytes */${blob.size}` }
+    });
+  }
+
+  return new Response(blob.slice(range.start, range.end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': cachedResponse.headers.get('Content-Type') || 'audio/mpeg',
+      'Content-Range': `bytes ${range.start}-${range.end}/${blob.size}`,
+      'Content-Length': String(range.end - range.start + 1),
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
+async function handleTrack(request, event) {
+  const cache = await caches.open(TRACK_CACHE);
+  const cached = await cache.match(request.url);
+
+  if (cached) {
+    return createRangeResponse(request, cached);
+  }
+
+  event.waitUntil(
+    fetch(request.url)
+      .then((response) => (response.ok ? cache.put(request.url, response) : undefined))
+      .catch(() => undefined)
+  );
+
+  return fetch(request);
+}
+
+async function handleCacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+
+  return response;
+}
+
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put('/', response.clone());
+    }
+
+    return response;
+  } catch (error) {
+    const cached = await caches.match('/');
+    if (cached) {
+      return cached;
+    }
+
+    throw error;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.has(url.hostname)) {
+    event.respondWith(handleCacheFirst(request, FONT_CACHE));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.pathname === CORPUS_INDEX_PATH) {
+    event.respondWith(handleCorpusIndex(request, event));
+  } else if (
+    url.pathname.startsWith('/corpus/books/') ||
+    url.pathname.startsWith('/corpus/shards/')
+  ) {
+    event.respondWith(handleCorpusBook(request));
+  } else if (url.pathname.startsWith('/Tracks/')) {
+    event.respondWith(handleTrack(request, event));
+  } else if (url.pathname.startsWith('/assets/') || url.pathname.startsWith('/icons/')) {
+    event.respondWith(handleCacheFirst(request, SHELL_CACHE));
+  }
+});
+
+async function cacheBookUrls(urls) {
+  const cache = await caches.open(await getCorpusCacheName());
+  await Promise.all(urls.map((url) => cache.add(url)));
+}
+
+async function uncacheBookUrls(urls) {
+  const cache = await caches.open(await getCorpusCacheName());
+  await Promise.all(urls.map((url) => cache.delete(url)));
+}
+
+self.addEventListener('message', (event) => {
+  const { type, urls } = event.data || {};
+  const [replyPort] = event.ports;
+  const handlers = {
+    'cache-books': cacheBookUrls,
+    'uncache-books': uncacheBookUrls
+  };
+
+  if (!handlers[type] || !Array.isArray(urls)) {
+    return;
+  }
+
+  event.waitUntil(
+    handlers[type](urls)
+      .then(() => replyPort?.postMessage({ ok: true }))
+      .catch((error) => replyPort?.postMessage({ ok: false, error: error.message }))
+  );
+});
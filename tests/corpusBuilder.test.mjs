@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { buildCorpus, createBuildContext, resolveOptions } from '../scripts/corpusBuilder.mjs';
+import { EPUB2_FILES, EPUB3_FILES, createEpub } from './fixtures/epubFixtures.mjs';
+
+const quietLog = { info() {}, detail() {}, warn() {}, error() {} };
+
+describe('buildCorpus', () => {
+  let workDir;
+  let inputDir;
+  let outputDir;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ambitype-corpus-'));
+    inputDir = path.join(workDir, 'Books');
+    outputDir = path.join(workDir, 'corpus');
+    await fs.mkdir(inputDir);
+    await fs.writeFile(path.join(inputDir, 'Harbour Lights.epub'), await createEpub(EPUB3_FILES));
+    await fs.writeFile(path.join(inputDir, 'letters.epub'), await createEpub(EPUB2_FILES));
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  function build(flags = {}) {
+    const options = resolveOptions(
+      { input: inputDir, output: outputDir, ...flags },
+      { cacheDir: path.join(workDir, 'cache') }
+    );
+
+    return buildCorpus(createBuildContext(options, { log: quietLog }));
+  }
+
+  const readOutput = async (name) => fs.readFile(path.join(outputDir, name), 'utf8');
+  const readIndex = async () => JSON.parse(await readOutput('index.json'));
+
+  test('writes each book, its chapters and an index entry', async () => {
+    const report = await build();
+
+    assert.deepEqual(report.summary, {
+      built: 2,
+      unchanged: 0,
+      normalized: 0,
+      skipped: 0,
+      failed: 0
+    });
+    assert.equal(
+      await readOutput('books/harbour-lights.txt'),
+      'The tide came in over the quay at dusk.\n' +
+        'Lamps were lit one by one along the harbour wall.\n' +
+        'Up in the lamp room the keeper wound the clockwork again.\n'
+    );
+    assert.deepEqual(JSON.parse(await readOutput('books/harbour-lights.chapters.json')), [
+      { title: 'CHAPTER I. THE QUAY', offset: 0 },
+      { title: 'Chapter II: The Lamp Room', offset: 90 }
+    ]);
+
+    const { version, books } = await readIndex();
+    const harbour = books.find((book) => book.id === 'harbour-lights');
+
+    assert.equal(version, 2);
+    assert.deepEqual(books.map((book) => book.id), ['harbour-lights', 'letters']);
+    assert.equal(harbour.title, 'The Harbour Lights');
+    assert.equal(harbour.author, 'Ada Fixture, Ben Fixture');
+    assert.equal(harbour.path, '/corpus/books/harbour-lights.txt');
+    assert.equal(harbour.chaptersPath, '/corpus/books/harbour-lights.chapters.json');
+    assert.equal(harbour.normalization, 'keep-accents');
+    assert.equal(harbour.paragraphs, 3);
+    assert.match(harbour.contentHash, /^sha256-[0-9a-f]{64}$/);
+  });
+
+  test('reuses unchanged books and rebuilds only the changed source', async () => {
+    await build();
+    assert.equal((await build()).summary.unchanged, 2);
+
+    await fs.writeFile(
+      path.join(inputDir, 'letters.epub'),
+      await createEpub({
+        ...EPUB2_FILES,
+        'OEBPS/text/letter2.html': '<p>Dear sister, a second letter with different words in it.</p>'
+      })
+    );
+    const { books } = await build();
+
+    assert.deepEqual(
+      books.map(({ id, status }) => [id, status]),
+      [
+        ['harbour-lights', 'unchanged'],
+        ['letters', 'built']
+      ]
+    );
+    assert.match(await readOutput('books/letters.txt'), /a second letter/);
+  });
+
+  test('removes the outputs of a deleted source', async () => {
+    await build();
+    await fs.rm(path.join(inputDir, 'letters.epub'));
+    const { removed } = await build();
+
+    assert.ok(removed.includes('books/letters.txt'));
+    await assert.rejects(readOutput('books/letters.txt'), { code: 'ENOENT' });
+    assert.deepEqual((await readIndex()).books.map((book) => book.id), ['harbour-lights']);
+  });
+
+  test('a dry run reports the books without writing anything', async () => {
+    const report = await build({ dryRun: true });
+
+    assert.equal(report.summary.built, 2);
+    await assert.rejects(fs.access(outputDir), { code: 'ENOENT' });
+  });
+
+  test('a source that cannot be read fails on its own', async () => {
+    await fs.writeFile(path.join(inputDir, 'broken.epub'), 'not a zip archive');
+    const report = await build();
+
+    assert.equal(report.summary.built, 2);
+    assert.equal(report.summary.failed, 1);
+    assert.equal(report.books.find((book) => book.id === 'broken').status, 'failed');
+    assert.deepEqual(
+      (await readIndex()).books.map((book) => book.id),
+      ['harbour-lights', 'letters']
+    );
+  });
+
+  test('a named normalization profile is applied and recorded', async () => {
+    const letter = '<p>“Dear sister—the wool arrived…” said the café owner.</p>';
+
+    await fs.writeFile(
+      path.join(inputDir, 'letters.epub'),
+      await createEpub({ ...EPUB2_FILES, 'OEBPS/text/letter2.html': letter })
+    );
+    await build({ normalization: 'strict-ascii' });
+
+    assert.match(
+      await readOutput('books/letters.txt'),
+      /"Dear sister-the wool arrived\.\.\." said the cafe owner\./
+    );
+    assert.equal((await readIndex()).books[1].normalization, 'strict-ascii');
+  });
+});
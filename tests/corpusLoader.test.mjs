@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { after, before, describe, mock, test } from 'node:test';
+import { createCorpusSession, getSessionShare } from '../src/lib/corpusLoader.js';
+
+const PUBLIC_DIR = path.join(process.cwd(), 'public');
+
+// Serves /corpus/... from public/, as Vite does for the app.
+async function fetchFromPublic(url) {
+  try {
+    return new Response(await fs.readFile(path.join(PUBLIC_DIR, url)));
+  } catch (error) {
+    return new Response(null, { status: 404 });
+  }
+}
+
+// Streams ahead as the typing screen does, giving the stream a moment to fetch the text its next
+// run starts in.
+async function readAhead(stream, initialText, length) {
+  let text = initialText;
+
+  for (let attempt = 0; text.length < length && attempt < 50; attempt += 1) {
+    text = stream.ensureLength(text, length);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  return text.slice(0, length);
+}
+
+const SHARED = {
+  seed: 'k3m9qx2pfa',
+  bookId: 'herman-melville-moby-dick',
+  offset: 48210,
+  startMode: 'random',
+  difficulty: 'medium',
+  textTransforms: { lowercase: true, collapseQuotes: true },
+  target: { mode: 'words', words: 50 }
+};
+
+describe('createCorpusSession', () => {
+  let previousFetch;
+
+  before(() => {
+    previousFetch = globalThis.fetch;
+    globalThis.fetch = fetchFromPublic;
+    // Node has no IndexedDB, so the loader warns that imported books are unavailable.
+    mock.method(console, 'warn', () => {});
+  });
+
+  after(() => {
+    globalThis.fetch = previousFetch;
+    mock.restoreAll();
+  });
+
+  test('types the same text twice from the same shared session', async () => {
+    const first = await createCorpusSession({ shared: SHARED, initialChars: 2000 });
+    const second = await createCorpusSession({ shared: SHARED, initialChars: 2000 });
+
+    assert.equal(first.entry.id, SHARED.bookId);
+    assert.ok(first.initialText.length >= 2000);
+    assert.equal(second.initialText.slice(0, 2000), first.initialText.slice(0, 2000));
+    assert.equal(first.initialText, first.initialText.toLowerCase());
+  });
+
+  test('follows the seed once the passage runs out', async () => {
+    // Close to the end of the book, so the stream soon jumps to a random paragraph.
+    const shared = {
+      bookId: 'jack-london-the-call-of-the-wild',
+      offset: 173000,
+      startMode: 'random'
+    };
+    const typeFrom = async (seed) => {
+      const { stream, initialText } = await createCorpusSession({
+        shared: { ...shared, seed },
+        initialChars: 1000
+      });
+      return readAhead(stream, initialText, 8000);
+    };
+
+    const first = await typeFrom('abcd2345');
+
+    assert.equal(first.length, 8000);
+    assert.equal(await typeFrom('abcd2345'), first);
+    assert.notEqual(await typeFrom('wxyz6789'), first);
+  });
+
+  test('shares the settings it was created with', async () => {
+    const session = await createCorpusSession({ shared: SHARED, initialChars: 2000 });
+    const share = getSessionShare(session.stream, SHARED.target);
+
+    assert.equal(share.seed, SHARED.seed);
+    assert.equal(share.bookId, SHARED.bookId);
+    assert.equal(share.startMode, 'random');
+    assert.equal(share.difficulty.band, 'medium');
+    assert.equal(share.textTransforms.lowercase, true);
+
+    const reopened = await createCorpusSession({ shared: share, initialChars: 2000 });
+    assert.equal(reopened.initialText.slice(0, 2000), session.initialText.slice(0, 2000));
+  });
+
+  test('rejects a shared book that is not in the library', async () => {
+    await assert.rejects(
+      createCorpusSession({ shared: { ...SHARED, bookId: 'no-such-book' } }),
+      /not in this library/
+    );
+  });
+});
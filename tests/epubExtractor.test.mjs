@@ -0,0 +1,221 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import JSZip from 'jszip';
+import { parse } from 'node-html-parser';
+import {
+  buildBookText,
+  extractEpubContent,
+  extractParagraphsFromHtml,
+  findOpfPath,
+  isFootnoteAnchor,
+  parseOpfSpine,
+  readZipText,
+  shouldSkipParagraphNode
+} from '../src/lib/epubExtractor.js';
+import { BROKEN_FILES, EPUB2_FILES, EPUB3_FILES, createEpub } from './fixtures/epubFixtures.mjs';
+
+async function extract(files) {
+  const warnings = [];
+  const content = await extractEpubContent(await createEpub(files), {
+    onWarning: (message) => warnings.push(message)
+  });
+
+  return { ...content, warnings };
+}
+
+describe('findOpfPath', () => {
+  test('reads and normalizes the first rootfile', () => {
+    const containerXml =
+      '<container><rootfiles><rootfile full-path="./OEBPS//content.opf"/></rootfiles></container>';
+
+    assert.equal(findOpfPath(containerXml), 'OEBPS/content.opf');
+  });
+
+  test('throws when there is no rootfile', () => {
+    assert.throws(
+      () => findOpfPath('<container><rootfiles/></container>'),
+      /Unable to locate OPF package path/
+    );
+  });
+});
+
+describe('parseOpfSpine', () => {
+  test('keeps linear HTML documents in spine order, relative to the OPF', () => {
+    assert.deepEqual(parseOpfSpine(EPUB3_FILES['OEBPS/content.opf'], 'OEBPS/content.opf'), [
+      'OEBPS/Text/part%20one.xhtml',
+      'OEBPS/Text/chapter%201.xhtml'
+    ]);
+  });
+
+  test('skips spine references to unknown manifest ids', () => {
+    assert.deepEqual(parseOpfSpine(BROKEN_FILES['OEBPS/content.opf'], 'OEBPS/content.opf'), [
+      'OEBPS/gone.xhtml',
+      'OEBPS/ok.xhtml'
+    ]);
+  });
+
+  test('throws on a document that is not an OPF package', () => {
+    assert.throws(() => parseOpfSpine('<nothing/>', 'OEBPS/content.opf'), /Invalid OPF package/);
+  });
+});
+
+describe('extractParagraphsFromHtml', () => {
+  test('drops footnote markers, navigation, headings, lists and short paragraphs', () => {
+    assert.deepEqual(extractParagraphsFromHtml(EPUB3_FILES['OEBPS/Text/chapter 1.xhtml']), [
+      'The tide came in over the quay at dusk.',
+      'Lamps were lit one by one along the harbour wall.',
+      'Up in the lamp room the keeper wound the clockwork again.'
+    ]);
+  });
+
+  test('honours minParagraphChars', () => {
+    const html = '<p>Short but kept.</p><p>Tiny.</p>';
+
+    assert.deepEqual(extractParagraphsFromHtml(html, { minParagraphChars: 10 }), [
+      'Short but kept.'
+    ]);
+  });
+});
+
+describe('isFootnoteAnchor', () => {
+  const anchor = (html) => parse(html).querySelector('a');
+
+  test('recognizes footnote markup and bare note numbers', () => {
+    assert.equal(isFootnoteAnchor(anchor('<a epub:type="noteref" href="n.xhtml#1">1</a>')), true);
+    assert.equal(isFootnoteAnchor(anchor('<a href="#endnote-4">see</a>')), true);
+    assert.equal(isFootnoteAnchor(anchor('<a href="#n3">[3]</a>')), true);
+    assert.equal(isFootnoteAnchor(anchor('<a href="#n4">iv</a>')), true);
+  });
+
+  test('leaves ordinary links alone', () => {
+    assert.equal(isFootnoteAnchor(anchor('<a href="chapter2.xhtml">the next day</a>')), false);
+    assert.equal(isFootnoteAnchor(anchor('<a href="#map">the map</a>')), false);
+  });
+});
+
+describe('shouldSkipParagraphNode', () => {
+  const paragraph = (html) => parse(html).querySelector('p');
+
+  test('skips paragraphs inside navigation, notes and headings', () => {
+    assert.equal(shouldSkipParagraphNode(paragraph('<nav><p>x</p></nav>')), true);
+    assert.equal(shouldSkipParagraphNode(paragraph('<aside><p>x</p></aside>')), true);
+    assert.equal(shouldSkipParagraphNode(paragraph('<div class="footnotes"><p>x</p></div>')), true);
+    assert.equal(shouldSkipParagraphNode(paragraph('<section id="toc"><p>x</p></section>')), true);
+    assert.equal(shouldSkipParagraphNode(paragraph('<h2><p>x</p></h2>')), true);
+  });
+
+  test('keeps body paragraphs', () => {
+    assert.equal(shouldSkipParagraphNode(paragraph('<section id="c1"><p>x</p></section>')), false);
+  });
+});
+
+describe('readZipText', () => {
+  test('finds entries by decoded, encoded and case-insensitive names', async () => {
+    const zip = new JSZip();
+    zip.file('OEBPS/Text/chapter 1.xhtml', 'spaced');
+    zip.file('OEBPS/Text/caf%C3%A9.xhtml', 'encoded');
+    zip.file('OEBPS/Text/Letter1.html', 'cased');
+
+    assert.equal(await readZipText(zip, 'OEBPS/Text/chapter%201.xhtml'), 'spaced');
+    assert.equal(await readZipText(zip, './OEBPS\\Text\\chapter 1.xhtml'), 'spaced');
+    assert.equal(await readZipText(zip, 'OEBPS/Text/café.xhtml'), 'encoded');
+    assert.equal(await readZipText(zip, 'oebps/text/letter1.HTML'), 'cased');
+  });
+
+  test('throws for a missing entry', async () => {
+    await assert.rejects(
+      readZipText(new JSZip(), 'OEBPS/gone.xhtml'),
+      /Missing EPUB archive entry/
+    );
+  });
+});
+
+describe('extractEpubContent', () => {
+  test('EPUB 3: nav fragments start chapters and non-linear documents are left out', async () => {
+    const { paragraphs, chapters, metadata, warnings } = await extract(EPUB3_FILES);
+
+    assert.deepEqual(paragraphs, [
+      'The tide came in over the quay at dusk.',
+      'Lamps were lit one by one along the harbour wall.',
+      'Up in the lamp room the keeper wound the clockwork again.'
+    ]);
+    assert.deepEqual(chapters, [
+      { title: 'CHAPTER I. THE QUAY', paragraphIndex: 0 },
+      { title: 'Chapter II: The Lamp Room', paragraphIndex: 2 }
+    ]);
+    assert.deepEqual(metadata, {
+      title: 'The Harbour Lights',
+      author: 'Ada Fixture, Ben Fixture',
+      language: 'en',
+      published: '1901-05-01',
+      rights: 'Public domain.'
+    });
+    assert.deepEqual(warnings, []);
+  });
+
+  test('EPUB 2: toc.ncx entries, nested points and mismatched href case', async () => {
+    const { paragraphs, chapters, metadata, warnings } = await extract(EPUB2_FILES);
+
+    assert.deepEqual(paragraphs, [
+      'My dear sister, the weather on the coast has been kind to us.',
+      'P.S. Do not forget to send the blue wool before winter comes.',
+      'Dear sister, the blue wool arrived safely and the nets are mended.'
+    ]);
+    assert.deepEqual(chapters, [
+      { title: 'Letter I', paragraphIndex: 0 },
+      { title: 'A Postscript', paragraphIndex: 1 },
+      { title: 'Letter II', paragraphIndex: 2 }
+    ]);
+    assert.equal(metadata.author, 'Cora Fixture');
+    assert.equal(metadata.published, '1888');
+    assert.deepEqual(warnings, []);
+  });
+
+  test('broken entries are skipped with a warning instead of failing the book', async () => {
+    const { paragraphs, chapters, warnings } = await extract(BROKEN_FILES);
+
+    assert.deepEqual(paragraphs, ['This is the one chapter of the book that survived.']);
+    // Without readable navigation the document's heading names the chapter.
+    assert.deepEqual(chapters, [{ title: 'The Only Chapter', paragraphIndex: 0 }]);
+    assert.deepEqual(warnings, [
+      'ignored navigation (Missing EPUB archive entry: OEBPS/nav.xhtml)',
+      'skipped OEBPS/gone.xhtml (Missing EPUB archive entry: OEBPS/gone.xhtml)'
+    ]);
+  });
+
+  test('an archive without container.xml is rejected', async () => {
+    const { 'META-INF/container.xml': container, ...files } = EPUB3_FILES;
+
+    assert.ok(container);
+    await assert.rejects(
+      extractEpubContent(await createEpub(files)),
+      /Missing EPUB archive entry: META-INF\/container.xml/
+    );
+  });
+});
+
+describe('buildBookText', () => {
+  test('joins paragraphs one per line with chapter offsets into that text', async () => {
+    const { paragraphs, chapters } = await extract(EPUB3_FILES);
+    const book = buildBookText(paragraphs, chapters);
+
+    assert.equal(
+      book.text,
+      'The tide came in over the quay at dusk.\n' +
+        'Lamps were lit one by one along the harbour wall.\n' +
+        'Up in the lamp room the keeper wound the clockwork again.'
+    );
+    assert.deepEqual(book.chapters, [
+      { title: 'CHAPTER I. THE QUAY', offset: 0 },
+      { title: 'Chapter II: The Lamp Room', offset: 90 }
+    ]);
+    assert.equal(book.text.slice(90).split('\n')[0], paragraphs[2]);
+  });
+
+  test('applies the normalization profile it is given', () => {
+    const paragraphs = ['“Wait—there…”'];
+
+    assert.equal(buildBookText(paragraphs, []).text, '"Wait-there..."');
+    assert.equal(buildBookText(paragraphs, [], 'keep-typographic').text, '“Wait—there…”');
+  });
+});
@@ -0,0 +1,168 @@
+// Builds the test EPUBs in memory, so the fixtures stay readable here instead of living in the
+// repo as binary archives. Each fixture is a map of archive paths to file contents.
+import JSZip from 'jszip';
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`;
+
+function xhtml(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+  <head><title>Fixture</title></head>
+  <body>${body}</body>
+</html>`;
+}
+
+// EPUB 3: a nav document with fragment links, a file name that needs URL-encoding, footnotes
+// in several styles and a linear="no" notes document.
+export const EPUB3_FILES = {
+  'mimetype': 'application/epub+zip',
+  'META-INF/container.xml': CONTAINER_XML,
+  'OEBPS/content.opf': `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="id">fixture-epub3</dc:identifier>
+    <dc:title>The Harbour Lights</dc:title>
+    <dc:creator>Ada Fixture</dc:creator>
+    <dc:creator>Ben Fixture</dc:creator>
+    <dc:language>en</dc:language>
+    <dc:date>1901-05-01</dc:date>
+    <dc:rights>Public domain.</dc:rights>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="cover" href="Text/cover.xhtml" media-type="application/xhtml+xml"/>
+    <item id="part" href="Text/part%20one.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch1" href="Text/chapter%201.xhtml" media-type="application/xhtml+xml"/>
+    <item id="notes" href="Text/notes.xhtml" media-type="application/xhtml+xml"/>
+    <item id="image" href="Images/map.png" media-type="image/png"/>
+  </manifest>
+  <spine>
+    <itemref idref="cover" linear="no"/>
+    <itemref idref="part"/>
+    <itemref idref="ch1"/>
+    <itemref idref="image"/>
+    <itemref idref="notes" linear="no"/>
+  </spine>
+</package>`,
+  'OEBPS/nav.xhtml': xhtml(`
+    <nav epub:type="toc">
+      <ol>
+        <li><a href="Text/part%20one.xhtml">Part One</a></li>
+        <li><a href="Text/chapter%201.xhtml#c1">CHAPTER I. THE QUAY</a></li>
+        <li><a href="Text/chapter%201.xhtml#c2">Chapter II: The Lamp Room</a></li>
+      </ol>
+    </nav>`),
+  'OEBPS/Text/cover.xhtml': xhtml(
+    '<p>This cover page is not part of the reading order at all.</p>'
+  ),
+  'OEBPS/Text/part one.xhtml': xhtml('<h1>Part One</h1>'),
+  'OEBPS/Text/chapter 1.xhtml': xhtml(`
+    <nav><p>Contents paragraph that sits inside a nav element.</p></nav>
+    <section id="c1">
+      <h2>Chapter I</h2>
+      <p>The tide came in over the quay<a href="notes.xhtml#n1" epub:type="noteref">1</a>
+        at dusk.</p>
+      <p>Short line.</p>
+      <p>Lamps were lit one by one<sup>2</sup> along the harbour wall.</p>
+      <aside epub:type="footnote"><p>An aside footnote that must never be typed.</p></aside>
+    </section>
+    <section id="c2">
+      <h2>Chapter II</h2>
+      <p>Up in the lamp room the keeper wound the clockwork<a href="#fn3">[3]</a> again.</p>
+      <div class="footnotes"><p>A footnote block at the end of the chapter file.</p></div>
+    </section>`),
+  'OEBPS/Text/notes.xhtml': xhtml(
+    '<p>Notes that are linear="no" and stay out of the corpus.</p>'
+  ),
+  'OEBPS/Images/map.png': 'not really a png'
+};
+
+// EPUB 2: a toc.ncx instead of a nav document, an opf:event publication date and a manifest
+// href whose case does not match the archive entry.
+export const EPUB2_FILES = {
+  'mimetype': 'application/epub+zip',
+  'META-INF/container.xml': CONTAINER_XML,
+  'OEBPS/content.opf': `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="2.0"
+  xmlns:opf="http://www.idpf.org/2007/opf">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:title>Letters From The Coast</dc:title>
+    <dc:creator opf:role="aut">Cora Fixture</dc:creator>
+    <dc:date opf:event="creation">2020-01-01</dc:date>
+    <dc:date opf:event="publication">1888</dc:date>
+  </metadata>
+  <manifest>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="l1" href="text/Letter1.html" media-type="application/xhtml+xml"/>
+    <item id="l2" href="text/letter2.html" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine toc="ncx">
+    <itemref idref="l1"/>
+    <itemref idref="l2"/>
+  </spine>
+</package>`,
+  'OEBPS/toc.ncx': `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <navMap>
+    <navPoint id="p1" playOrder="1">
+      <navLabel><text>Letter I</text></navLabel>
+      <content src="text/Letter1.html"/>
+      <navPoint id="p1a" playOrder="2">
+        <navLabel><text>A Postscript</text></navLabel>
+        <content src="text/Letter1.html#ps"/>
+      </navPoint>
+    </navPoint>
+    <navPoint id="p2" playOrder="3">
+      <navLabel><text>Letter II</text></navLabel>
+      <content src="text/letter2.html"/>
+    </navPoint>
+  </navMap>
+</ncx>`,
+  'OEBPS/Text/letter1.html': xhtml(`
+    <p>My dear sister, the weather on the coast has been kind to us.</p>
+    <p id="ps">P.S. Do not forget to send the blue wool before winter comes.</p>`),
+  'OEBPS/text/letter2.html': xhtml(`
+    <p>Dear sister, the blue wool arrived safely and the nets are mended.</p>
+    <ul><li><p>A list item paragraph that the corpus leaves out.</p></li></ul>`)
+};
+
+// Entries that cannot be read: a nav document and a spine document missing from the archive, a
+// spine reference to an unknown manifest id, and an unclosed paragraph that should still read.
+export const BROKEN_FILES = {
+  'mimetype': 'application/epub+zip',
+  'META-INF/container.xml': CONTAINER_XML,
+  'OEBPS/content.opf': `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:title>Half A Book</dc:title>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="gone" href="gone.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ok" href="ok.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine>
+    <itemref idref="gone"/>
+    <itemref idref="unknown-id"/>
+    <itemref idref="ok"/>
+  </spine>
+</package>`,
+  'OEBPS/ok.xhtml': xhtml(
+    '<h2>The Only Chapter</h2><p>This is the one chapter of the book that survived.'
+  )
+};
+
+export async function createEpub(files) {
+  const zip = new JSZip();
+
+  for (const [name, content] of Object.entries(files)) {
+    zip.file(name, content);
+  }
+
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+  createKeystrokeLog,
+  createSessionReplay,
+  getReplayFrame,
+  recordCorrection,
+  recordTypedKey
+} from '../src/lib/keystrokeLog.js';
+
+const STARTED_AT = 10000;
+const TEXT = 'cat sat on the mat';
+
+// "c", a wrong "x" for "a", its correction, then "a" and "t": one second apart.
+function typeSession() {
+  const log = createKeystrokeLog(STARTED_AT);
+  const type = (second, index, typed) =>
+    recordTypedKey(log, {
+      at: STARTED_AT + second * 1000,
+      index,
+      expected: TEXT[index],
+      typed,
+      isCorrect: typed === TEXT[index]
+    });
+
+  type(1, 0, 'c');
+  type(2, 1, 'x');
+  recordCorrection(log, { at: STARTED_AT + 3000, index: 1, expected: 'a' });
+  type(4, 1, 'a');
+  type(5, 2, 't');
+
+  return log;
+}
+
+// Untyped characters may be holes or explicit undefined; compare them the same way.
+function frameState(frame) {
+  return {
+    cursorIndex: frame.cursorIndex,
+    results: Array.from(frame.results),
+    typedChars: frame.typedChars,
+    correctChars: frame.correctChars,
+    corrections: frame.corrections,
+    wpm: frame.wpm,
+    accuracy: frame.accuracy,
+    lastEvent: frame.lastEvent
+  };
+}
+
+describe('createSessionReplay', () => {
+  test('returns null when nothing was typed', () => {
+    assert.equal(createSessionReplay(createKeystrokeLog(STARTED_AT), TEXT, 5000), null);
+  });
+
+  test('freezes the events and keeps the text up to the furthest character typed', () => {
+    const log = typeSession();
+    const replay = createSessionReplay(log, TEXT, 4000);
+
+    recordTypedKey(log, { at: STARTED_AT + 6000, index: 3, expected: ' ', typed: ' ' });
+
+    assert.equal(replay.events.length, 5);
+    assert.equal(replay.text, TEXT);
+    // The duration never ends before the last keystroke.
+    assert.equal(replay.durationMs, 5000);
+  });
+});
+
+describe('getReplayFrame', () => {
+  test('shows nothing typed before the first keystroke', () => {
+    const frame = getReplayFrame(createSessionReplay(typeSession(), TEXT, 5000), 500);
+
+    assert.deepEqual(frameState(frame), {
+      cursorIndex: 0,
+      results: [],
+      typedChars: 0,
+      correctChars: 0,
+      corrections: 0,
+      wpm: 0,
+      accuracy: 100,
+      lastEvent: null
+    });
+  });
+
+  test('marks mistakes, then clears them when they are corrected', () => {
+    const replay = createSessionReplay(typeSession(), TEXT, 5000);
+
+    const mistake = getReplayFrame(replay, 2000);
+    assert.equal(mistake.cursorIndex, 2);
+    assert.deepEqual(Array.from(mistake.results), [true, false]);
+
+    const corrected = getReplayFrame(replay, 3000);
+    assert.equal(corrected.cursorIndex, 1);
+    assert.deepEqual(Array.from(corrected.results), [true, undefined]);
+    assert.equal(corrected.corrections, 1);
+    assert.equal(corrected.lastEvent.kind, 'correction');
+
+    const finished = getReplayFrame(replay, 5000);
+    assert.equal(finished.cursorIndex, 3);
+    assert.deepEqual(Array.from(finished.results), [true, true, true]);
+    // The wrong "x" still counts against accuracy after it was fixed.
+    assert.equal(finished.typedChars, 4);
+    assert.equal(finished.correctChars, 3);
+    assert.equal(finished.accuracy, 75);
+    assert.equal(finished.wpm, 7);
+  });
+
+  test('advancing from the previous frame matches replaying from the start', () => {
+    const replay = createSessionReplay(typeSession(), TEXT, 5000);
+    const times = [0, 1000, 1500, 2000, 3000, 3000, 4500, 5000, 6000];
+    const expected = times.map((atMs) => frameState(getReplayFrame(replay, atMs)));
+    let frame = null;
+
+    times.forEach((atMs, index) => {
+      frame = getReplayFrame(replay, atMs, frame);
+      assert.deepEqual(frameState(frame), expected[index], `at ${atMs}ms`);
+    });
+  });
+
+  test('seeking backwards recomputes instead of keeping later keystrokes', () => {
+    const replay = createSessionReplay(typeSession(), TEXT, 5000);
+    const finished = getReplayFrame(replay, 5000);
+
+    const rewound = getReplayFrame(replay, 2000, finished);
+    assert.deepEqual(frameState(rewound), frameState(getReplayFrame(replay, 2000)));
+    assert.deepEqual(Array.from(rewound.results), [true, false]);
+
+    const forward = getReplayFrame(replay, 5000, rewound);
+    assert.deepEqual(frameState(forward), frameState(getReplayFrame(replay, 5000)));
+  });
+
+  test('ignores a previous frame from another replay', () => {
+    const replay = createSessionReplay(typeSession(), TEXT, 5000);
+    const other = createSessionReplay(typeSession(), TEXT, 5000);
+
+    const frame = getReplayFrame(replay, 5000, getReplayFrame(other, 2000));
+    assert.deepEqual(frameState(frame), frameState(getReplayFrame(replay, 5000)));
+  });
+});
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+  PROGRESS_PERIOD,
+  compareBooks,
+  getRollingAverage,
+  groupSessionsByPeriod
+} from '../src/lib/progressStats.js';
+
+// Local time, the same way the periods are cut.
+const at = (dateTime) => new Date(dateTime).getTime();
+
+function session(finishedAt, durationSeconds, averageWpm, accuracy, book = null) {
+  return { finishedAt: at(finishedAt), durationSeconds, averageWpm, accuracy, book };
+}
+
+describe('groupSessionsByPeriod', () => {
+  test('returns no periods without sessions', () => {
+    assert.deepEqual(groupSessionsByPeriod([]), []);
+  });
+
+  test('weights a day by session length and keeps empty days as gaps', () => {
+    const periods = groupSessionsByPeriod([
+      session('2026-03-03T09:00', 60, 40, 90),
+      session('2026-03-01T08:00', 120, 50, 100),
+      session('2026-03-01T21:00', 360, 30, 80)
+    ]);
+
+    assert.deepEqual(periods, [
+      { start: at('2026-03-01T00:00'), sessions: 2, averageWpm: 35, accuracy: 85, minutes: 8 },
+      {
+        start: at('2026-03-02T00:00'),
+        sessions: 0,
+        averageWpm: null,
+        accuracy: null,
+        minutes: 0
+      },
+      { start: at('2026-03-03T00:00'), sessions: 1, averageWpm: 40, accuracy: 90, minutes: 1 }
+    ]);
+  });
+
+  test('starts weeks on Monday at midnight', () => {
+    // 1 March 2026 is a Sunday.
+    const periods = groupSessionsByPeriod(
+      [
+        session('2026-02-23T00:00', 60, 40, 90),
+        session('2026-03-01T23:59:59.999', 60, 60, 100),
+        session('2026-03-02T00:00', 60, 70, 95),
+        session('2026-03-16T12:00', 60, 80, 97)
+      ],
+      PROGRESS_PERIOD.WEEK
+    );
+
+    assert.deepEqual(
+      periods.map(({ start, sessions, averageWpm }) => ({ start, sessions, averageWpm })),
+      [
+        { start: at('2026-02-23T00:00'), sessions: 2, averageWpm: 50 },
+        { start: at('2026-03-02T00:00'), sessions: 1, averageWpm: 70 },
+        { start: at('2026-03-09T00:00'), sessions: 0, averageWpm: null },
+        { start: at('2026-03-16T00:00'), sessions: 1, averageWpm: 80 }
+      ]
+    );
+  });
+
+  test('keeps only the latest 60 days', () => {
+    const periods = groupSessionsByPeriod([
+      session('2026-01-01T12:00', 60, 40, 90),
+      session('2026-03-02T12:00', 60, 50, 90)
+    ]);
+
+    assert.equal(periods.length, 60);
+    assert.equal(periods[0].start, at('2026-01-02T00:00'));
+    assert.equal(periods.at(-1).averageWpm, 50);
+  });
+});
+
+describe('getRollingAverage', () => {
+  const days = (values) => values.map((minutes) => ({ minutes }));
+
+  test('averages over the days so far, skipping empty ones, without rounding', () => {
+    assert.deepEqual(getRollingAverage(days([null, 1, null, 1, 2]), 'minutes'), [
+      null,
+      1,
+      1,
+      1,
+      4 / 3
+    ]);
+  });
+
+  test('drops days once they leave the seven day window', () => {
+    const averages = getRollingAverage(days([8, 1, 1, 1, 1, 1, 1, 1]), 'minutes');
+
+    assert.equal(averages[6], 2);
+    assert.equal(averages[7], 1);
+  });
+
+  test('uses a four week window for weeks', () => {
+    const averages = getRollingAverage(days([9, 1, 2, 3, 4]), 'minutes', PROGRESS_PERIOD.WEEK);
+
+    assert.deepEqual(averages, [9, 5, 4, 3.75, 2.5]);
+  });
+});
+
+describe('compareBooks', () => {
+  test('summarizes each book, most practiced first, skipping word drills', () => {
+    const moby = { id: 'moby-dick', title: 'Moby Dick' };
+    const emma = { id: 'emma', title: 'Emma' };
+    const books = compareBooks([
+      session('2026-03-01T12:00', 60, 40, 90, emma),
+      session('2026-03-01T13:00', 600, 50, 95),
+      session('2026-03-02T12:00', 120, 60, 100, moby),
+      session('2026-03-03T12:00', 60, 30, 90, moby)
+    ]);
+
+    assert.deepEqual(books, [
+      {
+        id: 'moby-dick',
+        title: 'Moby Dick',
+        sessions: 2,
+        averageWpm: 50,
+        accuracy: 97,
+        minutes: 3
+      },
+      { id: 'emma', title: 'Emma', sessions: 1, averageWpm: 40, accuracy: 90, minutes: 1 }
+    ]);
+  });
+});
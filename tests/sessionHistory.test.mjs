@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+  HISTORY_SORT_FIELD,
+  filterSessionRecords,
+  listHistoryBooks,
+  sortSessionRecords
+} from '../src/lib/sessionHistory.js';
+
+// Local time, the same way the date inputs are read.
+const at = (dateTime) => new Date(dateTime).getTime();
+
+const MOBY = { id: 'moby-dick', title: 'Moby Dick' };
+const EMMA = { id: 'emma', title: 'Emma' };
+
+function record(id, finishedAt, fields = {}) {
+  return {
+    id,
+    finishedAt: at(finishedAt),
+    durationSeconds: 60,
+    averageWpm: 50,
+    accuracy: 95,
+    wordsTyped: 50,
+    source: 'book',
+    book: MOBY,
+    ...fields
+  };
+}
+
+const RECORDS = [
+  record(1, '2026-03-01T23:59:59.999'),
+  record(2, '2026-03-02T00:00', { book: EMMA }),
+  record(3, '2026-03-03T12:00', { book: null, source: 'words' }),
+  record(4, '2026-03-04T23:59:59.999'),
+  record(5, '2026-03-05T00:00', { book: EMMA })
+];
+
+const ids = (records) => records.map(({ id }) => id);
+
+describe('filterSessionRecords', () => {
+  test('keeps everything without filters', () => {
+    assert.deepEqual(ids(filterSessionRecords(RECORDS)), [1, 2, 3, 4, 5]);
+    const emptyFilters = { from: '', to: '', bookId: '' };
+    assert.deepEqual(ids(filterSessionRecords(RECORDS, emptyFilters)), [1, 2, 3, 4, 5]);
+  });
+
+  test('includes both ends of the date range to the millisecond', () => {
+    const filtered = filterSessionRecords(RECORDS, { from: '2026-03-02', to: '2026-03-04' });
+    assert.deepEqual(ids(filtered), [2, 3, 4]);
+  });
+
+  test('accepts a range of one day, or only one end', () => {
+    const oneDay = { from: '2026-03-02', to: '2026-03-02' };
+    assert.deepEqual(ids(filterSessionRecords(RECORDS, oneDay)), [2]);
+    assert.deepEqual(ids(filterSessionRecords(RECORDS, { from: '2026-03-04' })), [4, 5]);
+    assert.deepEqual(ids(filterSessionRecords(RECORDS, { to: '2026-03-01' })), [1]);
+  });
+
+  test('ignores a date it cannot read', () => {
+    assert.deepEqual(ids(filterSessionRecords(RECORDS, { from: 'not-a-date' })), [1, 2, 3, 4, 5]);
+  });
+
+  test('keeps only the chosen book, leaving out word drills', () => {
+    assert.deepEqual(ids(filterSessionRecords(RECORDS, { bookId: 'emma' })), [2, 5]);
+    const sinceThird = { from: '2026-03-03', bookId: 'moby-dick' };
+    assert.deepEqual(ids(filterSessionRecords(RECORDS, sinceThird)), [4]);
+    assert.deepEqual(ids(filterSessionRecords(RECORDS, { bookId: 'missing' })), []);
+  });
+});
+
+describe('sortSessionRecords', () => {
+  const records = [
+    record(1, '2026-03-01T10:00', { averageWpm: 40, accuracy: 90 }),
+    record(2, '2026-03-02T10:00', { averageWpm: 60, accuracy: 90 }),
+    record(3, '2026-03-03T10:00', { averageWpm: 40, accuracy: undefined }),
+    record(4, '2026-03-04T10:00', { averageWpm: 50, accuracy: 99 })
+  ];
+
+  test('sorts newest first by default without changing the input', () => {
+    assert.deepEqual(ids(sortSessionRecords(records)), [4, 3, 2, 1]);
+    assert.deepEqual(ids(records), [1, 2, 3, 4]);
+  });
+
+  test('sorts by a field in either direction, newest first among ties', () => {
+    assert.deepEqual(ids(sortSessionRecords(records, HISTORY_SORT_FIELD.WPM)), [2, 4, 3, 1]);
+    assert.deepEqual(ids(sortSessionRecords(records, HISTORY_SORT_FIELD.WPM, false)), [3, 1, 4, 2]);
+  });
+
+  test('sorts a missing value as zero', () => {
+    const sorted = sortSessionRecords(records, HISTORY_SORT_FIELD.ACCURACY, false);
+    assert.deepEqual(ids(sorted), [3, 2, 1, 4]);
+  });
+});
+
+describe('listHistoryBooks', () => {
+  test('lists each book once by title, skipping word drills', () => {
+    assert.deepEqual(listHistoryBooks(RECORDS), [EMMA, MOBY]);
+  });
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import {
+  createSessionLink,
+  normalizeSharedSession,
+  readSharedSession
+} from '../src/lib/sessionLinks.js';
+
+const SHARED = {
+  seed: 'k3m9qx2pfa',
+  bookId: 'herman-melville-moby-dick',
+  offset: 48210,
+  startMode: 'random',
+  difficulty: { min: 20, max: 45 },
+  textTransforms: { lowercase: true, stripPunctuation: true, charset: 'etaoin shrdlu,.&' },
+  target: { mode: 'words', words: 50 }
+};
+
+function roundTrip(shared) {
+  return readSharedSession(new URL(createSessionLink(shared)).search);
+}
+
+describe('session links', () => {
+  let previousWindow;
+
+  before(() => {
+    previousWindow = globalThis.window;
+    globalThis.window = { location: new URL('https://ambitype.test/play/?theme=dark') };
+  });
+
+  after(() => {
+    globalThis.window = previousWindow;
+  });
+
+  test('carry the seed, passage and every text setting there and back', () => {
+    const shared = roundTrip(SHARED);
+
+    assert.deepEqual(shared, normalizeSharedSession(SHARED));
+    assert.deepEqual(shared.difficulty, { band: null, min: 20, max: 45 });
+    assert.equal(shared.textTransforms.lowercase, true);
+    assert.equal(shared.textTransforms.stripPunctuation, true);
+    assert.equal(shared.textTransforms.foldAscii, false);
+    assert.equal(shared.textTransforms.charset, 'etaoinshrdlu,.&');
+    assert.deepEqual(shared.target, { mode: 'words', seconds: 60, words: 50 });
+  });
+
+  test('carry difficulty bands and every kind of target', () => {
+    for (const target of [
+      { mode: 'timed', seconds: 120 },
+      { mode: 'words', words: 250 },
+      { mode: 'quote' },
+      { mode: 'endless' }
+    ]) {
+      const shared = { ...SHARED, difficulty: 'hard', target };
+      assert.deepEqual(roundTrip(shared), normalizeSharedSession(shared), target.mode);
+    }
+
+    assert.equal(roundTrip({ ...SHARED, difficulty: 'hard' }).difficulty.band, 'hard');
+  });
+
+  test('leave default settings out of the link', () => {
+    const link = new URL(
+      createSessionLink({ seed: 'abcd2345', bookId: 'jane-austen-pride-and-prejudice', offset: 0 })
+    );
+
+    assert.equal(link.origin, 'https://ambitype.test');
+    assert.equal(link.pathname, '/play/');
+    assert.deepEqual([...link.searchParams.keys()], ['seed', 'book', 'offset']);
+  });
+
+  test('reject links without a usable seed, book or offset', () => {
+    assert.equal(createSessionLink({ ...SHARED, seed: 'no' }), '');
+    assert.equal(readSharedSession(''), null);
+    assert.equal(readSharedSession('?seed=k3m9qx2pfa&book=Moby_Dick&offset=10'), null);
+    assert.equal(readSharedSession('?seed=k3m9qx2pfa&book=moby-dick'), null);
+    assert.equal(readSharedSession('?seed=k3m9qx2pfa&book=moby-dick&offset=-1'), null);
+    assert.equal(readSharedSession('?seed=k3m9qx2pfa&book=moby-dick&offset=1.5'), null);
+  });
+
+  test('ignore settings they cannot read', () => {
+    const shared = readSharedSession(
+      '?seed=K3M9QX2PFA&book=moby-dick&offset=7&difficulty=9-2&transforms=shout&target=words:7'
+    );
+
+    assert.equal(shared.seed, 'k3m9qx2pfa');
+    assert.equal(shared.difficulty, null);
+    assert.equal(shared.textTransforms.lowercase, false);
+    assert.equal('shout' in shared.textTransforms, false);
+    assert.deepEqual(shared.target, { mode: 'words', seconds: 60, words: 50 });
+  });
+});
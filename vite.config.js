@@ -1,6 +1,38 @@
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+const SERVICE_WORKER_SOURCE = new URL('./src/serviceWorker.js', import.meta.url);
+const PRECACHE_PLACEHOLDER = 'self.__PRECACHE_MANIFEST__';
+
+// Emits sw.js with the hashed build output injected, so every build yields a new worker that
+// precaches exactly the files it shipped with.
+function serviceWorkerPlugin() {
+  return {
+    name: 'ambitype-service-worker',
+    apply: 'build',
+    generateBundle(_options, bundle) {
+      const assets = Object.keys(bundle)
+        .filter((fileName) => !fileName.endsWith('.map'))
+        .sort()
+        .map((fileName) => `/${fileName}`);
+      const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12);
+      const source = readFileSync(SERVICE_WORKER_SOURCE, 'utf8');
+
+      if (!source.includes(PRECACHE_PLACEHOLDER)) {
+        this.error(`Service worker source is missing ${PRECACHE_PLACEHOLDER}`);
+      }
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source.replace(PRECACHE_PLACEHOLDER, JSON.stringify({ version, assets }))
+      });
+    }
+  };
+}
+
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react(), serviceWorkerPlugin()]
 });